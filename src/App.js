@@ -1,11 +1,15 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Layout from './components/Layout';
+import RequireAuth from './components/RequireAuth';
 import Home from './pages/Home';
 import DatasetList from './pages/DatasetList';
 import DatasetDetail from './pages/DatasetDetail';
+import MapWorkspace from './pages/MapWorkspace';
 import Upload from './pages/Upload';
 import Docs from './pages/Docs';
+import Login from './pages/Login';
+import Register from './pages/Register';
 import './App.css';
 
 function App() {
@@ -16,8 +20,11 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/datasets" element={<DatasetList />} />
           <Route path="/datasets/:id" element={<DatasetDetail />} />
-          <Route path="/upload" element={<Upload />} />
+          <Route path="/map" element={<MapWorkspace />} />
+          <Route path="/upload" element={<RequireAuth><Upload /></RequireAuth>} />
           <Route path="/docs" element={<Docs />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/register" element={<Register />} />
         </Routes>
       </Layout>
     </Router>
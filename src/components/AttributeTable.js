@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { collectColumns, formatCellValue, buildFilters, computeRowOrder } from '../utils/attributeTable';
+import './AttributeTable.css';
+
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 480;
+// Extra rows rendered above and below the viewport so fast scrolling doesn't show gaps
+const OVERSCAN = 10;
+const INDEX_WIDTH = 72;
+const DEFAULT_WIDTH = 160;
+const MIN_WIDTH = 60;
+const FILTER_DEBOUNCE_MS = 250;
+
+// Virtualized table of every feature's properties: only the rows in view are rendered.
+// Supports sorting, per-column filters, hiding columns and resizing them.
+// Rows are identified by feature index: `selected` is a Set of indices to highlight,
+// onRowClick(index, event, rows) receives the displayed order for range selection,
+// and setting `scrollTo` to a new { index } object scrolls that row into view.
+const AttributeTable = ({ features, selected, onRowClick, scrollTo }) => {
+  const columns = useMemo(() => collectColumns(features), [features]);
+  const [sort, setSort] = useState(null);
+  const [filterInputs, setFilterInputs] = useState({});
+  const [filters, setFilters] = useState({});
+  const [hidden, setHidden] = useState(() => new Set());
+  const [widths, setWidths] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const scrollRef = useRef(null);
+  const headerRef = useRef(null);
+
+  // Apply filters once typing pauses; filtering 100k rows per keystroke is noticeable
+  useEffect(() => {
+    const timer = setTimeout(() => setFilters(filterInputs), FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filterInputs]);
+
+  const { predicates, invalid } = useMemo(() => buildFilters(columns, filters), [columns, filters]);
+  const rows = useMemo(() => computeRowOrder(features, predicates, sort), [features, predicates, sort]);
+
+  // Back to the top when the result changes under the user
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [predicates, sort]);
+
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+
+  // Bring a row selected elsewhere (e.g. on the map) into view unless it's already visible
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!scrollTo || !container) return;
+    const position = rowsRef.current.indexOf(scrollTo.index);
+    if (position === -1) return;
+
+    const top = position * ROW_HEIGHT;
+    const viewport = container.clientHeight - (headerRef.current?.offsetHeight || 0);
+    if (top < container.scrollTop || top + ROW_HEIGHT > container.scrollTop + viewport) {
+      container.scrollTop = Math.max(0, top - (viewport - ROW_HEIGHT) / 2);
+    }
+  }, [scrollTo]);
+
+  const visibleColumns = columns.filter(column => !hidden.has(column.key));
+  const widthOf = (key) => widths[key] || DEFAULT_WIDTH;
+  const totalWidth = INDEX_WIDTH + visibleColumns.reduce((sum, column) => sum + widthOf(column.key), 0);
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+  const toggleSort = (key) => {
+    setSort(current => {
+      if (!current || current.key !== key) return { key, dir: 'asc' };
+      if (current.dir === 'asc') return { key, dir: 'desc' };
+      return null;
+    });
+  };
+
+  const toggleColumn = (key) => {
+    setHidden(current => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const startResize = (key) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widthOf(key);
+
+    const handleMove = (moveEvent) => {
+      const width = Math.max(MIN_WIDTH, startWidth + moveEvent.clientX - startX);
+      setWidths(current => ({ ...current, [key]: width }));
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const clearFilters = () => {
+    setFilterInputs({});
+    setFilters({});
+  };
+
+  const hasFilters = Object.values(filterInputs).some(text => text && text.trim());
+
+  if (columns.length === 0) {
+    return <p>{features.length} features, none of which have properties.</p>;
+  }
+
+  const renderRows = () => {
+    const rendered = [];
+    for (let position = firstRow; position < lastRow; position++) {
+      const index = rows[position];
+      const properties = features[index].properties || {};
+      rendered.push(
+        <div
+          key={index}
+          className={`attribute-row ${position % 2 ? 'odd' : ''} ${selected?.has(index) ? 'selected' : ''} ${onRowClick ? 'clickable' : ''}`}
+          style={{ top: position * ROW_HEIGHT, height: ROW_HEIGHT, width: totalWidth }}
+          onMouseDown={e => {
+            // Keep shift-click from selecting text across rows
+            if (e.shiftKey) e.preventDefault();
+          }}
+          onClick={onRowClick && (e => onRowClick(index, e, rows))}
+        >
+          <div className="attribute-cell attribute-index" style={{ width: INDEX_WIDTH }}>{index + 1}</div>
+          {visibleColumns.map(({ key, type }) => {
+            const text = formatCellValue(properties[key]);
+            return (
+              <div
+                key={key}
+                className={`attribute-cell ${type === 'number' ? 'numeric' : ''} ${text ? '' : 'empty'}`}
+                style={{ width: widthOf(key) }}
+                title={text}
+              >
+                {text || 'null'}
+              </div>
+            );
+          })}
+        </div>
+      );
+    }
+    return rendered;
+  };
+
+  return (
+    <div className="attribute-table">
+      <div className="attribute-toolbar">
+        <span className="attribute-count">
+          {rows.length === features.length
+            ? `${features.length.toLocaleString()} features`
+            : `${rows.length.toLocaleString()} of ${features.length.toLocaleString()} features`}
+        </span>
+        {hasFilters && (
+          <button className="btn btn-small btn-secondary" onClick={clearFilters}>Clear Filters</button>
+        )}
+        <div className="attribute-columns">
+          <button className="btn btn-small btn-secondary" onClick={() => setShowColumnMenu(open => !open)}>
+            Columns ({visibleColumns.length}/{columns.length})
+          </button>
+          {showColumnMenu && (
+            <div className="attribute-column-menu">
+              <button className="attribute-menu-action" onClick={() => setHidden(new Set())}>Show all</button>
+              {columns.map(({ key }) => (
+                <label key={key}>
+                  <input type="checkbox" checked={!hidden.has(key)} onChange={() => toggleColumn(key)} />
+                  {key}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div
+        className="attribute-scroll"
+        ref={scrollRef}
+        style={{ height: VIEWPORT_HEIGHT }}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div className="attribute-header" ref={headerRef} style={{ width: totalWidth }}>
+          <div className="attribute-header-row">
+            <div className="attribute-cell attribute-index" style={{ width: INDEX_WIDTH }}>#</div>
+            {visibleColumns.map(({ key, type }) => (
+              <div
+                key={key}
+                className={`attribute-cell attribute-heading ${type === 'number' ? 'numeric' : ''}`}
+                style={{ width: widthOf(key) }}
+                onClick={() => toggleSort(key)}
+                title={`Sort by ${key}`}
+              >
+                <span className="attribute-heading-label">{key}</span>
+                {sort?.key === key && (
+                  <i className={`fas ${sort.dir === 'asc' ? 'fa-sort-up' : 'fa-sort-down'}`}></i>
+                )}
+                <span className="attribute-resize" onPointerDown={startResize(key)} onClick={e => e.stopPropagation()}></span>
+              </div>
+            ))}
+          </div>
+          <div className="attribute-header-row">
+            <div className="attribute-cell attribute-index" style={{ width: INDEX_WIDTH }}></div>
+            {visibleColumns.map(({ key, type }) => (
+              <div key={key} className="attribute-cell attribute-filter" style={{ width: widthOf(key) }}>
+                <input
+                  className={invalid.has(key) ? 'invalid' : ''}
+                  value={filterInputs[key] || ''}
+                  onChange={e => setFilterInputs(current => ({ ...current, [key]: e.target.value }))}
+                  placeholder={type === 'number' ? '>10, 5..20' : 'Filter'}
+                  title={type === 'number'
+                    ? 'A number, a comparison such as >10 or <=5, or a range such as 5..20'
+                    : 'Text contained in the value'}
+                  aria-label={`Filter ${key}`}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="attribute-body" style={{ height: rows.length * ROW_HEIGHT, width: totalWidth }}>
+          {renderRows()}
+        </div>
+        {rows.length === 0 && <p className="attribute-empty">No features match the filters.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AttributeTable;
@@ -0,0 +1,56 @@
+import React, { useEffect } from 'react';
+import { TileLayer, WMSTileLayer, useMap } from 'react-leaflet';
+import { DEFAULT_MAX_ZOOM, wmtsUrlTemplate } from '../services/basemaps';
+import './BasemapLayer.css';
+
+// Draws a basemap definition (see services/basemaps.js) inside a MapContainer.
+// The map's max zoom follows the basemap, also when there is none to draw.
+const BasemapLayer = ({ basemap }) => {
+  const map = useMap();
+  const maxZoom = basemap?.maxZoom ?? DEFAULT_MAX_ZOOM;
+  const blank = !basemap || basemap.type === 'none';
+
+  useEffect(() => {
+    map.setMaxZoom(maxZoom);
+  }, [map, maxZoom]);
+
+  // A white background instead of Leaflet's grey, for printing
+  useEffect(() => {
+    map.getContainer().classList.toggle('basemap-none', blank);
+  }, [map, blank]);
+
+  if (blank) return null;
+
+  const { id, type, url, attribution } = basemap;
+  if (type === 'wms') {
+    return (
+      <WMSTileLayer
+        key={id}
+        url={url}
+        attribution={attribution}
+        maxZoom={maxZoom}
+        params={{
+          layers: basemap.layers,
+          styles: basemap.styles || '',
+          format: basemap.format || 'image/png',
+          transparent: Boolean(basemap.transparent),
+          version: basemap.version || '1.1.1',
+        }}
+      />
+    );
+  }
+
+  // Leaflet replaces its defaults with any option passed, even undefined ones
+  const options = basemap.subdomains ? { subdomains: basemap.subdomains } : {};
+  return (
+    <TileLayer
+      key={id}
+      url={type === 'wmts' ? wmtsUrlTemplate(basemap) : url}
+      attribution={attribution}
+      maxZoom={maxZoom}
+      {...options}
+    />
+  );
+};
+
+export default BasemapLayer;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { DEFAULT_MAX_ZOOM } from '../services/basemaps';
+import './BasemapPicker.css';
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'xyz',
+  url: '',
+  layers: '',
+  layer: '',
+  tileMatrixSet: '',
+  attribution: '',
+  maxZoom: DEFAULT_MAX_ZOOM,
+};
+
+const URL_PLACEHOLDERS = {
+  xyz: 'https://tiles.example.com/{z}/{x}/{y}.png',
+  wms: 'https://maps.example.com/wms',
+  wmts: 'https://maps.example.com/wmts/{TileMatrix}/{TileRow}/{TileCol}.png',
+};
+
+// Only the fields the chosen type uses
+const toDefinition = ({ name, type, url, layers, layer, tileMatrixSet, attribution, maxZoom }) => ({
+  name: name.trim() || url.trim(),
+  type,
+  url: url.trim(),
+  attribution: attribution.trim(),
+  maxZoom: Number(maxZoom),
+  ...(type === 'wms' && { layers: layers.trim() }),
+  ...(type === 'wmts' && layer.trim() && { layer: layer.trim(), tileMatrixSet: tileMatrixSet.trim() }),
+});
+
+// Basemap choice plus a form for adding custom XYZ, WMS or WMTS sources.
+// Takes the values returned by useBasemap().
+const BasemapPicker = ({ basemaps, basemap, select, addCustom, removeCustom }) => {
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  const change = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  const submit = (e) => {
+    e.preventDefault();
+    try {
+      addCustom(toDefinition(form));
+      setForm(EMPTY_FORM);
+      setAdding(false);
+      setError(null);
+    } catch (err) {
+      setError(err.name === 'QuotaExceededError' ? 'Not enough storage space to save the basemap.' : err.message);
+    }
+  };
+
+  return (
+    <div className="basemap-picker">
+      <div className="basemap-picker-row">
+        <label>
+          Basemap
+          <select value={basemap?.id || ''} onChange={e => select(e.target.value)}>
+            {basemaps.map(({ id, name, custom }) => (
+              <option key={id} value={id}>{custom ? `${name} (custom)` : name}</option>
+            ))}
+          </select>
+        </label>
+        {basemap?.custom && (
+          <button className="btn btn-small btn-secondary" onClick={() => removeCustom(basemap.id)}>Remove</button>
+        )}
+        <button className="btn btn-small btn-secondary" onClick={() => setAdding(!adding)}>
+          {adding ? 'Cancel' : 'Add Custom…'}
+        </button>
+      </div>
+
+      {adding && (
+        <form className="basemap-form" onSubmit={submit}>
+          <label>
+            Name
+            <input value={form.name} onChange={change('name')} placeholder="My basemap" />
+          </label>
+          <label>
+            Type
+            <select value={form.type} onChange={change('type')}>
+              <option value="xyz">XYZ tiles</option>
+              <option value="wms">WMS</option>
+              <option value="wmts">WMTS</option>
+            </select>
+          </label>
+          <label className="basemap-form-wide">
+            URL
+            <input value={form.url} onChange={change('url')} placeholder={URL_PLACEHOLDERS[form.type]} required />
+          </label>
+          {form.type === 'wms' && (
+            <label>
+              Layers
+              <input value={form.layers} onChange={change('layers')} placeholder="layer1,layer2" required />
+            </label>
+          )}
+          {form.type === 'wmts' && (
+            <>
+              <label>
+                Layer (KVP only)
+                <input value={form.layer} onChange={change('layer')} />
+              </label>
+              <label>
+                Tile matrix set
+                <input value={form.tileMatrixSet} onChange={change('tileMatrixSet')} placeholder="GoogleMapsCompatible" />
+              </label>
+            </>
+          )}
+          <label className="basemap-form-wide">
+            Attribution
+            <input value={form.attribution} onChange={change('attribution')} />
+          </label>
+          <label>
+            Max zoom
+            <input type="number" min="1" max="24" value={form.maxZoom} onChange={change('maxZoom')} />
+          </label>
+          <button type="submit" className="btn btn-small btn-primary">Add Basemap</button>
+          {error && <p className="basemap-form-error" role="alert">{error}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BasemapPicker;
@@ -0,0 +1,192 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import GeoSpotAPI from '../services/geospot-api';
+import useAuth from '../utils/useAuth';
+import { bulkDelete, exportZip, downloadBlob } from '../utils/bulkActions';
+import { workspaceUrl } from '../utils/workspaceLayers';
+import './BulkActions.css';
+
+const ACTION_LABELS = {
+  delete: { running: 'Deleting', done: 'deleted' },
+  export: { running: 'Exporting', done: 'exported' },
+};
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  running: 'Working...',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const zipFileName = () => `geospot-datasets-${new Date().toISOString().slice(0, 10)}.zip`;
+
+// Toolbar for the datasets selected in the list, with progress and a summary
+// for bulk delete and zip export.
+// onFinished(action, succeededIds) lets the list refresh and update the selection.
+const BulkActions = ({ selected, matchingCount, onSelectAllMatching, selectingAll, onClear, onFinished }) => {
+  const [operation, setOperation] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const controllerRef = useRef(null);
+  const navigate = useNavigate();
+  // Deleting needs a session
+  const session = useAuth();
+
+  // Stop a running operation when leaving the page
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const running = operation && !operation.finished;
+
+  const run = async (action, datasets) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setOperation({
+      action,
+      datasets,
+      statuses: Object.fromEntries(datasets.map(dataset => [dataset.id, { status: 'pending' }])),
+      finished: false,
+    });
+
+    const onItem = (id, status) => setOperation(prev => ({
+      ...prev,
+      statuses: { ...prev.statuses, [id]: status },
+    }));
+    const options = { onItem, signal: controller.signal };
+
+    let results;
+    let error = null;
+    try {
+      if (action === 'delete') {
+        results = await bulkDelete(datasets, options);
+      } else {
+        const exported = await exportZip(datasets, options);
+        results = exported.results;
+        if (exported.blob) downloadBlob(exported.blob, zipFileName());
+      }
+    } catch (err) {
+      results = [];
+      error = err.message;
+    }
+
+    const succeeded = results.filter(result => result.ok).map(result => result.item.id);
+    setOperation(prev => ({
+      ...prev,
+      finished: true,
+      cancelled: controller.signal.aborted,
+      error,
+      // Items never started because of cancellation
+      statuses: Object.fromEntries(Object.entries(prev.statuses).map(([id, status]) =>
+        [id, status.status === 'pending' ? { status: 'cancelled' } : status])),
+    }));
+    controllerRef.current = null;
+    onFinished?.(action, succeeded);
+  };
+
+  const deleteSelected = () => {
+    const count = selected.length;
+    if (!window.confirm(`Delete ${count} dataset${count === 1 ? '' : 's'}? This action cannot be undone.`)) return;
+    run('delete', selected);
+  };
+
+  const copyUrls = async () => {
+    await navigator.clipboard.writeText(selected.map(dataset => GeoSpotAPI.geojsonUrl(dataset.id)).join('\n'));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const renderOperation = () => {
+    const { action, datasets, statuses, finished, cancelled, error } = operation;
+    const values = Object.values(statuses);
+    const completed = values.filter(({ status }) => status === 'done' || status === 'failed').length;
+    const failures = datasets.filter(dataset => statuses[dataset.id].status === 'failed');
+    const succeeded = values.filter(({ status }) => status === 'done').length;
+    const skipped = values.filter(({ status }) => status === 'cancelled').length;
+    const labels = ACTION_LABELS[action];
+
+    return (
+      <div className="bulk-operation">
+        <div className="bulk-operation-header">
+          <strong>
+            {finished
+              ? `${succeeded} of ${datasets.length} dataset${datasets.length === 1 ? '' : 's'} ${labels.done}`
+              : `${labels.running} ${Math.min(completed + 1, datasets.length)} of ${datasets.length}...`}
+          </strong>
+          {running ? (
+            <button className="btn btn-small btn-secondary" onClick={() => controllerRef.current?.abort()}>Cancel</button>
+          ) : (
+            <button className="btn btn-small btn-secondary" onClick={() => setOperation(null)}>Dismiss</button>
+          )}
+        </div>
+
+        <div className="bulk-progress-bar">
+          <div className="bulk-progress-fill" style={{ width: `${(completed / datasets.length) * 100}%` }}></div>
+        </div>
+
+        {finished && (
+          <p className="bulk-summary">
+            {failures.length > 0 && `${failures.length} failed. `}
+            {cancelled && skipped > 0 && `${skipped} skipped after cancelling. `}
+            {error}
+            {failures.length === 0 && !cancelled && !error && 'All done.'}
+          </p>
+        )}
+
+        <ul className="bulk-items">
+          {datasets.map(dataset => {
+            const { status, error: itemError } = statuses[dataset.id];
+            if (finished && status === 'done') return null;
+            return (
+              <li key={dataset.id} className={`bulk-item bulk-item-${status}`}>
+                <span className="bulk-item-name">{dataset.name}</span>
+                <span className="bulk-item-status">{itemError || STATUS_LABELS[status]}</span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  };
+
+  if (selected.length === 0 && !operation) return null;
+
+  return (
+    <div className="bulk-actions">
+      {selected.length > 0 && (
+        <div className="bulk-bar">
+          <span className="bulk-count">
+            {selected.length} selected
+            {matchingCount > selected.length && (
+              <button className="bulk-link" onClick={onSelectAllMatching} disabled={selectingAll || running}>
+                {selectingAll ? 'Selecting...' : `Select all ${matchingCount}`}
+              </button>
+            )}
+            <button className="bulk-link" onClick={onClear} disabled={running}>Clear</button>
+          </span>
+          <div className="bulk-buttons">
+            <button
+              className="btn btn-small btn-secondary"
+              onClick={() => navigate(workspaceUrl(selected.map(dataset => dataset.id)))}
+              disabled={running}
+            >
+              Open in Map
+            </button>
+            <button className="btn btn-small btn-secondary" onClick={copyUrls} disabled={running}>
+              {copied ? 'Copied!' : 'Copy URLs'}
+            </button>
+            <button className="btn btn-small btn-primary" onClick={() => run('export', selected)} disabled={running}>
+              Export ZIP
+            </button>
+            {session && (
+              <button className="btn btn-small btn-danger" onClick={deleteSelected} disabled={running}>
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      {operation && renderOperation()}
+    </div>
+  );
+};
+
+export default BulkActions;
@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import GeoSpotAPI from '../services/geospot-api';
+import datasetCache from '../services/dataset-cache';
+import { formatBytes } from '../utils/format';
+
+// Footer control showing how much dataset data is cached locally, with a clear button
+const CacheControl = () => {
+  const [stats, setStats] = useState(null);
+  const [clearing, setClearing] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => datasetCache.getStats().then(next => {
+      if (active) setStats(next);
+    });
+
+    refresh();
+    const unsubscribe = datasetCache.subscribe(refresh);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const clearCache = async () => {
+    if (!window.confirm('Clear all locally cached datasets? They will be downloaded again when opened.')) {
+      return;
+    }
+    setClearing(true);
+    try {
+      await GeoSpotAPI.clearCache();
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  if (!stats) return null;
+
+  return (
+    <button
+      className="cache-control"
+      onClick={clearCache}
+      disabled={clearing || stats.entries === 0}
+      title={`${stats.entries} cached item${stats.entries === 1 ? '' : 's'}, limit ${formatBytes(stats.maxBytes)}`}
+    >
+      {clearing ? 'Clearing...' : `Clear Cache (${formatBytes(stats.bytes)})`}
+    </button>
+  );
+};
+
+export default CacheControl;
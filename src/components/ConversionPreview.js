@@ -0,0 +1,96 @@
+import React, { useMemo } from 'react';
+import { MapContainer, TileLayer, GeoJSON } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import './ConversionPreview.css';
+
+// Number of features listed in the attribute preview
+const PREVIEW_ROWS = 10;
+
+const summarize = (geojson) => {
+  const geometryCounts = {};
+  const propertyKeys = new Set();
+
+  geojson.features.forEach(feature => {
+    const type = feature.geometry?.type || 'No geometry';
+    geometryCounts[type] = (geometryCounts[type] || 0) + 1;
+    Object.keys(feature.properties || {}).forEach(key => propertyKeys.add(key));
+  });
+
+  return { geometryCounts, propertyKeys: Array.from(propertyKeys) };
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ConversionPreview = ({ geojson }) => {
+  const { geometryCounts, propertyKeys } = useMemo(() => summarize(geojson), [geojson]);
+
+  const bounds = useMemo(() => {
+    try {
+      const layerBounds = L.geoJSON(geojson).getBounds();
+      return layerBounds.isValid() ? layerBounds : null;
+    } catch (err) {
+      return null;
+    }
+  }, [geojson]);
+
+  const rows = geojson.features.slice(0, PREVIEW_ROWS);
+
+  return (
+    <div className="conversion-preview">
+      <div className="preview-summary">
+        <strong>{geojson.features.length} features:</strong>{' '}
+        {Object.entries(geometryCounts).map(([type, count]) => `${count} ${type}`).join(', ')}
+      </div>
+
+      {bounds && (
+        <div className="preview-map">
+          <MapContainer bounds={bounds} boundsOptions={{ padding: [20, 20] }} style={{ height: '100%', width: '100%' }}>
+            <TileLayer
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            />
+            <GeoJSON
+              data={geojson}
+              pointToLayer={(feature, latlng) => L.circleMarker(latlng, { radius: 5 })}
+            />
+          </MapContainer>
+        </div>
+      )}
+
+      {propertyKeys.length > 0 && (
+        <div className="preview-table-wrapper">
+          <table className="preview-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                {propertyKeys.map(key => <th key={key}>{key}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((feature, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  {propertyKeys.map(key => (
+                    <td key={key}>{formatValue(feature.properties?.[key])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {geojson.features.length > PREVIEW_ROWS && (
+            <p className="preview-more">
+              Showing {PREVIEW_ROWS} of {geojson.features.length} features
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConversionPreview;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { DELIMITERS, PROPERTY_TYPES } from '../utils/converters/csv';
+import './CsvMappingWizard.css';
+
+const firstValue = (rows, field) => {
+  const row = rows.find(candidate => candidate[field] !== undefined && String(candidate[field]).trim() !== '');
+  return row ? String(row[field]) : '';
+};
+
+const ColumnSelect = ({ label, value, fields, onChange }) => (
+  <label className="mapping-field">
+    {label}
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">Select a column</option>
+      {fields.map(field => <option key={field} value={field}>{field}</option>)}
+    </select>
+  </label>
+);
+
+const CsvMappingWizard = ({ table, mapping: initialMapping, types: initialTypes, onApply, onChangeDelimiter }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [types, setTypes] = useState(initialTypes);
+  const { fields, rows, delimiter } = table;
+
+  const updateMapping = (changes) => setMapping(prev => ({ ...prev, ...changes }));
+
+  const canApply = mapping.mode === 'wkt'
+    ? Boolean(mapping.wkt)
+    : Boolean(mapping.x && mapping.y && mapping.x !== mapping.y);
+
+  return (
+    <div className="csv-mapping-wizard">
+      <h4>Map Columns</h4>
+      <p className="mapping-hint">
+        {rows.length} rows and {fields.length} columns detected. Confirm which columns hold the geometry.
+      </p>
+
+      <div className="mapping-row">
+        <label className="mapping-field">
+          Delimiter
+          <select value={delimiter} onChange={(e) => onChangeDelimiter(e.target.value)}>
+            {Object.entries(DELIMITERS).map(([value, label]) => (
+              <option key={label} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="mapping-field">
+          Geometry from
+          <div className="mapping-modes">
+            <label>
+              <input
+                type="radio"
+                checked={mapping.mode === 'xy'}
+                onChange={() => updateMapping({ mode: 'xy' })}
+              />
+              Longitude / latitude columns
+            </label>
+            <label>
+              <input
+                type="radio"
+                checked={mapping.mode === 'wkt'}
+                onChange={() => updateMapping({ mode: 'wkt' })}
+              />
+              WKT column
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div className="mapping-row">
+        {mapping.mode === 'xy' ? (
+          <>
+            <ColumnSelect label="Longitude (X)" value={mapping.x} fields={fields} onChange={x => updateMapping({ x })} />
+            <ColumnSelect label="Latitude (Y)" value={mapping.y} fields={fields} onChange={y => updateMapping({ y })} />
+          </>
+        ) : (
+          <ColumnSelect label="WKT" value={mapping.wkt} fields={fields} onChange={wkt => updateMapping({ wkt })} />
+        )}
+      </div>
+
+      <div className="mapping-types">
+        <table>
+          <thead>
+            <tr>
+              <th>Column</th>
+              <th>Example</th>
+              <th>Type</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields
+              .filter(field => !(mapping.mode === 'wkt' && field === mapping.wkt))
+              .map(field => (
+                <tr key={field}>
+                  <td>{field}</td>
+                  <td className="mapping-example">{firstValue(rows, field)}</td>
+                  <td>
+                    <select
+                      value={types[field]}
+                      onChange={(e) => setTypes(prev => ({ ...prev, [field]: e.target.value }))}
+                    >
+                      {PROPERTY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+
+      <button
+        className="btn btn-small btn-primary"
+        onClick={() => onApply(mapping, types)}
+        disabled={!canApply}
+      >
+        Convert to GeoJSON
+      </button>
+    </div>
+  );
+};
+
+export default CsvMappingWizard;
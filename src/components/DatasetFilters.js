@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { SORT_FIELDS, DEFAULT_QUERY, hasActiveFilters } from '../utils/datasetQuery';
+import './DatasetFilters.css';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Search box, sort controls and range filters for the dataset list.
+// onChange receives the changed fields; replace is true while typing so
+// every keystroke doesn't add a history entry.
+const DatasetFilters = ({ query, onChange }) => {
+  const [search, setSearch] = useState(query.q);
+
+  // Follow the URL when it changes from outside (back button, cleared filters)
+  useEffect(() => {
+    setSearch(query.q);
+  }, [query.q]);
+
+  useEffect(() => {
+    if (search === query.q) return undefined;
+    const timer = setTimeout(() => onChange({ q: search }, { replace: true }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search, query.q, onChange]);
+
+  const update = (field) => (e) => onChange({ [field]: e.target.value });
+
+  const clearAll = () => {
+    setSearch('');
+    onChange({ ...DEFAULT_QUERY, sort: query.sort, dir: query.dir });
+  };
+
+  return (
+    <div className="dataset-filters">
+      <div className="filters-row">
+        <div className="filter-search">
+          <i className="fas fa-search"></i>
+          <input
+            type="search"
+            className="form-control"
+            placeholder="Search name or description"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            aria-label="Search datasets"
+          />
+        </div>
+
+        <label className="filter-field">
+          Sort by
+          <select className="form-control" value={query.sort} onChange={update('sort')}>
+            {Object.entries(SORT_FIELDS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="btn btn-secondary filter-direction"
+          onClick={() => onChange({ dir: query.dir === 'asc' ? 'desc' : 'asc' })}
+          title={query.dir === 'asc' ? 'Ascending' : 'Descending'}
+          aria-label={`Sort ${query.dir === 'asc' ? 'descending' : 'ascending'}`}
+        >
+          <i className={`fas ${query.dir === 'asc' ? 'fa-arrow-up' : 'fa-arrow-down'}`}></i>
+        </button>
+      </div>
+
+      <div className="filters-row">
+        <label className="filter-field">
+          Uploaded from
+          <input type="date" className="form-control" value={query.from} max={query.to || undefined} onChange={update('from')} />
+        </label>
+        <label className="filter-field">
+          to
+          <input type="date" className="form-control" value={query.to} min={query.from || undefined} onChange={update('to')} />
+        </label>
+        <label className="filter-field">
+          Min features
+          <input type="number" min="0" className="form-control" value={query.minFeatures} onChange={update('minFeatures')} />
+        </label>
+        <label className="filter-field">
+          Max features
+          <input type="number" min="0" className="form-control" value={query.maxFeatures} onChange={update('maxFeatures')} />
+        </label>
+        {hasActiveFilters(query) && (
+          <button className="filter-clear" onClick={clearAll}>
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DatasetFilters;
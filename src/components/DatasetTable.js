@@ -0,0 +1,59 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatBytes } from '../utils/format';
+
+// Compact table layout for the dataset list
+const DatasetTable = ({ datasets, isSelected, onToggle, allSelected, onToggleAll, onCopyUrl, onDelete }) => (
+  <div className="dataset-table-wrapper">
+    <table className="dataset-table">
+      <thead>
+        <tr>
+          <th className="select-cell">
+            <input type="checkbox" checked={allSelected} onChange={onToggleAll} aria-label="Select all on this page" />
+          </th>
+          <th>Name</th>
+          <th>Description</th>
+          <th className="numeric">Features</th>
+          <th className="numeric">Size</th>
+          <th>Uploaded</th>
+          <th aria-label="Actions"></th>
+        </tr>
+      </thead>
+      <tbody>
+        {datasets.map(dataset => (
+          <tr key={dataset.id} className={isSelected(dataset.id) ? 'selected' : ''}>
+            <td className="select-cell">
+              <input
+                type="checkbox"
+                checked={isSelected(dataset.id)}
+                onChange={() => onToggle(dataset)}
+                aria-label={`Select ${dataset.name}`}
+              />
+            </td>
+            <td className="dataset-table-name">
+              <Link to={`/datasets/${dataset.id}`}>{dataset.name}</Link>
+            </td>
+            <td className="dataset-table-description" title={dataset.description || ''}>
+              {dataset.description || '—'}
+            </td>
+            <td className="numeric">{dataset.feature_count}</td>
+            <td className="numeric">{dataset.file_size_bytes ? formatBytes(dataset.file_size_bytes) : 'N/A'}</td>
+            <td>{new Date(dataset.uploaded_at).toLocaleDateString()}</td>
+            <td className="dataset-table-actions">
+              <button className="btn btn-small btn-secondary" onClick={() => onCopyUrl(dataset)} title="Copy GeoJSON URL">
+                Copy URL
+              </button>
+              {onDelete && (
+                <button className="btn btn-small btn-danger" onClick={() => onDelete(dataset)}>
+                  Delete
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default DatasetTable;
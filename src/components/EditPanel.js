@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import GeoSpotAPI from '../services/geospot-api';
+import { validateGeoJSONObject } from '../utils/geojsonValidator';
+import { toGeoJSONFile } from '../utils/converters';
+import useAuth from '../utils/useAuth';
+import './EditPanel.css';
+
+const GEOJSON_EXTENSION = /\.(geo)?json$/i;
+
+// Numbers such as 12, -3.5 or 1e3, but not codes like 007 that only look numeric
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Text typed into the property form back to a value. Existing values keep their type
+// when the text still fits it; new values become numbers or booleans when they look
+// like one. Empty text clears the value.
+const parseValue = (text, previous) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+  if (previous !== null && typeof previous === 'object') {
+    try {
+      return JSON.parse(trimmed);
+    } catch (err) {
+      return text;
+    }
+  }
+  if (typeof previous === 'string') return text;
+  if (NUMBER_PATTERN.test(trimmed)) return Number(trimmed);
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  return text;
+};
+
+const featureLabel = ({ feature, sourceIndex }) => {
+  const name = feature.properties?.name ?? feature.properties?.title;
+  if (name !== null && name !== undefined && name !== '') return String(name);
+  return sourceIndex === null ? `New ${feature.geometry?.type || 'feature'}` : `Feature ${sourceIndex + 1}`;
+};
+
+const describeSaveError = (err, fileName) => {
+  if (err.isConflict) return `A dataset named "${fileName}" already exists. Choose a different name.`;
+  if (err.isPayloadTooLarge) return 'The server rejected the dataset because it exceeds the upload size limit.';
+  if (err.isValidationError) return `The server rejected the GeoJSON: ${err.message}`;
+  return `Could not save the dataset: ${err.message}`;
+};
+
+// Key/value rows for one feature's properties. Features without properties start
+// with the dataset's columns, so drawn features fit in with the rest.
+const PropertyForm = ({ item, columns, onApply, onDelete }) => {
+  const properties = item.feature.properties || {};
+  const [rows, setRows] = useState(() => {
+    const names = Object.keys(properties).length > 0 ? Object.keys(properties) : columns.map(column => column.key);
+    return names.map(name => ({ name, value: toText(properties[name]) }));
+  });
+  const [error, setError] = useState(null);
+
+  const changeRow = (index, field, value) =>
+    setRows(current => current.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  const apply = (e) => {
+    e.preventDefault();
+    const named = rows.map(row => ({ ...row, name: row.name.trim() })).filter(row => row.name);
+    const duplicate = named.find((row, index) => named.findIndex(other => other.name === row.name) !== index);
+    if (duplicate) {
+      setError(`"${duplicate.name}" is used more than once.`);
+      return;
+    }
+    setError(null);
+    onApply(Object.fromEntries(named.map(({ name, value }) => [name, parseValue(value, properties[name])])));
+  };
+
+  return (
+    <form className="property-form" onSubmit={apply}>
+      <h4>{featureLabel(item)}</h4>
+      {rows.length === 0 && <p className="edit-panel-hint">No properties.</p>}
+      {rows.map((row, index) => (
+        <div className="property-row" key={index}>
+          <input
+            value={row.name}
+            onChange={e => changeRow(index, 'name', e.target.value)}
+            placeholder="Name"
+            aria-label="Property name"
+          />
+          <input
+            value={row.value}
+            onChange={e => changeRow(index, 'value', e.target.value)}
+            placeholder="Value"
+            aria-label={`Value of ${row.name || 'property'}`}
+          />
+          <button
+            type="button"
+            className="property-remove"
+            onClick={() => setRows(current => current.filter((_, i) => i !== index))}
+            aria-label={`Remove ${row.name || 'property'}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {error && <p className="edit-panel-error" role="alert">{error}</p>}
+      <div className="edit-panel-actions">
+        <button type="button" className="btn btn-small btn-secondary" onClick={() => setRows([...rows, { name: '', value: '' }])}>
+          Add Property
+        </button>
+        <button type="submit" className="btn btn-small btn-primary">Apply</button>
+        <button type="button" className="btn btn-small btn-danger" onClick={onDelete}>Delete Feature</button>
+      </div>
+    </form>
+  );
+};
+
+const DiffList = ({ title, className, entries, onSelect }) => {
+  if (entries.length === 0) return null;
+  return (
+    <details className={`edit-diff ${className}`}>
+      <summary>{entries.length.toLocaleString()} {title}</summary>
+      <ul>
+        {entries.map(entry => (
+          <li key={entry.key ?? entry.sourceIndex}>
+            {onSelect
+              ? <button className="edit-diff-link" onClick={() => onSelect(entry.key)}>{featureLabel(entry)}</button>
+              : featureLabel(entry)}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+// Changes to a dataset being edited on the map: what was added, changed and removed,
+// the properties of the selected feature, and saving the result as a new dataset.
+// `edits` is the value of useFeatureEdits(); onSaved(dataset) receives the new dataset.
+const EditPanel = ({ dataset, edits, columns, selectedKey, onSelect, onSaved }) => {
+  const [name, setName] = useState(() => `${dataset.name.replace(GEOJSON_EXTENSION, '')} (edited).geojson`);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // The session can end while editing, e.g. by logging out in another tab
+  const session = useAuth();
+  const { added, changed, removed } = edits.diff;
+  const hasChanges = added.length + changed.length + removed.length > 0;
+  const selectedItem = edits.items.find(item => item.key === selectedKey);
+
+  const save = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError('Name cannot be empty.');
+      return;
+    }
+    const fileName = GEOJSON_EXTENSION.test(trimmed) ? trimmed : `${trimmed}.geojson`;
+    const geojson = edits.toCollection();
+    const validation = validateGeoJSONObject(geojson);
+    if (!validation.valid) {
+      setError(`The edited features are not valid GeoJSON: ${validation.errors[0].message}`);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await GeoSpotAPI.uploadGeoJSON(toGeoJSONFile(geojson, fileName));
+      onSaved(result);
+    } catch (err) {
+      setError(describeSaveError(err, fileName));
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="edit-panel">
+      <p className="edit-panel-hint">
+        Use the toolbar on the map to draw, reshape, move or delete features. Click a feature to edit its properties.
+      </p>
+
+      <div className="edit-summary">
+        {hasChanges ? (
+          <>
+            <DiffList title="added" className="added" entries={added} onSelect={onSelect} />
+            <DiffList title="changed" className="changed" entries={changed} onSelect={onSelect} />
+            <DiffList title="removed" className="removed" entries={removed} />
+          </>
+        ) : (
+          <span className="edit-panel-hint">No changes yet.</span>
+        )}
+      </div>
+
+      {selectedItem && (
+        <PropertyForm
+          key={selectedItem.key}
+          item={selectedItem}
+          columns={columns}
+          onApply={properties => edits.update(selectedItem.key, { properties })}
+          onDelete={() => {
+            edits.remove(selectedItem.key);
+            onSelect(null);
+          }}
+        />
+      )}
+
+      <form className="edit-save" onSubmit={save}>
+        <label>
+          New dataset name
+          <input value={name} onChange={e => setName(e.target.value)} maxLength={255} />
+        </label>
+        <button type="submit" className="btn btn-small btn-primary" disabled={!hasChanges || saving || !session}>
+          {saving ? 'Saving...' : 'Save as New Dataset'}
+        </button>
+        <button
+          type="button"
+          className="btn btn-small btn-secondary"
+          onClick={() => {
+            edits.reset();
+            onSelect(null);
+          }}
+          disabled={!hasChanges || saving}
+        >
+          Discard Changes
+        </button>
+      </form>
+      {!session && <p className="edit-panel-error">Log in again to save your changes as a new dataset.</p>}
+      {error && <p className="edit-panel-error" role="alert">{error}</p>}
+    </div>
+  );
+};
+
+export default EditPanel;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './EditableField.css';
+
+// Text shown with an edit button that switches it to an input in place.
+// onSave(value) is called with the trimmed value and the field closes right away;
+// the caller applies the change optimistically. validate(value) may return an error message.
+// Without onSave the text is shown read-only.
+const EditableField = ({ value, onSave, multiline = false, placeholder, label, validate, maxLength, children }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(value || '');
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (editing) inputRef.current?.focus();
+  }, [editing]);
+
+  const startEditing = () => {
+    setDraft(value || '');
+    setError(null);
+    setEditing(true);
+  };
+
+  const save = () => {
+    const next = draft.trim();
+    const message = validate?.(next);
+    if (message) {
+      setError(message);
+      return;
+    }
+    setEditing(false);
+    if (next !== (value || '')) onSave(next);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setEditing(false);
+    } else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  if (!editing) {
+    return (
+      <span className="editable-field">
+        {children || value || <span className="editable-placeholder">{placeholder}</span>}
+        {onSave && (
+          <button className="editable-edit" onClick={startEditing} title={`Edit ${label}`} aria-label={`Edit ${label}`}>
+            <i className="fas fa-pen"></i>
+          </button>
+        )}
+      </span>
+    );
+  }
+
+  const InputTag = multiline ? 'textarea' : 'input';
+  return (
+    <span className="editable-field editing">
+      <InputTag
+        ref={inputRef}
+        className="form-control editable-input"
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        maxLength={maxLength}
+        rows={multiline ? 3 : undefined}
+        aria-label={label}
+      />
+      <span className="editable-actions">
+        <button className="btn btn-small btn-primary" onClick={save}>Save</button>
+        <button className="btn btn-small btn-secondary" onClick={() => setEditing(false)}>Cancel</button>
+      </span>
+      {error && <span className="editable-error">{error}</span>}
+    </span>
+  );
+};
+
+export default EditableField;
@@ -1,17 +1,18 @@
 import React from 'react';
 import './ErrorMessage.css';
 
-const ErrorMessage = ({ message, onRetry }) => {
+const ErrorMessage = ({ title = 'Error', message, onRetry, children }) => {
   return (
     <div className="error-container">
       <div className="error-content">
-        <h3>Error</h3>
+        <h3>{title}</h3>
         <p>{message}</p>
         {onRetry && (
           <button className="btn btn-primary" onClick={onRetry}>
             Try Again
           </button>
         )}
+        {children}
       </div>
     </div>
   );
@@ -0,0 +1,159 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import '@geoman-io/leaflet-geoman-free';
+import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css';
+
+// Features are colored by how they differ from the saved dataset
+const EDIT_STYLES = {
+  unchanged: { color: '#3388ff', fillColor: '#3388ff', weight: 2, opacity: 0.9, fillOpacity: 0.2, radius: 6, dashArray: null },
+  changed: { color: '#e67e22', fillColor: '#e67e22', weight: 3, opacity: 1, fillOpacity: 0.3, radius: 7, dashArray: null },
+  added: { color: '#27ae60', fillColor: '#27ae60', weight: 3, opacity: 1, fillOpacity: 0.3, radius: 7, dashArray: null },
+};
+
+const TOOLBAR = {
+  position: 'topleft',
+  drawMarker: false,
+  drawCircleMarker: true,
+  drawPolyline: true,
+  drawRectangle: true,
+  drawPolygon: true,
+  drawCircle: false,
+  drawText: false,
+  editMode: true,
+  dragMode: true,
+  cutPolygon: false,
+  removalMode: true,
+  rotateMode: false,
+};
+
+const pointToLayer = (feature, latlng) => L.circleMarker(latlng);
+
+// Geometry of a layer without rounding the coordinates
+const geometryOf = (layer) => layer.toGeoJSON(false).geometry;
+
+const applyStyle = (layer, style) => {
+  if (layer.setStyle) layer.setStyle(style);
+  else if (layer.eachLayer) layer.eachLayer(child => child.setStyle?.(style));
+};
+
+// Draws the features being edited as editable layers and adds the drawing toolbar:
+// points, lines, polygons and rectangles can be drawn, and existing features reshaped,
+// moved or deleted. `items` are useFeatureEdits() items and `status` its status map.
+// Layers are built from the items present on mount (remount to start over); after
+// that the map reports changes through onCreate(geometry) (returns the new key),
+// onChange(key, geometry) and onRemove(key). Clicking a feature calls onSelect(key).
+const FeatureEditor = ({ items, status, selectedKey, selectedStyle, onCreate, onChange, onRemove, onSelect }) => {
+  const map = useMap();
+  const groupRef = useRef(null);
+  // Layer of each feature, by key
+  const layersRef = useRef(new Map());
+  // Style name last applied to each layer, so only changed layers are restyled
+  const appliedRef = useRef(new Map());
+  const initialItemsRef = useRef(items);
+  // Leaflet handlers are bound once, so they call through a ref to the latest callbacks
+  const handlersRef = useRef();
+  handlersRef.current = { onCreate, onChange, onRemove, onSelect };
+
+  useEffect(() => {
+    const group = L.featureGroup().addTo(map);
+    const layers = layersRef.current;
+    const applied = appliedRef.current;
+    const keyOf = new Map();
+    groupRef.current = group;
+
+    const register = (key, layer) => {
+      layers.set(key, layer);
+      keyOf.set(layer, key);
+      // MultiPoints are groups whose points are edited one by one
+      const parts = layer.getLayers ? layer.getLayers() : [layer];
+      parts.forEach(part => {
+        part.on('pm:edit pm:dragend', () => handlersRef.current.onChange(key, geometryOf(layer)));
+        part.on('click', () => {
+          if (!map.pm.globalRemovalModeEnabled() && !map.pm.globalDrawModeEnabled()) handlersRef.current.onSelect(key);
+        });
+      });
+    };
+
+    initialItemsRef.current.forEach(({ key, feature }) => {
+      if (!feature.geometry) return;
+      const layer = L.geoJSON(feature, { pointToLayer }).getLayers()[0];
+      if (!layer) return;
+      group.addLayer(layer);
+      register(key, layer);
+    });
+
+    const handleCreate = ({ layer }) => {
+      const key = handlersRef.current.onCreate(geometryOf(layer));
+      register(key, layer);
+      handlersRef.current.onSelect(key);
+    };
+
+    const handleRemove = ({ layer }) => {
+      const key = keyOf.get(layer);
+      if (key !== undefined) {
+        layers.delete(key);
+        handlersRef.current.onRemove(key);
+        return;
+      }
+      // A single point removed from a MultiPoint
+      const owner = [...layers.entries()].find(([, candidate]) => candidate.hasLayer?.(layer));
+      if (!owner) return;
+      const [ownerKey, ownerLayer] = owner;
+      ownerLayer.removeLayer(layer);
+      if (ownerLayer.getLayers().length > 0) {
+        handlersRef.current.onChange(ownerKey, geometryOf(ownerLayer));
+      } else {
+        group.removeLayer(ownerLayer);
+        layers.delete(ownerKey);
+        handlersRef.current.onRemove(ownerKey);
+      }
+    };
+
+    map.pm.setGlobalOptions({ layerGroup: group, continueDrawing: false });
+    map.pm.addControls(TOOLBAR);
+    map.on('pm:create', handleCreate);
+    map.on('pm:remove', handleRemove);
+
+    return () => {
+      map.off('pm:create', handleCreate);
+      map.off('pm:remove', handleRemove);
+      // Disabling a mode that was never on makes Leaflet warn about missing listeners
+      map.pm.disableDraw();
+      if (map.pm.globalEditModeEnabled()) map.pm.disableGlobalEditMode();
+      if (map.pm.globalDragModeEnabled()) map.pm.disableGlobalDragMode();
+      if (map.pm.globalRemovalModeEnabled()) map.pm.disableGlobalRemovalMode();
+      map.pm.removeControls();
+      map.pm.setGlobalOptions({ layerGroup: null });
+      map.removeLayer(group);
+      layers.clear();
+      applied.clear();
+      groupRef.current = null;
+    };
+  }, [map]);
+
+  // Features deleted outside the map, e.g. from the property panel
+  useEffect(() => {
+    const keys = new Set(items.map(item => item.key));
+    layersRef.current.forEach((layer, key) => {
+      if (keys.has(key)) return;
+      groupRef.current?.removeLayer(layer);
+      layersRef.current.delete(key);
+    });
+  }, [items]);
+
+  useEffect(() => {
+    const applied = appliedRef.current;
+    layersRef.current.forEach((layer, key) => {
+      const name = status.get(key) || 'unchanged';
+      const applies = key === selectedKey ? `${name} selected` : name;
+      if (applied.get(key) === applies) return;
+      applied.set(key, applies);
+      applyStyle(layer, key === selectedKey ? { ...EDIT_STYLES[name], ...selectedStyle } : EDIT_STYLES[name]);
+    });
+  }, [items, status, selectedKey, selectedStyle]);
+
+  return null;
+};
+
+export default FeatureEditor;
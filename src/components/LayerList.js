@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { moveLayer } from '../utils/workspaceLayers';
+import './LayerList.css';
+
+// Layer control for the map workspace. `layers` are ordered top to bottom;
+// `info` maps a layer id to { name, status, error, featureCount } where status
+// is 'loading', 'ready' or 'error'. Layers are reordered by dragging their handle
+// or with the arrow buttons. onChange(layers) receives the whole updated list.
+const LayerList = ({ layers, info, activeId, onChange, onActivate, onZoom, onRetry }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const update = (id, changes) =>
+    onChange(layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)));
+
+  const move = (from, to) => {
+    if (to < 0 || to >= layers.length || from === to) return;
+    onChange(moveLayer(layers, from, to));
+  };
+
+  const endDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  if (layers.length === 0) {
+    return <p className="layer-list-empty">No layers yet. Add a dataset to get started.</p>;
+  }
+
+  return (
+    <ol className="layer-list">
+      {layers.map((layer, index) => {
+        const { name, status, error, featureCount } = info[layer.id] || {};
+        const label = name || `Dataset ${layer.id}`;
+        return (
+          <li
+            key={layer.id}
+            className={[
+              'layer-item',
+              layer.id === activeId ? 'active' : '',
+              index === dragIndex ? 'dragging' : '',
+              index === dropIndex && dropIndex !== dragIndex ? 'drop-target' : '',
+            ].filter(Boolean).join(' ')}
+            onDragOver={e => {
+              if (dragIndex === null) return;
+              e.preventDefault();
+              setDropIndex(index);
+            }}
+            onDrop={e => {
+              e.preventDefault();
+              if (dragIndex !== null) move(dragIndex, index);
+              endDrag();
+            }}
+          >
+            <div className="layer-row">
+              <span
+                className="layer-handle"
+                draggable
+                onDragStart={e => {
+                  setDragIndex(index);
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', label);
+                  e.dataTransfer.setDragImage(e.currentTarget.closest('li'), 12, 12);
+                }}
+                onDragEnd={endDrag}
+                title="Drag to reorder"
+                aria-hidden="true"
+              >
+                ⋮⋮
+              </span>
+              <input
+                type="checkbox"
+                checked={layer.visible}
+                onChange={e => update(layer.id, { visible: e.target.checked })}
+                aria-label={`Show ${label}`}
+              />
+              <button className="layer-name" onClick={() => onActivate(layer.id)} title="Edit style">
+                {label}
+              </button>
+              <span className="layer-order">
+                <button onClick={() => move(index, index - 1)} disabled={index === 0} aria-label={`Move ${label} up`}>↑</button>
+                <button
+                  onClick={() => move(index, index + 1)}
+                  disabled={index === layers.length - 1}
+                  aria-label={`Move ${label} down`}
+                >
+                  ↓
+                </button>
+              </span>
+              <button
+                className="layer-remove"
+                onClick={() => onChange(layers.filter(candidate => candidate.id !== layer.id))}
+                aria-label={`Remove ${label}`}
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="layer-row layer-details">
+              {status === 'loading' && <span className="layer-status">Loading...</span>}
+              {status === 'error' && (
+                <span className="layer-status error">
+                  {error}
+                  <button className="layer-link" onClick={() => onRetry(layer.id)}>Retry</button>
+                </span>
+              )}
+              {status === 'ready' && (
+                <>
+                  <label className="layer-opacity">
+                    Opacity
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={layer.opacity}
+                      onChange={e => update(layer.id, { opacity: Number(e.target.value) })}
+                    />
+                    {Math.round(layer.opacity * 100)}%
+                  </label>
+                  <span className="layer-status">{featureCount.toLocaleString()} features</span>
+                  <button className="layer-link" onClick={() => onZoom(layer.id)}>Zoom to</button>
+                  <Link className="layer-link" to={`/datasets/${layer.id}`}>Details</Link>
+                </>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default LayerList;
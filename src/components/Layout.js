@@ -1,11 +1,28 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import GeoSpotAPI from '../services/geospot-api';
+import { subscribe as subscribeToSession } from '../services/auth-session';
+import useAuth from '../utils/useAuth';
+import CacheControl from './CacheControl';
+import OfflineIndicator from './OfflineIndicator';
 import './Layout.css';
 
 const Layout = ({ children }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [darkMode, setDarkMode] = useState(false);
   const location = useLocation();
+  const navigate = useNavigate();
+  const session = useAuth();
+  const locationRef = useRef(location);
+  locationRef.current = location;
+
+  // A request was rejected with 401: log in (again), then come back to this page
+  useEffect(() => subscribeToSession((next, reason) => {
+    const current = locationRef.current;
+    if (reason !== 'expired' && reason !== 'unauthenticated') return;
+    if (current.pathname === '/login' || current.pathname === '/register') return;
+    navigate('/login', { state: { from: current, expired: reason === 'expired' } });
+  }), [navigate]);
 
   // Check system preference or saved preference for dark mode
   useEffect(() => {
@@ -38,6 +55,12 @@ const Layout = ({ children }) => {
     setDarkMode(!darkMode);
   };
 
+  const handleLogout = async () => {
+    setIsMenuOpen(false);
+    await GeoSpotAPI.logout();
+    navigate('/');
+  };
+
   const isActive = (path) => {
     return location.pathname === path;
   };
@@ -76,6 +99,15 @@ const Layout = ({ children }) => {
                   Datasets
                 </Link>
               </li>
+              <li>
+                <Link 
+                  to="/map" 
+                  className={`slide-in-left ${isActive('/map') ? 'active' : ''}`}
+                  onClick={() => setIsMenuOpen(false)}
+                >
+                  Map
+                </Link>
+              </li>
               <li>
                 <Link 
                   to="/upload" 
@@ -94,6 +126,27 @@ const Layout = ({ children }) => {
                   Docs
                 </Link>
               </li> */}
+              {session ? (
+                <li className="nav-user">
+                  <span title={session.user?.email}>
+                    <i className="fas fa-user"></i> {session.user?.username || session.user?.email || 'Account'}
+                  </span>
+                  <button className="nav-logout" onClick={handleLogout}>
+                    Log Out
+                  </button>
+                </li>
+              ) : (
+                <li>
+                  <Link
+                    to="/login"
+                    state={{ from: location }}
+                    className={`slide-in-left ${isActive('/login') ? 'active' : ''}`}
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Log In
+                  </Link>
+                </li>
+              )}
             </ul>
             <div className="theme-toggle-container">
               <button 
@@ -106,6 +159,7 @@ const Layout = ({ children }) => {
             </div>
           </nav>
         </div>
+        <OfflineIndicator />
       </header>
 
       <main className="main-content slide-in-up">
@@ -118,6 +172,7 @@ const Layout = ({ children }) => {
           <div className="footer-links">
             <Link to="/docs">Documentation</Link>
             <a href="#about">About</a>
+            <CacheControl />
           </div>
         </div>
       </footer>
@@ -1,13 +1,25 @@
 import React from 'react';
 import './LoadingSpinner.css';
 
-const LoadingSpinner = ({ message = 'Loading...' }) => {
+// progress (0–1) adds a progress bar under the message
+const LoadingSpinner = ({ message = 'Loading...', progress }) => {
   return (
     <div className="loading-container">
       <div className="spinner"></div>
       <p>{message}</p>
+      {progress !== undefined && (
+        <div
+          className="loading-progress"
+          role="progressbar"
+          aria-valuemin="0"
+          aria-valuemax="100"
+          aria-valuenow={Math.round(progress * 100)}
+        >
+          <div className="loading-progress-fill" style={{ width: `${Math.min(progress, 1) * 100}%` }}></div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default LoadingSpinner;
\ No newline at end of file
+export default LoadingSpinner;
@@ -0,0 +1,44 @@
+import React from 'react';
+import './MapLegend.css';
+
+// Legend overlay for the map, from the `legend` returned by classifyFeatures()
+const MapLegend = ({ legend }) => {
+  if (legend.entries.length === 0 && !legend.sizes) return null;
+  const largest = legend.sizes ? Math.max(...legend.sizes.entries.map(entry => entry.radius)) : 0;
+
+  return (
+    <div className="map-legend">
+      {legend.entries.length > 0 && (
+        <>
+          <h4>{legend.title}</h4>
+          <ul>
+            {legend.entries.map(({ label, color, count }) => (
+              <li key={label}>
+                <span className="map-legend-swatch" style={{ backgroundColor: color }}></span>
+                <span className="map-legend-label">{label}</span>
+                {count !== undefined && <span className="map-legend-count">{count.toLocaleString()}</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {legend.sizes && (
+        <>
+          <h4>{legend.sizes.title}</h4>
+          <ul>
+            {legend.sizes.entries.map(({ label, radius }) => (
+              <li key={label}>
+                <span className="map-legend-size" style={{ width: largest * 2 }}>
+                  <span style={{ width: radius * 2, height: radius * 2 }}></span>
+                </span>
+                <span className="map-legend-label">{label}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MapLegend;
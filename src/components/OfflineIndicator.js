@@ -0,0 +1,17 @@
+import React from 'react';
+import useOnlineStatus from '../utils/useOnlineStatus';
+import './OfflineIndicator.css';
+
+const OfflineIndicator = () => {
+  const online = useOnlineStatus();
+
+  if (online) return null;
+
+  return (
+    <div className="offline-indicator" role="status">
+      <i className="fas fa-plane"></i> Offline. Showing datasets saved for offline use.
+    </div>
+  );
+};
+
+export default OfflineIndicator;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import L from 'leaflet';
+import GeoSpotAPI from '../services/geospot-api';
+import {
+  isOfflineSupported,
+  isDatasetPinned,
+  pinDataset,
+  unpinDataset,
+  estimateTileDownload,
+  prefetchTiles,
+  clearOfflineTiles,
+  getStorageEstimate,
+  MAX_PREFETCH_ZOOM,
+} from '../services/offline-store';
+import { formatBytes } from '../utils/format';
+import { bboxToBounds } from '../utils/geojsonPreprocess';
+import useOnlineStatus from '../utils/useOnlineStatus';
+import './OfflinePanel.css';
+
+const ZOOM_LEVELS = Array.from({ length: MAX_PREFETCH_ZOOM + 1 }, (_, zoom) => zoom);
+const BUDGET_OPTIONS_MB = [10, 25, 50, 100, 250];
+
+// Leaflet bounds of the dataset as [[south, west], [north, east]]
+const datasetBounds = (geojson) => {
+  const fromBbox = bboxToBounds(geojson?.bbox);
+  if (fromBbox) return fromBbox;
+  try {
+    const bounds = L.geoJSON(geojson).getBounds();
+    if (!bounds.isValid()) return null;
+    return [
+      [bounds.getSouth(), bounds.getWest()],
+      [bounds.getNorth(), bounds.getEast()],
+    ];
+  } catch (err) {
+    return null;
+  }
+};
+
+// Pin a dataset for offline use and pre-fetch the map tiles around it
+const OfflinePanel = ({ dataset, geojson }) => {
+  const online = useOnlineStatus();
+  const [pinned, setPinned] = useState(() => isDatasetPinned(dataset.id));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [minZoom, setMinZoom] = useState(2);
+  const [maxZoom, setMaxZoom] = useState(12);
+  const [budgetMB, setBudgetMB] = useState(50);
+  const [download, setDownload] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const controllerRef = useRef(null);
+
+  const bounds = useMemo(() => datasetBounds(geojson), [geojson]);
+  const estimate = useMemo(
+    () => (bounds ? estimateTileDownload(bounds, minZoom, maxZoom) : null),
+    [bounds, minZoom, maxZoom]
+  );
+
+  useEffect(() => {
+    const refresh = () => setPinned(isDatasetPinned(dataset.id));
+    refresh();
+    window.addEventListener('geospot-pinned-change', refresh);
+    return () => window.removeEventListener('geospot-pinned-change', refresh);
+  }, [dataset.id]);
+
+  // Keep the saved copy in step with what the server returned
+  useEffect(() => {
+    if (online && isDatasetPinned(dataset.id)) {
+      pinDataset(GeoSpotAPI.baseURL, dataset, geojson).catch(() => {});
+    }
+  }, [online, dataset, geojson]);
+
+  useEffect(() => {
+    getStorageEstimate().then(setStorage).catch(() => {});
+  }, [pinned, download?.finished]);
+
+  // Stop tile downloads when leaving the page
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  if (!isOfflineSupported()) return null;
+
+  const togglePinned = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      if (pinned) {
+        await unpinDataset(GeoSpotAPI.baseURL, dataset.id);
+      } else {
+        await pinDataset(GeoSpotAPI.baseURL, dataset, geojson);
+      }
+    } catch (err) {
+      setError(err.name === 'QuotaExceededError'
+        ? 'Not enough storage space to save this dataset offline.'
+        : `Could not update offline copy: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startDownload = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setDownload({ done: 0, total: estimate.count, bytes: 0, finished: false });
+
+    try {
+      const result = await prefetchTiles({
+        datasetId: dataset.id,
+        bounds,
+        minZoom,
+        maxZoom,
+        budgetBytes: budgetMB * 1024 * 1024,
+        signal: controller.signal,
+        onProgress: progress => setDownload({ ...progress, finished: false }),
+      });
+      setDownload({ ...result, finished: true });
+    } catch (err) {
+      setError(`Tile download failed: ${err.message}`);
+      setDownload(null);
+    } finally {
+      controllerRef.current = null;
+    }
+  };
+
+  const cancelDownload = () => controllerRef.current?.abort();
+
+  const clearTiles = async () => {
+    if (!window.confirm('Remove all downloaded map tiles? Pinned datasets are kept.')) return;
+    await clearOfflineTiles();
+    setDownload(null);
+    setStorage(await getStorageEstimate().catch(() => null));
+  };
+
+  const downloading = download && !download.finished;
+  const percent = download && download.total > 0 ? Math.round((download.done / download.total) * 100) : 0;
+
+  return (
+    <div className="offline-panel">
+      <div className="offline-panel-header">
+        <h3>Offline Access</h3>
+        <button className={`btn ${pinned ? 'btn-secondary' : 'btn-primary'}`} onClick={togglePinned} disabled={busy}>
+          {pinned ? 'Remove Offline Copy' : 'Make Available Offline'}
+        </button>
+      </div>
+
+      <p className="offline-panel-status">
+        {pinned
+          ? 'This dataset is saved on this device and can be opened without a connection.'
+          : 'Save this dataset on this device to view it without a connection.'}
+      </p>
+
+      {pinned && bounds && (
+        <div className="offline-tiles">
+          <div className="offline-tiles-options">
+            <label>
+              Min zoom
+              <select value={minZoom} onChange={e => setMinZoom(Math.min(Number(e.target.value), maxZoom))} disabled={downloading}>
+                {ZOOM_LEVELS.map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+              </select>
+            </label>
+            <label>
+              Max zoom
+              <select value={maxZoom} onChange={e => setMaxZoom(Math.max(Number(e.target.value), minZoom))} disabled={downloading}>
+                {ZOOM_LEVELS.map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+              </select>
+            </label>
+            <label>
+              Storage budget
+              <select value={budgetMB} onChange={e => setBudgetMB(Number(e.target.value))} disabled={downloading}>
+                {BUDGET_OPTIONS_MB.map(mb => <option key={mb} value={mb}>{mb} MB</option>)}
+              </select>
+            </label>
+          </div>
+
+          <p className="offline-tiles-estimate">
+            About {estimate.count.toLocaleString()} tiles (~{formatBytes(estimate.bytes)}) cover this dataset
+            {estimate.bytes > budgetMB * 1024 * 1024 && '; the download will stop when the budget is reached'}.
+          </p>
+
+          {download && (
+            <div className="offline-tiles-progress">
+              <div className="offline-progress-bar">
+                <div className="offline-progress-fill" style={{ width: `${percent}%` }}></div>
+              </div>
+              <span>
+                {download.done.toLocaleString()} / {download.total.toLocaleString()} tiles, {formatBytes(download.bytes)}
+                {download.finished && download.cancelled && ' (cancelled)'}
+                {download.finished && download.overBudget && ' (stopped at storage budget)'}
+              </span>
+            </div>
+          )}
+
+          <div className="offline-tiles-actions">
+            {downloading ? (
+              <button className="btn btn-secondary" onClick={cancelDownload}>Cancel Download</button>
+            ) : (
+              <button className="btn btn-primary" onClick={startDownload} disabled={!online || estimate.count === 0}>
+                Download Map Tiles
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={clearTiles} disabled={downloading}>
+              Clear Downloaded Tiles
+            </button>
+          </div>
+        </div>
+      )}
+
+      {storage && (
+        <p className="offline-storage">
+          Using {formatBytes(storage.usage)} of {formatBytes(storage.quota)} available browser storage.
+        </p>
+      )}
+      {error && <p className="offline-error">{error}</p>}
+    </div>
+  );
+};
+
+export default OfflinePanel;
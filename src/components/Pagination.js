@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+
+// Previous/next buttons with an editable page number for jumping to any page.
+// page is 1-based.
+const Pagination = ({ page, pageCount, onChange }) => {
+  const [input, setInput] = useState(String(page));
+
+  useEffect(() => {
+    setInput(String(page));
+  }, [page]);
+
+  const jump = () => {
+    const target = Number(input);
+    if (Number.isInteger(target) && target >= 1 && target <= pageCount) {
+      if (target !== page) onChange(target);
+    } else {
+      setInput(String(page));
+    }
+  };
+
+  return (
+    <div className="pagination">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className="btn btn-secondary"
+      >
+        Previous
+      </button>
+      <span className="page-info">
+        Page{' '}
+        <input
+          type="number"
+          className="page-input"
+          min="1"
+          max={pageCount}
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          onBlur={jump}
+          onKeyDown={e => {
+            if (e.key === 'Enter') jump();
+          }}
+          aria-label="Page number"
+        />
+        {' '}of {pageCount}
+      </span>
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={page >= pageCount}
+        className="btn btn-secondary"
+      >
+        Next
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,53 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+
+// Datasets with at least this many point features are clustered unless turned off
+export const CLUSTER_THRESHOLD = 1000;
+
+const POINT_TYPES = new Set(['Point', 'MultiPoint']);
+
+export const isPointFeature = (feature) => POINT_TYPES.has(feature.geometry?.type);
+
+// Clusters the point features of a GeoJSON layer while mounted. Their layers are moved
+// into a marker cluster group and back on unmount, so the same layer objects keep their
+// styles, popups and click handlers. Clicking a cluster zooms to it; clusters that can't
+// be split further spiderfy. clusterRef receives the cluster group.
+const PointClusters = ({ geoJsonRef, clusterRef }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const geoJsonLayer = geoJsonRef.current;
+    if (!geoJsonLayer) return undefined;
+
+    const pointLayers = geoJsonLayer.getLayers().filter(layer => isPointFeature(layer.feature));
+    // MultiPoints are clustered point by point; clicks still reach the feature's
+    // layer because it stays the event parent of its markers
+    const markers = pointLayers.flatMap(layer => (layer.getLayers ? layer.getLayers() : [layer]));
+
+    const cluster = L.markerClusterGroup({
+      chunkedLoading: true,
+      showCoverageOnHover: false,
+      spiderfyOnMaxZoom: true,
+      zoomToBoundsOnClick: true,
+    });
+    pointLayers.forEach(layer => geoJsonLayer.removeLayer(layer));
+    cluster.addLayers(markers);
+    map.addLayer(cluster);
+    if (clusterRef) clusterRef.current = cluster;
+
+    return () => {
+      map.removeLayer(cluster);
+      cluster.clearLayers();
+      pointLayers.forEach(layer => geoJsonLayer.addLayer(layer));
+      if (clusterRef) clusterRef.current = null;
+    };
+  }, [map, geoJsonRef, clusterRef]);
+
+  return null;
+};
+
+export default PointClusters;
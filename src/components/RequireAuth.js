@@ -0,0 +1,16 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import useAuth from '../utils/useAuth';
+
+// Route guard: sends anonymous users to the login page, which brings them back afterwards
+const RequireAuth = ({ children }) => {
+  const session = useAuth();
+  const location = useLocation();
+
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,157 @@
+import React from 'react';
+import { COLOR_RAMPS, CLASSIFICATIONS, CLASS_COUNTS, DEFAULT_STYLE, rampColors } from '../utils/dataStyle';
+import './StylePanel.css';
+
+const rampPreview = (ramp) => {
+  const colors = rampColors(ramp, COLOR_RAMPS[ramp].type === 'qualitative' ? COLOR_RAMPS[ramp].colors.length : 7);
+  return `linear-gradient(to right, ${colors.map((color, i) =>
+    `${color} ${(i / colors.length) * 100}% ${((i + 1) / colors.length) * 100}%`).join(', ')})`;
+};
+
+// Controls for the data-driven map style. `columns` come from collectColumns();
+// graduated classifications and proportional sizes need numeric columns.
+// Children (e.g. preset controls) are shown under the header.
+const StylePanel = ({ columns, config, onChange, children }) => {
+  const numericColumns = columns.filter(column => column.type === 'number');
+  const propertyColumn = columns.find(column => column.key === config.property);
+  const graduated = config.method !== 'categorical';
+
+  const update = (changes) => onChange({ ...config, ...changes });
+
+  const changeProperty = (property) => {
+    const column = columns.find(candidate => candidate.key === property);
+    const changes = { property };
+    // Text can only be shown as categories; numbers default to graduated colours
+    if (column?.type === 'text') {
+      changes.method = 'categorical';
+    } else if (column && config.method === 'categorical') {
+      changes.method = 'quantile';
+    }
+    const rampType = COLOR_RAMPS[config.ramp].type;
+    if (changes.method === 'categorical' && rampType !== 'qualitative') changes.ramp = 'category';
+    if (changes.method && changes.method !== 'categorical' && rampType === 'qualitative') changes.ramp = DEFAULT_STYLE.ramp;
+    update(changes);
+  };
+
+  return (
+    <div className="style-panel">
+      <div className="style-panel-header">
+        <h3>Map Style</h3>
+        <button className="btn btn-small btn-secondary" onClick={() => onChange(DEFAULT_STYLE)}>Reset</button>
+      </div>
+
+      {children}
+
+      <div className="style-panel-options">
+        <label>
+          Colour by
+          <select value={config.property} onChange={e => changeProperty(e.target.value)}>
+            <option value="">Geometry type</option>
+            {columns.map(({ key }) => <option key={key} value={key}>{key}</option>)}
+          </select>
+        </label>
+
+        {config.property && (
+          <label>
+            Classification
+            <select value={config.method} onChange={e => update({ method: e.target.value })}>
+              {Object.entries(CLASSIFICATIONS)
+                .filter(([method]) => method === 'categorical' || propertyColumn?.type === 'number')
+                .map(([method, label]) => <option key={method} value={method}>{label}</option>)}
+            </select>
+          </label>
+        )}
+
+        {config.property && graduated && (
+          <label>
+            Classes
+            <select value={config.classes} onChange={e => update({ classes: Number(e.target.value) })}>
+              {CLASS_COUNTS.map(count => <option key={count} value={count}>{count}</option>)}
+            </select>
+          </label>
+        )}
+
+        {config.property && (
+          <label>
+            Colours
+            <span className="style-ramp-field">
+              <select value={config.ramp} onChange={e => update({ ramp: e.target.value })}>
+                {Object.entries(COLOR_RAMPS).map(([ramp, { label }]) => <option key={ramp} value={ramp}>{label}</option>)}
+              </select>
+              <span className="style-ramp-preview" style={{ background: rampPreview(config.ramp) }}></span>
+            </span>
+          </label>
+        )}
+
+        <label>
+          Size points by
+          <select
+            value={config.sizeProperty}
+            onChange={e => update({ sizeProperty: e.target.value })}
+            disabled={numericColumns.length === 0}
+          >
+            <option value="">Fixed size</option>
+            {numericColumns.map(({ key }) => <option key={key} value={key}>{key}</option>)}
+          </select>
+        </label>
+
+        {config.sizeProperty && (
+          <label>
+            Radius {config.minRadius}–{config.maxRadius} px
+            <span className="style-range-pair">
+              <input
+                type="range"
+                min="1"
+                max="20"
+                value={config.minRadius}
+                onChange={e => update({ minRadius: Math.min(Number(e.target.value), config.maxRadius) })}
+                aria-label="Minimum radius"
+              />
+              <input
+                type="range"
+                min="5"
+                max="50"
+                value={config.maxRadius}
+                onChange={e => update({ maxRadius: Math.max(Number(e.target.value), config.minRadius) })}
+                aria-label="Maximum radius"
+              />
+            </span>
+          </label>
+        )}
+
+        <label>
+          Opacity {Math.round(config.fillOpacity * 100)}%
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={config.fillOpacity}
+            onChange={e => update({ fillOpacity: Number(e.target.value) })}
+          />
+        </label>
+
+        <label>
+          Stroke {config.strokeWidth} px
+          <span className="style-stroke-field">
+            <input
+              type="range"
+              min="0"
+              max="8"
+              value={config.strokeWidth}
+              onChange={e => update({ strokeWidth: Number(e.target.value) })}
+            />
+            <input
+              type="color"
+              value={config.strokeColor}
+              onChange={e => update({ strokeColor: e.target.value })}
+              aria-label="Stroke colour"
+            />
+          </span>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default StylePanel;
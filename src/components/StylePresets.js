@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  getPresets,
+  savePreset,
+  deletePreset,
+  setDefaultPreset,
+  exportPresets,
+  importPresets,
+  encodeStyle,
+} from '../services/style-presets';
+import GeoSpotAPI from '../services/geospot-api';
+import { toMapboxStyle } from '../utils/mapboxStyle';
+import { downloadBlob } from '../utils/bulkActions';
+import './StylePresets.css';
+
+const fileSafe = (name) => name.replace(/[\\/:*?"<>|]/g, '_').replace(/\.(geo)?json$/i, '');
+
+const downloadJSON = (data, fileName) =>
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+
+// Save, apply and share named styles for one dataset
+const StylePresets = ({ dataset, style, classification, onApply }) => {
+  const [entry, setEntry] = useState(() => getPresets(dataset.id));
+  const [selectedId, setSelectedId] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setEntry(getPresets(dataset.id));
+    setSelectedId('');
+    setMessage(null);
+  }, [dataset.id]);
+
+  const selectedPreset = entry.presets.find(preset => preset.id === selectedId);
+
+  // localStorage writes can fail (full or disabled); report instead of crashing
+  const store = (action, success) => {
+    try {
+      const result = action();
+      setEntry(getPresets(dataset.id));
+      if (success) setMessage({ type: 'info', text: success(result) });
+      return result;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.name === 'QuotaExceededError'
+        ? 'Not enough storage space to save the preset.'
+        : err.message });
+      return null;
+    }
+  };
+
+  const applyPreset = (presetId) => {
+    setSelectedId(presetId);
+    const preset = entry.presets.find(candidate => candidate.id === presetId);
+    if (preset) onApply(preset.style);
+  };
+
+  const saveAs = () => {
+    const name = window.prompt('Preset name', selectedPreset?.name || '')?.trim();
+    if (!name) return;
+    const existing = entry.presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+    if (existing && existing.id !== selectedId && !window.confirm(`Replace the preset "${existing.name}"?`)) return;
+    const saved = store(() => savePreset(dataset.id, name, style), preset => `Saved "${preset.name}".`);
+    if (saved) setSelectedId(saved.id);
+  };
+
+  const removeSelected = () => {
+    if (!selectedPreset || !window.confirm(`Delete the preset "${selectedPreset.name}"?`)) return;
+    store(() => deletePreset(dataset.id, selectedPreset.id), () => `Deleted "${selectedPreset.name}".`);
+    setSelectedId('');
+  };
+
+  const toggleDefault = () => {
+    const isDefault = entry.defaultId === selectedId;
+    store(() => setDefaultPreset(dataset.id, isDefault ? null : selectedId), () => (isDefault
+      ? 'No preset will be applied when this dataset opens.'
+      : `"${selectedPreset.name}" will be applied when this dataset opens.`));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      setMessage({ type: 'error', text: `${file.name} is not valid JSON.` });
+      return;
+    }
+    store(() => importPresets(dataset.id, parsed), count => `Imported ${count} preset${count === 1 ? '' : 's'}.`);
+  };
+
+  const exportMapbox = () => {
+    const name = selectedPreset ? `${dataset.name} – ${selectedPreset.name}` : dataset.name;
+    const dataUrl = GeoSpotAPI.geojsonUrl(dataset.id);
+    downloadJSON(toMapboxStyle(style, classification, { name, dataUrl }), `${fileSafe(dataset.name)}-mapbox-style.json`);
+  };
+
+  const copyLink = async () => {
+    const url = `${window.location.origin}/datasets/${dataset.id}?style=${encodeURIComponent(encodeStyle(style))}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage({ type: 'info', text: 'Link to this style copied.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Could not copy the link.' });
+    }
+  };
+
+  return (
+    <div className="style-presets">
+      <div className="style-presets-row">
+        <select value={selectedId} onChange={e => applyPreset(e.target.value)} aria-label="Style preset">
+          <option value="">{entry.presets.length ? 'Saved presets…' : 'No saved presets'}</option>
+          {entry.presets.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {preset.name}{preset.id === entry.defaultId ? ' (default)' : ''}
+            </option>
+          ))}
+        </select>
+        <button className="btn btn-small btn-primary" onClick={saveAs}>Save As…</button>
+        {selectedPreset && (
+          <>
+            <button className="btn btn-small btn-secondary" onClick={toggleDefault}>
+              {entry.defaultId === selectedId ? 'Unset Default' : 'Set as Default'}
+            </button>
+            <button className="btn btn-small btn-danger" onClick={removeSelected}>Delete</button>
+          </>
+        )}
+      </div>
+
+      <div className="style-presets-row">
+        <button
+          className="btn btn-small btn-secondary"
+          onClick={() => downloadJSON(exportPresets(dataset.id, dataset.name), `${fileSafe(dataset.name)}-styles.json`)}
+          disabled={entry.presets.length === 0}
+        >
+          Export Presets
+        </button>
+        <button className="btn btn-small btn-secondary" onClick={() => fileInputRef.current?.click()}>Import Presets</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        <button className="btn btn-small btn-secondary" onClick={exportMapbox}>Export Mapbox GL Style</button>
+        <button className="btn btn-small btn-secondary" onClick={copyLink}>Copy Link</button>
+      </div>
+
+      {message && <p className={`style-presets-message ${message.type}`}>{message.text}</p>}
+    </div>
+  );
+};
+
+export default StylePresets;
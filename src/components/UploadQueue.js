@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import ValidationReport from './ValidationReport';
+import ConversionPreview from './ConversionPreview';
+import CsvMappingWizard from './CsvMappingWizard';
+import { formatBytes, formatDuration } from '../utils/format';
+import './UploadQueue.css';
+
+const STATUS_LABELS = {
+  validating: 'Validating',
+  converting: 'Converting',
+  mapping: 'Needs Mapping',
+  invalid: 'Invalid',
+  ready: 'Ready',
+  queued: 'Queued',
+  uploading: 'Uploading',
+  done: 'Uploaded',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const UploadQueueItem = ({
+  item,
+  onRetry,
+  onCancel,
+  onRemove,
+  onApplyMapping,
+  onChangeDelimiter,
+  onEditMapping,
+}) => {
+  const [showReport, setShowReport] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [showInvalidRows, setShowInvalidRows] = useState(false);
+  const {
+    file,
+    sourceFile,
+    format,
+    geojson,
+    table,
+    invalidRows,
+    status,
+    validation,
+    progress,
+    transfer,
+    result,
+    error,
+  } = item;
+  const hasIssues = validation && (validation.errors.length > 0 || validation.warnings.length > 0);
+
+  return (
+    <li className={`queue-item status-${status}`}>
+      <div className="queue-item-header">
+        <div className="queue-item-name">
+          <strong>{file.name}</strong>
+          <span className="queue-item-size">
+            {formatBytes(file.size)}
+            {format && sourceFile !== file && ` · converted from ${format} ${sourceFile.name}`}
+          </span>
+        </div>
+        <span className={`queue-status status-${status}`}>{STATUS_LABELS[status]}</span>
+      </div>
+
+      {status === 'uploading' && (
+        <div className="queue-item-progress">
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${progress}%` }}></div>
+          </div>
+          {transfer && (
+            <div className="transfer-stats">
+              <span>{formatBytes(transfer.loaded)} of {formatBytes(transfer.total)}</span>
+              <span>{formatBytes(Math.round(transfer.rate))}/s</span>
+              <span>
+                {progress >= 100 ? 'Processing on server...' : `ETA ${formatDuration(transfer.eta)}`}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <p className="queue-item-error">{error}</p>}
+
+      {status === 'mapping' && (
+        <CsvMappingWizard
+          // Remount with fresh suggestions when the file is re-parsed with another delimiter
+          key={table.delimiter}
+          table={table}
+          mapping={item.mapping}
+          types={item.types}
+          onApply={(mapping, types) => onApplyMapping(item.id, mapping, types)}
+          onChangeDelimiter={(delimiter) => onChangeDelimiter(item.id, delimiter)}
+        />
+      )}
+
+      {invalidRows.length > 0 && (
+        <div className="queue-item-invalid-rows">
+          <button className="link-button" onClick={() => setShowInvalidRows(!showInvalidRows)}>
+            {invalidRows.length} row{invalidRows.length === 1 ? '' : 's'} skipped because the geometry could not be read
+          </button>
+          {showInvalidRows && (
+            <ul>
+              {invalidRows.map(({ row, reason }) => (
+                <li key={row}><strong>Row {row}:</strong> {reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {status === 'done' && result && (
+        <p className="queue-item-result">
+          {result.feature_count} features uploaded as{' '}
+          <Link to={`/datasets/${result.id}`}>{result.name}</Link>
+        </p>
+      )}
+
+      {showReport && <ValidationReport result={validation} />}
+
+      {showPreview && geojson && <ConversionPreview geojson={geojson} />}
+
+      <div className="queue-item-actions">
+        {table && ['ready', 'invalid'].includes(status) && (
+          <button className="btn btn-small btn-secondary" onClick={() => onEditMapping(item.id)}>
+            Edit Mapping
+          </button>
+        )}
+        {geojson && (
+          <button className="btn btn-small btn-secondary" onClick={() => setShowPreview(!showPreview)}>
+            {showPreview ? 'Hide Preview' : 'Preview'}
+          </button>
+        )}
+        {hasIssues && (
+          <button className="btn btn-small btn-secondary" onClick={() => setShowReport(!showReport)}>
+            {showReport ? 'Hide Report' : 'Validation Report'}
+          </button>
+        )}
+        {['error', 'cancelled'].includes(status) && (
+          <button className="btn btn-small btn-primary" onClick={() => onRetry(item.id)}>
+            Retry
+          </button>
+        )}
+        {['queued', 'uploading'].includes(status) && (
+          <button className="btn btn-small btn-danger" onClick={() => onCancel(item.id)}>
+            Cancel
+          </button>
+        )}
+        {!['queued', 'uploading'].includes(status) && (
+          <button className="btn btn-small btn-secondary" onClick={() => onRemove(item.id)}>
+            Remove
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const UploadQueue = ({ items, ...handlers }) => {
+  if (items.length === 0) return null;
+
+  const completed = items.filter(item => item.status === 'done').length;
+
+  return (
+    <div className="upload-queue">
+      <div className="upload-queue-header">
+        <h3>Queue ({items.length})</h3>
+        <span>{completed} of {items.length} uploaded</span>
+      </div>
+      <ul>
+        {items.map(item => (
+          <UploadQueueItem
+            key={item.id}
+            item={item}
+            {...handlers}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueue;
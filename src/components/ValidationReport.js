@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import './ValidationReport.css';
+
+// Number of issues shown per group before "Show all" is needed
+const COLLAPSED_LIMIT = 20;
+
+const IssueGroup = ({ title, issues, type }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (issues.length === 0) return null;
+
+  const visibleIssues = expanded ? issues : issues.slice(0, COLLAPSED_LIMIT);
+
+  return (
+    <div className={`validation-group validation-${type}`}>
+      <h4>{title} ({issues.length})</h4>
+      <ul>
+        {visibleIssues.map((issue, index) => (
+          <li key={index} className="validation-issue">
+            {issue.featureIndex !== null && (
+              <span className="issue-feature">Feature {issue.featureIndex + 1}</span>
+            )}
+            <code className="issue-path">{issue.path}</code>
+            <span className="issue-message">{issue.message}</span>
+          </li>
+        ))}
+      </ul>
+      {issues.length > COLLAPSED_LIMIT && (
+        <button className="btn btn-small btn-secondary" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show less' : `Show all ${issues.length}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const ValidationReport = ({ result }) => {
+  if (!result) return null;
+
+  const { valid, errors, warnings, featureCount } = result;
+
+  return (
+    <div className={`validation-report ${valid ? 'is-valid' : 'is-invalid'}`}>
+      <div className="validation-summary">
+        {valid
+          ? `Valid GeoJSON with ${featureCount} feature${featureCount === 1 ? '' : 's'}`
+          : 'This file cannot be uploaded until the errors below are fixed'}
+        {warnings.length > 0 && valid && ` (${warnings.length} warning${warnings.length === 1 ? '' : 's'})`}
+      </div>
+      <IssueGroup title="Errors" issues={errors} type="error" />
+      <IssueGroup title="Warnings" issues={warnings} type="warning" />
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { VectorTileLayer } from '../utils/vectorTileLayer';
+
+// Draws features as vector tiles while mounted (see VectorTileLayer). filter picks
+// the features to tile and should keep its identity between renders. Clicking a feature
+// opens popup(feature) (HTML or an element, if given) and calls onFeatureClick(index, event).
+const VectorTiles = ({ features, filter, style, selected, selectedStyle, popup, onFeatureClick }) => {
+  const map = useMap();
+  const layerRef = useRef(null);
+  // The layer's click handler is bound once, so it reads the latest props through a ref
+  const handlersRef = useRef({});
+  handlersRef.current = { popup, onFeatureClick };
+
+  useEffect(() => {
+    const layer = new VectorTileLayer();
+    layer.on('featureclick', ({ index, feature, latlng, originalEvent }) => {
+      const { popup: content, onFeatureClick: onClick } = handlersRef.current;
+      if (content) {
+        L.popup().setLatLng(latlng).setContent(content(feature)).openOn(map);
+      }
+      onClick?.(index, originalEvent);
+    });
+    map.addLayer(layer);
+    layerRef.current = layer;
+    return () => {
+      map.removeLayer(layer);
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current.setData(features, filter);
+  }, [features, filter]);
+
+  useEffect(() => {
+    layerRef.current.setStyle(style);
+  }, [style]);
+
+  useEffect(() => {
+    layerRef.current.setSelected(selected, selectedStyle);
+  }, [selected, selectedStyle]);
+
+  return null;
+};
+
+export default VectorTiles;
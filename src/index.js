@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 // Initialize theme based on user preference or default to light
 const initializeTheme = () => {
@@ -27,4 +28,7 @@ root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Cache the app shell and pinned datasets for offline use
+serviceWorkerRegistration.register();
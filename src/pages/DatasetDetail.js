@@ -1,11 +1,34 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { MapContainer, TileLayer, GeoJSON, ZoomControl, useMap } from 'react-leaflet';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams, useLocation } from 'react-router-dom';
+import { MapContainer, GeoJSON, ZoomControl, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import GeoSpotAPI from '../services/geospot-api';
+import { isAbortError } from '../services/api-error';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorMessage from '../components/ErrorMessage';
+import OfflinePanel from '../components/OfflinePanel';
+import EditableField from '../components/EditableField';
+import AttributeTable from '../components/AttributeTable';
+import StylePanel from '../components/StylePanel';
+import MapLegend from '../components/MapLegend';
+import StylePresets from '../components/StylePresets';
+import PointClusters, { CLUSTER_THRESHOLD, isPointFeature } from '../components/PointClusters';
+import VectorTiles from '../components/VectorTiles';
+import BasemapLayer from '../components/BasemapLayer';
+import BasemapPicker from '../components/BasemapPicker';
+import FeatureEditor from '../components/FeatureEditor';
+import EditPanel from '../components/EditPanel';
+import useFeatureSelection, { selectionMode } from '../utils/useFeatureSelection';
+import useBasemap from '../utils/useBasemap';
+import useFeatureEdits from '../utils/useFeatureEdits';
+import useAuth from '../utils/useAuth';
+import { collectColumns } from '../utils/attributeTable';
+import { DEFAULT_STYLE, classifyFeatures, createStyle, resolveStyle } from '../utils/dataStyle';
+import { getDefaultStyle, decodeStyle } from '../services/style-presets';
+import { bboxToBounds, computeBbox, countPositions } from '../utils/geojsonPreprocess';
+import { formatBytes } from '../utils/format';
+import { featurePopup } from '../utils/featurePopup';
 import './DatasetDetail.css';
 
 // Fix for default Leaflet marker icons
@@ -16,143 +39,336 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
+// Dataset names are stored as VARCHAR(255) and must be unique
+const MAX_NAME_LENGTH = 255;
+
+const validateName = (name) => (name ? null : 'Name cannot be empty.');
+
+// Datasets with at least this many features are drawn on a canvas instead of as
+// SVG elements, which the browser can't lay out quickly in these numbers
+const CANVAS_THRESHOLD = 5000;
+
+// Lines and polygons with at least this many vertices in total are cut into vector
+// tiles, simplified for each zoom level, instead of drawing every vertex at every zoom
+const TILING_THRESHOLD = 50000;
+
+const isTiledFeature = (feature) => !isPointFeature(feature);
+
+// Editing draws every feature as its own SVG layer with vertex handles, which gets
+// slow well before the canvas threshold
+const EDIT_LIMIT = 2000;
+
+// Points are drawn as circle markers so they can be restyled like lines and polygons.
+// Their clicks stay with them rather than also reaching vector tiles underneath.
+const createPointToLayer = (renderer) => (feature, latlng) =>
+  L.circleMarker(latlng, { renderer, bubblingMouseEvents: false });
+
+// Text for the loading screen from getDatasetGeoJSON's onProgress reports
+const describeProgress = (progress) => {
+  if (progress?.phase === 'parse') return 'Processing features...';
+  if (progress?.phase !== 'download') return 'Loading...';
+  return progress.total
+    ? `Downloading features... ${formatBytes(progress.loaded)} of ${formatBytes(progress.total)}`
+    : `Downloading features... ${formatBytes(progress.loaded)}`;
+};
+
+// Applied on top of the regular style to features selected on the map or in the table
+const SELECTED_STYLE = {
+  color: '#00b4d8',
+  weight: 4,
+  opacity: 1,
+  fillOpacity: 0.9,
+  dashArray: null,
+};
+
+// Component to fit map to data bounds
+const FitBounds = ({ geojsonData }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    // Only run after map is fully loaded and geojsonData is available
+    const timer = setTimeout(() => {
+      if (map && geojsonData && geojsonData.features && geojsonData.features.length > 0) {
+        try {
+          // Downloaded data comes with a bbox; older cached copies are measured here
+          const fromBbox = bboxToBounds(geojsonData.bbox);
+          const bounds = fromBbox ? L.latLngBounds(fromBbox) : L.geoJSON(geojsonData).getBounds();
+          
+          if (bounds && bounds.isValid()) {
+            // Simply call fitBounds without extra checks that might cause issues
+            map.fitBounds(bounds, { padding: [50, 50] });
+          }
+        } catch (error) {
+          // Silently handle errors to prevent UI disruption
+        }
+      }
+    }, 500); // Slightly longer delay to ensure everything is ready
+
+    return () => clearTimeout(timer);
+  }, [geojsonData, map]); // Only re-run when these values change
+
+  return null;
+};
+
 const DatasetDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [dataset, setDataset] = useState(null);
   const [geojsonData, setGeojsonData] = useState(null);
+  // Counts the GeoJSON payloads shown. react-leaflet's GeoJSON only reads its data when
+  // created, so the map layers are keyed on this to be rebuilt for revalidated data.
+  const [dataVersion, setDataVersion] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [editError, setEditError] = useState(null);
   const mapRef = useRef(null);
+  const geoJsonRef = useRef(null);
+  // Map layer of each feature, by feature index
+  const layersRef = useRef(new Map());
+  const highlightedRef = useRef(new Set());
+  const clusterRef = useRef(null);
+  // null follows CLUSTER_THRESHOLD until the user turns clustering on or off
+  const [clusterSetting, setClusterSetting] = useState(null);
+  const [scrollTarget, setScrollTarget] = useState(null);
+  // The features as they were when editing started, or null when not editing. Edits
+  // are made against this copy, so data refreshed in the background doesn't discard them.
+  const [editBase, setEditBase] = useState(null);
+  const editing = editBase !== null;
+  const [editKey, setEditKey] = useState(null);
+  const basemapState = useBasemap();
+  const { selected, select, clear: clearSelection } = useFeatureSelection(geojsonData?.features);
+  const edits = useFeatureEdits(editBase);
+  // Editing the dataset or saving edits as a new one needs a session, like the upload page
+  const session = useAuth();
+  const location = useLocation();
+  const featureIndex = useMemo(
+    () => new Map((geojsonData?.features || []).map((feature, index) => [feature, index])),
+    [geojsonData]
+  );
 
-  // Fetch dataset metadata
-  const fetchDataset = async () => {
-    try {
-      const data = await GeoSpotAPI.getDataset(id);
-      setDataset(data);
-    } catch (err) {
-      setError(err.message);
-    }
-  };
+  // A style shared in the link wins over the dataset's default preset
+  const [searchParams] = useSearchParams();
+  const [styleConfig, setStyleConfig] = useState(() =>
+    (searchParams.get('style') && decodeStyle(searchParams.get('style'))) || getDefaultStyle(id) || DEFAULT_STYLE);
+  const styleDatasetRef = useRef(id);
+  useEffect(() => {
+    if (styleDatasetRef.current === id) return;
+    styleDatasetRef.current = id;
+    setStyleConfig(getDefaultStyle(id) || DEFAULT_STYLE);
+  }, [id]);
+  const columns = useMemo(() => collectColumns(geojsonData?.features || []), [geojsonData]);
+  const activeStyle = useMemo(() => resolveStyle(styleConfig, columns), [styleConfig, columns]);
+  const classification = useMemo(
+    () => classifyFeatures(geojsonData?.features || [], activeStyle),
+    [geojsonData, activeStyle]
+  );
+  const featureStyle = useMemo(() => createStyle(activeStyle, classification), [activeStyle, classification]);
+  const pointCount = useMemo(() => (geojsonData?.features || []).filter(isPointFeature).length, [geojsonData]);
+  const clusterPoints = clusterSetting ?? pointCount >= CLUSTER_THRESHOLD;
+  const renderer = useMemo(
+    () => ((geojsonData?.features?.length || 0) >= CANVAS_THRESHOLD ? L.canvas({ tolerance: 3 }) : undefined),
+    [geojsonData]
+  );
+  const pointToLayer = useMemo(() => createPointToLayer(renderer), [renderer]);
+  const tiled = useMemo(
+    () => countPositions((geojsonData?.features || []).filter(isTiledFeature)) >= TILING_THRESHOLD,
+    [geojsonData]
+  );
 
-  // Fetch GeoJSON data for the dataset
-  const fetchGeoJSON = async () => {
-    try {
-      const data = await GeoSpotAPI.getDatasetGeoJSON(id);
-      setGeojsonData(data);
-    } catch (err) {
-      setError(err.message);
-    }
-  };
+  const [reloadKey, setReloadKey] = useState(0);
 
+  // Edits belong to the dataset they were started on
+  useEffect(() => () => setEditBase(null), [id]);
 
+  // The layers of the previous data are dropped here rather than in an effect: the new
+  // layers register themselves while rendering, before any effect runs
+  const showGeojson = useCallback((geojson) => {
+    layersRef.current.clear();
+    highlightedRef.current = new Set();
+    setGeojsonData(geojson);
+    setDataVersion(version => version + 1);
+  }, []);
 
   useEffect(() => {
+    // Cancel in-flight requests when the id changes or the page unmounts
+    const controller = new AbortController();
+    const { signal } = controller;
+    const handleStaleError = (err) => {
+      if (err.isNotFound) {
+        setError(err);
+      }
+    };
+
     const fetchData = async () => {
+      // Background revalidation downloads again later; only the first load shows progress
+      let settled = false;
       setLoading(true);
+      setProgress(null);
       setError(null);
       
       try {
-        await Promise.all([fetchDataset(), fetchGeoJSON()]);
+        // Cached copies render right away; background revalidation swaps in newer data
+        // or reports that the dataset no longer exists
+        const [metadata, geojson] = await Promise.all([
+          GeoSpotAPI.getDataset(id, { signal, onUpdate: setDataset, onError: handleStaleError }),
+          GeoSpotAPI.getDatasetGeoJSON(id, {
+            signal,
+            onUpdate: showGeojson,
+            onError: handleStaleError,
+            onProgress: report => !settled && setProgress(report),
+          }),
+        ]);
+        settled = true;
+        setDataset(metadata);
+        showGeojson(geojson);
       } catch (err) {
-        setError(err.message);
+        if (isAbortError(err)) return;
+        setError(err);
       } finally {
-        setLoading(false);
+        if (!signal.aborted) {
+          setLoading(false);
+        }
       }
     };
 
     fetchData();
-  }, [id]); // Only re-run when id changes, not when fetch functions change
-
-  // Function to style GeoJSON features with simplified professional color scheme
-  const styleFeature = (feature) => {
-    const geometryType = feature.geometry.type;
-    
-    let style = {};
-    
-    // Different styles for different geometry types - simplified color scheme
-    switch(geometryType) {
-      case 'Point':
-        style = {
-          radius: 8,
-          fillColor: "#f28123", // orange-wheel for points
-          color: "#2c3e50", // dark blue-gray border
-          weight: 1,
-          opacity: 1,
-          fillOpacity: 0.8
-        };
-        break;
-      case 'LineString':
-        style = {
-          color: "#f28123", // orange-wheel for lines
-          weight: 4,
-          opacity: 0.8
-        };
-        break;
-      case 'Polygon':
-      case 'MultiPolygon':
-        style = {
-          fillColor: "#34495e", // dark blue-gray for polygons
-          weight: 2,
-          opacity: 1,
-          color: "#2c3e50", // dark blue-gray border
-          dashArray: '3',
-          fillOpacity: 0.7
-        };
-        break;
-      default:
-        style = {
-          fillColor: "#95a5a6", // gray for other types
-          weight: 2,
-          opacity: 1,
-          color: "#7f8c8d", // mid-gray border
-          dashArray: '3',
-          fillOpacity: 0.7
-        };
+    return () => controller.abort();
+  }, [id, reloadKey, showGeojson]);
+
+  // Apply the edit right away and roll it back if the server rejects it.
+  // A field is only rolled back if no newer edit has replaced it meanwhile.
+  const saveDetails = async (changes) => {
+    const previous = dataset;
+    setDataset(current => ({ ...current, ...changes }));
+    setEditError(null);
+
+    try {
+      const updated = await GeoSpotAPI.updateDataset(id, changes);
+      setDataset(current => ({ ...current, ...updated }));
+    } catch (err) {
+      setDataset(current => {
+        const restored = { ...current };
+        Object.keys(changes).forEach(field => {
+          if (current[field] === changes[field]) restored[field] = previous[field];
+        });
+        return restored;
+      });
+      if (err.isConflict) {
+        setEditError(`A dataset named "${changes.name}" already exists. Choose a different name.`);
+      } else if (err.isNotFound) {
+        setError(err);
+      } else {
+        setEditError(`Could not save changes: ${err.message}`);
+      }
     }
-    
-    return style;
   };
 
-  // Function to handle each feature
-  const onEachFeature = (feature, layer) => {
-    if (feature.properties) {
-      const popupContent = Object.entries(feature.properties)
-        .map(([key, value]) => `<b>${key}:</b> ${value}`)
-        .join('<br>');
-      layer.bindPopup(popupContent);
+  const zoomToFeatures = (indices) => {
+    const map = mapRef.current;
+    if (!map || indices.size === 0) return;
+
+    // A single clustered point may need more than a zoom level to leave its cluster
+    const cluster = clusterRef.current;
+    const single = indices.size === 1 ? layersRef.current.get([...indices][0]) : null;
+    if (cluster && single && cluster.hasLayer(single)) {
+      cluster.zoomToShowLayer(single);
+      return;
+    }
+
+    const bounds = L.latLngBounds([]);
+    indices.forEach(index => {
+      const layer = layersRef.current.get(index);
+      if (layer?.getBounds) {
+        bounds.extend(layer.getBounds());
+      } else if (layer?.getLatLng) {
+        bounds.extend(layer.getLatLng());
+      } else {
+        // Vector-tiled features have no layer of their own
+        const featureBounds = bboxToBounds(computeBbox([geojsonData.features[index]]));
+        if (featureBounds) bounds.extend(featureBounds);
+      }
+    });
+    if (bounds.isValid()) {
+      map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
     }
   };
-  
-  // Component to fit map to data bounds
-  const FitBounds = ({ geojsonData }) => {
-    const map = useMap();
 
-    useEffect(() => {
-      // Only run after map is fully loaded and geojsonData is available
-      const timer = setTimeout(() => {
-        if (map && geojsonData && geojsonData.features && geojsonData.features.length > 0) {
-          try {
-            const geoJsonLayer = L.geoJSON(geojsonData);
-            const bounds = geoJsonLayer.getBounds();
-            
-            if (bounds && bounds.isValid()) {
-              // Simply call fitBounds without extra checks that might cause issues
-              map.fitBounds(bounds, { padding: [50, 50] });
-            }
-          } catch (error) {
-            // Silently handle errors to prevent UI disruption
-          }
-        }
-      }, 500); // Slightly longer delay to ensure everything is ready
+  // Clicking a feature selects it (ctrl/cmd/shift adds or removes it) and scrolls the table to it
+  const handleFeatureClick = (index, event) => {
+    select(index, { mode: selectionMode(event) === 'replace' ? 'replace' : 'toggle' });
+    setScrollTarget({ index });
+  };
+  // Leaflet handlers are bound once per layer, so they call through a ref to the latest handler
+  const featureClickRef = useRef(handleFeatureClick);
+  featureClickRef.current = handleFeatureClick;
 
-      return () => clearTimeout(timer);
-    }, [geojsonData, map]); // Only re-run when these values change
+  const toggleEditing = () => {
+    const { added, changed, removed } = edits.diff;
+    if (editing && added.length + changed.length + removed.length > 0
+      && !window.confirm('Stop editing and discard your unsaved changes?')) {
+      return;
+    }
+    // The feature layers are rebuilt when editing stops
+    layersRef.current.clear();
+    highlightedRef.current = new Set();
+    clearSelection();
+    setEditKey(null);
+    setEditBase(editing ? null : geojsonData.features || []);
+  };
 
-    return null;
+  const handleEditRemove = (key) => {
+    edits.remove(key);
+    if (key === editKey) setEditKey(null);
   };
 
+  const handleRowClick = (index, event, rows) => {
+    zoomToFeatures(select(index, { mode: selectionMode(event), order: rows }));
+  };
+
+  // Function to handle each feature
+  const onEachFeature = (feature, layer) => {
+    if (feature.properties) {
+      layer.bindPopup(featurePopup(feature));
+    }
+
+    const index = featureIndex.get(feature);
+    if (index !== undefined) {
+      layersRef.current.set(index, layer);
+      layer.on('click', e => featureClickRef.current(index, e.originalEvent));
+    }
+  };
+
+  // Restyle only the layers whose selection state changed. A new feature style has
+  // already been applied to every layer by the GeoJSON component, so it also needs
+  // to become the style resetStyle() restores, and the selection is drawn again.
+  useEffect(() => {
+    const geoJsonLayer = geoJsonRef.current;
+    if (!geoJsonLayer) return;
+    const restyled = geoJsonLayer.options.style !== featureStyle;
+    geoJsonLayer.options.style = featureStyle;
+    // Clustered points aren't children of the GeoJSON layer, so it didn't restyle them
+    if (restyled) {
+      layersRef.current.forEach(layer => {
+        if (!geoJsonLayer.hasLayer(layer)) geoJsonLayer.resetStyle(layer);
+      });
+    }
+
+    highlightedRef.current.forEach(index => {
+      const layer = layersRef.current.get(index);
+      if (layer && !selected.has(index)) geoJsonLayer.resetStyle(layer);
+    });
+    selected.forEach(index => {
+      const layer = layersRef.current.get(index);
+      if (layer?.setStyle && (restyled || !highlightedRef.current.has(index))) {
+        layer.setStyle(SELECTED_STYLE);
+        layer.bringToFront();
+      }
+    });
+    highlightedRef.current = selected;
+  }, [selected, featureStyle]);
+  
   // Handle map resize when fullscreen state changes
   useEffect(() => {
     if (mapRef.current && mapRef.current.invalidateSize) {
@@ -165,13 +381,39 @@ const DatasetDetail = () => {
     }
   }, [isFullscreen]);
 
-  if (loading || !dataset || !geojsonData) return <LoadingSpinner />;
-  if (error) return <ErrorMessage message={error} onRetry={() => window.location.reload()} />;
+  if (error?.isNotFound) {
+    return (
+      <ErrorMessage title="Dataset Not Found" message={`No dataset with ID ${id} exists. It may have been deleted.`}>
+        <button className="btn btn-secondary" onClick={() => navigate('/datasets')}>
+          Back to Datasets
+        </button>
+      </ErrorMessage>
+    );
+  }
+  if (error) return <ErrorMessage message={error.message} onRetry={() => setReloadKey(key => key + 1)} />;
+  if (loading || !dataset || !geojsonData) {
+    return (
+      <LoadingSpinner
+        message={describeProgress(progress)}
+        progress={progress?.phase === 'download' && progress.total ? progress.loaded / progress.total : undefined}
+      />
+    );
+  }
+
+  const editable = (geojsonData.features?.length || 0) <= EDIT_LIMIT;
 
   return (
     <div className="dataset-detail">
       <div className="dataset-header">
-        <h2>{dataset?.name}</h2>
+        <h2>
+          <EditableField
+            value={dataset.name}
+            label="name"
+            validate={validateName}
+            maxLength={MAX_NAME_LENGTH}
+            onSave={session ? name => saveDetails({ name }) : undefined}
+          />
+        </h2>
         <div className="dataset-actions">
           <button 
             className="btn btn-secondary" 
@@ -181,28 +423,42 @@ const DatasetDetail = () => {
           </button>
           <button 
             className="btn btn-primary" 
-            onClick={() => navigator.clipboard.writeText(`${window.location.origin}/api/v1/datasets/${id}/geojson`)}
+            onClick={() => navigator.clipboard.writeText(GeoSpotAPI.geojsonUrl(id))}
           >
             Copy GeoJSON URL
           </button>
-          <button 
-            className="btn btn-danger" 
-            onClick={async () => {
-              if (window.confirm('Are you sure you want to delete this dataset? This action cannot be undone.')) {
-                try {
-                  await GeoSpotAPI.deleteDataset(id);
-                  navigate('/datasets');
-                } catch (err) {
-                  setError(err.message);
+          {session && (
+            <button 
+              className="btn btn-danger" 
+              onClick={async () => {
+                if (window.confirm('Are you sure you want to delete this dataset? This action cannot be undone.')) {
+                  try {
+                    await GeoSpotAPI.deleteDataset(id);
+                    navigate('/datasets');
+                  } catch (err) {
+                    // Already gone (e.g. deleted in another tab) is as good as deleted
+                    if (err.isNotFound) {
+                      navigate('/datasets');
+                    } else {
+                      setError(err);
+                    }
+                  }
                 }
-              }
-            }}
-          >
-            Delete Dataset
-          </button>
+              }}
+            >
+              Delete Dataset
+            </button>
+          )}
         </div>
       </div>
 
+      {editError && (
+        <div className="edit-error" role="alert">
+          {editError}
+          <button className="edit-error-dismiss" onClick={() => setEditError(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
       <div className="dataset-metadata">
         <div className="metadata-item">
           <strong>ID:</strong> {dataset?.id}
@@ -217,12 +473,58 @@ const DatasetDetail = () => {
           <strong>Uploaded:</strong> {dataset?.uploaded_at ? new Date(dataset.uploaded_at).toLocaleString() : 'N/A'}
         </div>
         <div className="metadata-item description">
-          <strong>Description:</strong> {dataset?.description || 'No description provided'}
+          <strong>Description:</strong>{' '}
+          <EditableField
+            value={dataset.description}
+            label="description"
+            placeholder="No description provided"
+            multiline
+            onSave={session ? description => saveDetails({ description }) : undefined}
+          />
         </div>
       </div>
 
+      <OfflinePanel dataset={dataset} geojson={geojsonData} />
+
       <div className="map-section">
         <h3>Dataset Visualization</h3>
+        <StylePanel columns={columns} config={activeStyle} onChange={setStyleConfig}>
+          <StylePresets dataset={dataset} style={activeStyle} classification={classification} onApply={setStyleConfig} />
+        </StylePanel>
+        <BasemapPicker {...basemapState} />
+        <div className="map-toolbar">
+          <button
+            className={`btn btn-small ${editing ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={session ? toggleEditing : () => navigate('/login', { state: { from: location } })}
+            disabled={!editable}
+            title={editable ? undefined : `Datasets with more than ${EDIT_LIMIT.toLocaleString()} features can't be edited on the map`}
+          >
+            {editing ? 'Stop Editing' : session ? 'Edit Features' : 'Log In to Edit'}
+          </button>
+          {pointCount > 0 && !editing && (
+            <label title={`Clustering turns on automatically for datasets with ${CLUSTER_THRESHOLD.toLocaleString()} or more points`}>
+              <input
+                type="checkbox"
+                checked={clusterPoints}
+                onChange={e => setClusterSetting(e.target.checked)}
+              />
+              Cluster points ({pointCount.toLocaleString()})
+            </label>
+          )}
+        </div>
+        {editing && (
+          <EditPanel
+            dataset={dataset}
+            edits={edits}
+            columns={columns}
+            selectedKey={editKey}
+            onSelect={setEditKey}
+            onSaved={result => {
+              setEditBase(null);
+              navigate(`/datasets/${result.id}`);
+            }}
+          />
+        )}
         <div className={`map-container ${isFullscreen ? 'fullscreen' : ''}`}>
           <button 
             className="fullscreen-btn"
@@ -230,7 +532,7 @@ const DatasetDetail = () => {
           >
             {isFullscreen ? 'Exit Fullscreen' : 'View Fullscreen'}
           </button>
-          {geojsonData.features && geojsonData.features.length > 0 ? (
+          {editing || geojsonData.features?.length > 0 ? (
             <MapContainer 
               center={[0, 0]} 
               zoom={2} 
@@ -238,25 +540,68 @@ const DatasetDetail = () => {
               scrollWheelZoom={true}
               zoomControl={true}
               attributionControl={true}
-              whenCreated={map => {
-                mapRef.current = map;
+              ref={mapRef}
+              whenReady={({ target }) => {
                 // Immediately adjust size when map is created
-                setTimeout(() => map.invalidateSize(), 100);
+                setTimeout(() => target.invalidateSize(), 100);
               }}
             >
-              <TileLayer
-                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              />
-              <GeoJSON 
-                data={geojsonData} 
-                style={styleFeature}
-                onEachFeature={onEachFeature}
-              />
+              <BasemapLayer basemap={basemapState.basemap} />
+              {editing && (
+                <FeatureEditor
+                  key={edits.version}
+                  items={edits.items}
+                  status={edits.status}
+                  selectedKey={editKey}
+                  selectedStyle={SELECTED_STYLE}
+                  onCreate={geometry => edits.add(geometry)}
+                  onChange={(key, geometry) => edits.update(key, { geometry })}
+                  onRemove={handleEditRemove}
+                  onSelect={setEditKey}
+                />
+              )}
+              {!editing && tiled && (
+                <VectorTiles
+                  key={dataVersion}
+                  features={geojsonData.features}
+                  filter={isTiledFeature}
+                  style={featureStyle}
+                  selected={selected}
+                  selectedStyle={SELECTED_STYLE}
+                  popup={featurePopup}
+                  onFeatureClick={(index, event) => featureClickRef.current(index, event)}
+                />
+              )}
+              {!editing && (
+                <GeoJSON
+                  key={dataVersion}
+                  ref={geoJsonRef}
+                  data={geojsonData}
+                  style={featureStyle}
+                  filter={tiled ? isPointFeature : undefined}
+                  renderer={renderer}
+                  pointToLayer={pointToLayer}
+                  onEachFeature={onEachFeature}
+                />
+              )}
+              {!editing && clusterPoints && (
+                <PointClusters key={dataVersion} geoJsonRef={geoJsonRef} clusterRef={clusterRef} />
+              )}
+              <FitBounds geojsonData={geojsonData} />
             </MapContainer>
           ) : (
             <div className="no-data">No features to display</div>
           )}
+          {!editing && <MapLegend legend={classification.legend} />}
+          {selected.size > 0 && (
+            <div className="selection-bar">
+              <span>{selected.size} selected</span>
+              <button className="btn btn-small btn-secondary" onClick={() => zoomToFeatures(selected)}>
+                Zoom to Selection
+              </button>
+              <button className="btn btn-small btn-secondary" onClick={clearSelection}>Clear</button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -264,26 +609,12 @@ const DatasetDetail = () => {
         <h3>Feature Properties</h3>
         <div className="features-list">
           {geojsonData?.features && geojsonData.features.length > 0 ? (
-            <div className="feature-grid">
-              {geojsonData.features.slice(0, 5).map((feature, index) => (
-                <div key={index} className="feature-card">
-                  <h4>Feature {index + 1}</h4>
-                  <div className="feature-properties">
-                    {Object.entries(feature.properties).map(([key, value]) => (
-                      <div key={key} className="property-item">
-                        <span className="property-key">{key}:</span>
-                        <span className="property-value">{String(value)}</span>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              ))}
-              {geojsonData.features.length > 5 && (
-                <div className="more-features">
-                  ... and {geojsonData.features.length - 5} more features
-                </div>
-              )}
-            </div>
+            <AttributeTable
+              features={geojsonData.features}
+              selected={selected}
+              onRowClick={handleRowClick}
+              scrollTo={scrollTarget}
+            />
           ) : (
             <p>No features available in this dataset.</p>
           )}
@@ -1,148 +1,470 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import GeoSpotAPI from '../services/geospot-api';
+import { isAbortError } from '../services/api-error';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorMessage from '../components/ErrorMessage';
+import DatasetFilters from '../components/DatasetFilters';
+import DatasetTable from '../components/DatasetTable';
+import Pagination from '../components/Pagination';
+import BulkActions from '../components/BulkActions';
+import useInfiniteScroll from '../utils/useInfiniteScroll';
+import useAuth from '../utils/useAuth';
+import {
+  parseDatasetQuery,
+  applyDatasetQuery,
+  isServerOrder,
+  hasActiveFilters,
+  queryDatasets,
+  DEFAULT_QUERY,
+  PAGE_SIZES,
+  parseListView,
+  applyListView,
+} from '../utils/datasetQuery';
 import './DatasetList.css';
 
+// Run a list request with loading and error state; aborted requests leave both alone
+const loadInto = async (signal, { setLoading, setError }, task) => {
+  try {
+    setLoading(true);
+    setError(null);
+    await task(signal);
+  } catch (err) {
+    if (isAbortError(err)) return;
+    setError(err.message);
+  } finally {
+    if (!signal.aborted) {
+      setLoading(false);
+    }
+  }
+};
+
+// Append a window of datasets, skipping any already shown (uploads can shift the windows)
+const appendUnique = (current, more) => {
+  const seen = new Set(current.map(dataset => dataset.id));
+  return [...current, ...more.filter(dataset => !seen.has(dataset.id))];
+};
+
+const copyGeoJSONUrl = (dataset) =>
+  navigator.clipboard.writeText(GeoSpotAPI.geojsonUrl(dataset.id));
+
 const DatasetList = () => {
   const [datasets, setDatasets] = useState([]);
+  const [catalog, setCatalog] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(0);
   const [total, setTotal] = useState(0);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [visibleCount, setVisibleCount] = useState(0);
+  // Selected datasets by id; kept across pages so a selection can span the whole result
+  const [selected, setSelected] = useState(() => new Map());
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const loadMoreController = useRef(null);
   const navigate = useNavigate();
+  // Deleting needs a session, so anonymous visitors don't get the buttons
+  const session = useAuth();
 
-  const fetchDatasets = async (skip = 0, limit = 100) => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await GeoSpotAPI.getDatasets(skip, limit);
+  const query = useMemo(() => parseDatasetQuery(searchParams), [searchParams]);
+  const { page, size, layout, infinite } = useMemo(() => parseListView(searchParams), [searchParams]);
+  const currentPage = page - 1;
+  // Upload order is the API's own order, so it can be paged on the server;
+  // anything else needs the whole list
+  const serverOrder = isServerOrder(query);
+
+  // Changing what is shown starts again from the first page
+  const updateQuery = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams(params => {
+      const next = applyDatasetQuery(params, { ...parseDatasetQuery(params), ...changes });
+      return applyListView(next, { ...parseListView(next), page: 1 });
+    }, { replace });
+  }, [setSearchParams]);
+
+  const updateView = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams(params => applyListView(params, { ...parseListView(params), ...changes }), { replace });
+  }, [setSearchParams]);
+
+  // Upload order, paged: fetch just the current page
+  useEffect(() => {
+    if (!serverOrder || infinite) return undefined;
+    const controller = new AbortController();
+    const applyPage = (data) => {
       setDatasets(data.datasets || []);
       setTotal(data.total || 0);
+    };
+
+    loadInto(controller.signal, { setLoading, setError }, async (signal) => {
+      // Cached pages show immediately; a background refresh replaces them if they changed
+      const data = await GeoSpotAPI.getDatasets(currentPage * size, size, { signal, onUpdate: applyPage });
+      applyPage(data);
+    });
+    return () => controller.abort();
+  }, [serverOrder, infinite, currentPage, size, reloadKey]);
+
+  // Upload order, infinite scroll: fetch the first window; more are appended on scroll
+  useEffect(() => {
+    if (!serverOrder || !infinite) return undefined;
+    const controller = new AbortController();
+
+    loadInto(controller.signal, { setLoading, setError }, async (signal) => {
+      const data = await GeoSpotAPI.getDatasets(0, size, { signal });
+      setDatasets(data.datasets || []);
+      setTotal(data.total || 0);
+    });
+    return () => {
+      controller.abort();
+      loadMoreController.current?.abort();
+    };
+  }, [serverOrder, infinite, size, reloadKey]);
+
+  // Search, filters or custom sorting: fetch everything once and page locally
+  useEffect(() => {
+    if (serverOrder) return undefined;
+    const controller = new AbortController();
+
+    loadInto(controller.signal, { setLoading, setError }, async (signal) => {
+      const data = await GeoSpotAPI.getAllDatasets({ signal });
+      setCatalog(data.datasets);
+    });
+    return () => controller.abort();
+  }, [serverOrder, reloadKey]);
+
+  // Infinite scroll over the local list restarts with one window
+  useEffect(() => {
+    setVisibleCount(size);
+  }, [query, size, infinite]);
+
+  // A different search or filter starts a fresh selection
+  const queryKey = JSON.stringify(query);
+  useEffect(() => {
+    setSelected(new Map());
+  }, [queryKey]);
+
+  const matching = useMemo(
+    () => (serverOrder || !catalog ? null : queryDatasets(catalog, query)),
+    [serverOrder, catalog, query]
+  );
+
+  let visible = datasets;
+  if (matching) {
+    visible = infinite
+      ? matching.slice(0, visibleCount)
+      : matching.slice(currentPage * size, (currentPage + 1) * size);
+  }
+  const resultCount = matching ? matching.length : total;
+  const pageCount = Math.max(1, Math.ceil(resultCount / size));
+  const hasMore = visible.length < resultCount;
+
+  const loadMore = async () => {
+    if (loadingMore || !hasMore) return;
+    if (matching) {
+      setVisibleCount(count => count + size);
+      return;
+    }
+
+    const controller = new AbortController();
+    loadMoreController.current = controller;
+    setLoadingMore(true);
+    try {
+      const data = await GeoSpotAPI.getDatasets(datasets.length, size, { signal: controller.signal });
+      setDatasets(current => appendUnique(current, data.datasets || []));
+      setTotal(data.total || 0);
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      if (!controller.signal.aborted) setLoadingMore(false);
+    }
+  };
+
+  const sentinelRef = useInfiniteScroll(loadMore, {
+    enabled: infinite && hasMore && !loading && !loadingMore && !error,
+    watch: visible.length,
+  });
+
+  // A bookmarked page past the end (e.g. after deletions) goes to the last page
+  useEffect(() => {
+    if (!loading && !infinite && resultCount > 0 && page > pageCount) {
+      updateView({ page: pageCount }, { replace: true });
+    }
+  }, [loading, infinite, resultCount, page, pageCount, updateView]);
+
+  const refresh = () => setReloadKey(key => key + 1);
+
+  const isSelected = (id) => selected.has(id);
+  const allVisibleSelected = visible.length > 0 && visible.every(dataset => selected.has(dataset.id));
+
+  const toggleSelected = (dataset) => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      if (next.has(dataset.id)) {
+        next.delete(dataset.id);
+      } else {
+        next.set(dataset.id, dataset);
+      }
+      return next;
+    });
+  };
+
+  const toggleVisible = () => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      visible.forEach(dataset => {
+        if (allVisibleSelected) {
+          next.delete(dataset.id);
+        } else {
+          next.set(dataset.id, dataset);
+        }
+      });
+      return next;
+    });
+  };
+
+  // Every dataset matching the current view, not just the loaded pages
+  const selectAllMatching = async () => {
+    if (matching) {
+      setSelected(new Map(matching.map(dataset => [dataset.id, dataset])));
+      return;
+    }
+    setSelectingAll(true);
+    try {
+      const data = await GeoSpotAPI.getAllDatasets();
+      setSelected(new Map(data.datasets.map(dataset => [dataset.id, dataset])));
     } catch (err) {
       setError(err.message);
     } finally {
-      setLoading(false);
+      setSelectingAll(false);
     }
   };
 
+  const handleBulkFinished = (action, succeededIds) => {
+    if (action !== 'delete') return;
+    setSelected(prev => {
+      const next = new Map(prev);
+      succeededIds.forEach(id => next.delete(id));
+      return next;
+    });
+    refresh();
+  };
+
   const deleteDataset = async (datasetId) => {
     if (window.confirm('Are you sure you want to delete this dataset? This action cannot be undone.')) {
       try {
         await GeoSpotAPI.deleteDataset(datasetId);
         // Refresh the list
-        fetchDatasets(currentPage * 100, 100);
+        refresh();
       } catch (err) {
-        setError(err.message);
+        if (err.isNotFound) {
+          // Someone else already deleted it; just refresh the list
+          refresh();
+        } else {
+          setError(err.message);
+        }
       }
     }
   };
 
-  useEffect(() => {
-    fetchDatasets(currentPage * 100, 100);
-  }, [currentPage]);
-
   const handlePageChange = (newPage) => {
-    if (newPage >= 0 && newPage * 100 < total) {
-      setCurrentPage(newPage);
+    if (newPage >= 1 && newPage <= pageCount) {
+      updateView({ page: newPage });
+      window.scrollTo(0, 0);
+    }
+  };
+
+  const filtered = hasActiveFilters(query);
+
+  const renderDatasets = () => {
+    if (layout === 'table') {
+      return (
+        <DatasetTable
+          datasets={visible}
+          isSelected={isSelected}
+          onToggle={toggleSelected}
+          allSelected={allVisibleSelected}
+          onToggleAll={toggleVisible}
+          onCopyUrl={copyGeoJSONUrl}
+          onDelete={session ? dataset => deleteDataset(dataset.id) : undefined}
+        />
+      );
     }
+
+    return (
+      <div className="dataset-grid">
+        {visible.map(dataset => (
+          <div key={dataset.id} className={`dataset-card ${isSelected(dataset.id) ? 'selected' : ''}`}>
+            <div className="dataset-header">
+              <input
+                type="checkbox"
+                className="dataset-select"
+                checked={isSelected(dataset.id)}
+                onChange={() => toggleSelected(dataset)}
+                aria-label={`Select ${dataset.name}`}
+              />
+              <h3>{dataset.name}</h3>
+              <div className="dataset-actions">
+                <button
+                  onClick={() => navigate(`/datasets/${dataset.id}`)}
+                  className="btn btn-small btn-primary"
+                >
+                  View
+                </button>
+                <button
+                  onClick={() => copyGeoJSONUrl(dataset)}
+                  className="btn btn-small btn-secondary"
+                  title="Copy GeoJSON URL"
+                >
+                  Copy URL
+                </button>
+                {session && (
+                  <button
+                    onClick={() => deleteDataset(dataset.id)}
+                    className="btn btn-small btn-danger"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="dataset-info">
+              <p>{dataset.description || 'No description provided'}</p>
+
+              <div className="dataset-meta">
+                <span className="meta-item">
+                  <strong>Features:</strong> {dataset.feature_count}
+                </span>
+                <span className="meta-item">
+                  <strong>Size:</strong> {dataset.file_size_bytes ? `${(dataset.file_size_bytes / 1024).toFixed(2)} KB` : 'N/A'}
+                </span>
+                <span className="meta-item">
+                  <strong>Uploaded:</strong> {new Date(dataset.uploaded_at).toLocaleDateString()}
+                </span>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
   };
 
-  if (loading) return <LoadingSpinner />;
-  if (error) return <ErrorMessage message={error} onRetry={() => fetchDatasets(currentPage * 100, 100)} />;
+  const renderResults = () => {
+    if (loading) return <LoadingSpinner />;
+    if (error && (!infinite || visible.length === 0)) return <ErrorMessage message={error} onRetry={refresh} />;
+
+    if (visible.length === 0) {
+      return filtered ? (
+        <div className="empty-state">
+          <p>No datasets match your search and filters.</p>
+          <button className="btn btn-secondary" onClick={() => updateQuery({ ...DEFAULT_QUERY, sort: query.sort, dir: query.dir })}>
+            Clear Filters
+          </button>
+        </div>
+      ) : (
+        <div className="empty-state">
+          <p>No datasets found. Upload your first GeoJSON file to get started.</p>
+          <button className="btn btn-secondary" onClick={() => navigate('/upload')}>
+            Upload Dataset
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {renderDatasets()}
+
+        {infinite ? (
+          <div className="infinite-status" ref={sentinelRef}>
+            {error && (
+              <p className="infinite-error">
+                {error} <button className="btn btn-small btn-secondary" onClick={() => { setError(null); loadMore(); }}>Retry</button>
+              </p>
+            )}
+            {!error && loadingMore && <p>Loading more datasets...</p>}
+            {!error && !loadingMore && hasMore && (
+              <button className="btn btn-secondary" onClick={loadMore}>Load More</button>
+            )}
+            {!hasMore && <p>Showing all {resultCount} datasets</p>}
+          </div>
+        ) : (
+          <Pagination page={page} pageCount={pageCount} onChange={handlePageChange} />
+        )}
+      </>
+    );
+  };
 
   return (
     <div className="dataset-list">
       <div className="page-header">
-        <h2>Datasets ({total})</h2>
-        <button 
-          className="btn btn-primary" 
+        <h2>
+          Datasets ({matching && filtered ? `${matching.length} of ${catalog.length}` : resultCount})
+        </h2>
+        <button
+          className="btn btn-primary"
           onClick={() => navigate('/upload')}
         >
           Upload New Dataset
         </button>
       </div>
 
-      {datasets.length === 0 ? (
-        <div className="empty-state">
-          <p>No datasets found. Upload your first GeoJSON file to get started.</p>
-          <button className="btn btn-secondary" onClick={() => navigate('/upload')}>
-            Upload Dataset
+      <DatasetFilters query={query} onChange={updateQuery} />
+
+      <BulkActions
+        selected={Array.from(selected.values())}
+        matchingCount={resultCount}
+        onSelectAllMatching={selectAllMatching}
+        selectingAll={selectingAll}
+        onClear={() => setSelected(new Map())}
+        onFinished={handleBulkFinished}
+      />
+
+      <div className="list-toolbar">
+        <label className="list-toolbar-field list-toolbar-select">
+          <input
+            type="checkbox"
+            checked={allVisibleSelected}
+            onChange={toggleVisible}
+            disabled={visible.length === 0}
+          />
+          Select page
+        </label>
+        <label className="list-toolbar-field">
+          Per page
+          <select value={size} onChange={e => updateView({ size: Number(e.target.value), page: 1 })}>
+            {PAGE_SIZES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+        <label className="list-toolbar-field">
+          <input
+            type="checkbox"
+            checked={infinite}
+            onChange={e => updateView({ infinite: e.target.checked, page: 1 })}
+          />
+          Infinite scroll
+        </label>
+        <div className="layout-toggle" role="group" aria-label="Layout">
+          <button
+            className={layout === 'grid' ? 'active' : ''}
+            onClick={() => updateView({ layout: 'grid' }, { replace: true })}
+            title="Grid"
+            aria-pressed={layout === 'grid'}
+          >
+            <i className="fas fa-th-large"></i>
+          </button>
+          <button
+            className={layout === 'table' ? 'active' : ''}
+            onClick={() => updateView({ layout: 'table' }, { replace: true })}
+            title="Table"
+            aria-pressed={layout === 'table'}
+          >
+            <i className="fas fa-list"></i>
           </button>
         </div>
-      ) : (
-        <>
-          <div className="dataset-grid">
-            {datasets.map(dataset => (
-              <div key={dataset.id} className="dataset-card">
-                <div className="dataset-header">
-                  <h3>{dataset.name}</h3>
-                  <div className="dataset-actions">
-                    <button 
-                      onClick={() => navigate(`/datasets/${dataset.id}`)}
-                      className="btn btn-small btn-primary"
-                    >
-                      View
-                    </button>
-                    <button 
-                      onClick={() => navigator.clipboard.writeText(`${window.location.origin}/api/v1/datasets/${dataset.id}/geojson`)}
-                      className="btn btn-small btn-secondary"
-                      title="Copy GeoJSON URL"
-                    >
-                      Copy URL
-                    </button>
-                    <button 
-                      onClick={() => deleteDataset(dataset.id)}
-                      className="btn btn-small btn-danger"
-                    >
-                      Delete
-                    </button>
-                  </div>
-                </div>
-                
-                <div className="dataset-info">
-                  <p>{dataset.description || 'No description provided'}</p>
-                  
-                  <div className="dataset-meta">
-                    <span className="meta-item">
-                      <strong>Features:</strong> {dataset.feature_count}
-                    </span>
-                    <span className="meta-item">
-                      <strong>Size:</strong> {dataset.file_size_bytes ? `${(dataset.file_size_bytes / 1024).toFixed(2)} KB` : 'N/A'}
-                    </span>
-                    <span className="meta-item">
-                      <strong>Uploaded:</strong> {new Date(dataset.uploaded_at).toLocaleDateString()}
-                    </span>
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
+      </div>
 
-          <div className="pagination">
-            <button 
-              onClick={() => handlePageChange(currentPage - 1)} 
-              disabled={currentPage === 0}
-              className="btn btn-secondary"
-            >
-              Previous
-            </button>
-            <span className="page-info">
-              Page {currentPage + 1} of {Math.ceil(total / 100)}
-            </span>
-            <button 
-              onClick={() => handlePageChange(currentPage + 1)} 
-              disabled={(currentPage + 1) * 100 >= total}
-              className="btn btn-secondary"
-            >
-              Next
-            </button>
-          </div>
-        </>
-      )}
+      {renderResults()}
     </div>
   );
 };
 
-export default DatasetList;
\ No newline at end of file
+export default DatasetList;
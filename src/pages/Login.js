@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import GeoSpotAPI from '../services/geospot-api';
+import './Auth.css';
+
+// Where to go after logging in: the page that required it, or the dataset list
+export const redirectTarget = (state) => {
+  const from = state?.from;
+  if (!from || from.pathname === '/login' || from.pathname === '/register') return '/datasets';
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`;
+};
+
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await GeoSpotAPI.login(email.trim(), password);
+      navigate(redirectTarget(location.state), { replace: true });
+    } catch (err) {
+      setError(err.status === 401 ? 'Incorrect email or password.' : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <form className="auth-container" onSubmit={handleSubmit}>
+        <h2>Log In</h2>
+        {location.state?.expired && (
+          <p className="auth-notice">Your session has expired. Please log in again.</p>
+        )}
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="login-email">Email</label>
+          <input
+            id="login-email"
+            className="form-control"
+            type="email"
+            autoComplete="email"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="login-password">Password</label>
+          <input
+            id="login-password"
+            className="form-control"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            required
+          />
+        </div>
+
+        {error && <p className="auth-error">{error}</p>}
+
+        <button type="submit" className="btn btn-primary auth-submit" disabled={submitting}>
+          {submitting ? 'Logging in...' : 'Log In'}
+        </button>
+
+        <p className="auth-switch">
+          No account yet? <Link to="/register" state={location.state}>Create one</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { MapContainer, GeoJSON, Pane } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import L from 'leaflet';
+import GeoSpotAPI from '../services/geospot-api';
+import { isAbortError } from '../services/api-error';
+import LayerList from '../components/LayerList';
+import BasemapLayer from '../components/BasemapLayer';
+import BasemapPicker from '../components/BasemapPicker';
+import StylePanel from '../components/StylePanel';
+import MapLegend from '../components/MapLegend';
+import { collectColumns } from '../utils/attributeTable';
+import { classifyFeatures, createStyle, resolveStyle } from '../utils/dataStyle';
+import { bboxToBounds } from '../utils/geojsonPreprocess';
+import { featurePopup } from '../utils/featurePopup';
+import { createLayer, createPointToLayer, decodeLayers, encodeLayers, layerPane } from '../utils/workspaceLayers';
+import useBasemap from '../utils/useBasemap';
+import './MapWorkspace.css';
+
+// Each layer gets its own map pane, stacked above Leaflet's overlay pane (400)
+// and below its marker pane (600)
+const LAYER_PANE_Z_INDEX = 401;
+
+const layerBounds = (geojson) => {
+  const bounds = bboxToBounds(geojson.bbox);
+  return bounds ? L.latLngBounds(bounds) : L.geoJSON(geojson).getBounds();
+};
+
+// One dataset drawn in its own pane, so stacking order, opacity and visibility
+// apply to the layer as a whole
+const WorkspaceLayer = ({ layer, name, geojson, featureStyle, zIndex }) => {
+  const paneRef = useRef(null);
+  const paneStyle = { zIndex, opacity: layer.opacity, display: layer.visible ? '' : 'none' };
+  const pane = layerPane(layer.id);
+  const pointToLayer = useMemo(() => createPointToLayer(pane), [pane]);
+
+  // Pane only applies its style when created
+  useEffect(() => {
+    if (paneRef.current) Object.assign(paneRef.current.style, paneStyle);
+  });
+
+  return (
+    <Pane name={pane} ref={paneRef} style={paneStyle}>
+      <GeoJSON
+        data={geojson}
+        style={featureStyle}
+        pointToLayer={pointToLayer}
+        onEachFeature={(feature, featureLayer) => featureLayer.bindPopup(featurePopup(feature, name))}
+      />
+    </Pane>
+  );
+};
+
+const MapWorkspace = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const layersParam = searchParams.get('layers');
+  const layers = useMemo(() => decodeLayers(layersParam), [layersParam]);
+  // Per dataset: { status: 'loading' | 'ready' | 'error', dataset, geojson, error }
+  const [loaded, setLoaded] = useState({});
+  const [catalog, setCatalog] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const mapRef = useRef(null);
+  const requestedRef = useRef(new Set());
+  const controllersRef = useRef(new Map());
+  const fittedRef = useRef(false);
+  const stylesRef = useRef(new Map());
+  const basemapState = useBasemap();
+
+  // The layer set lives in the URL, so it can be bookmarked and shared
+  const setLayers = (next) => {
+    setSearchParams(next.length > 0 ? { layers: encodeLayers(next) } : {}, { replace: true });
+  };
+  const updateLayer = (id, changes) =>
+    setLayers(layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)));
+
+  const loadLayer = useCallback(async (id) => {
+    const controller = new AbortController();
+    controllersRef.current.set(id, controller);
+    setLoaded(prev => ({ ...prev, [id]: { ...prev[id], status: 'loading', error: null } }));
+    try {
+      const [dataset, geojson] = await Promise.all([
+        GeoSpotAPI.getDataset(id, { signal: controller.signal }),
+        GeoSpotAPI.getDatasetGeoJSON(id, { signal: controller.signal }),
+      ]);
+      setLoaded(prev => ({ ...prev, [id]: { status: 'ready', dataset, geojson } }));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setLoaded(prev => ({ ...prev, [id]: { ...prev[id], status: 'error', error: err.message } }));
+    } finally {
+      controllersRef.current.delete(id);
+    }
+  }, []);
+
+  useEffect(() => {
+    layers.forEach(({ id }) => {
+      if (requestedRef.current.has(id)) return;
+      requestedRef.current.add(id);
+      loadLayer(id);
+    });
+  }, [layers, loadLayer]);
+
+  // Stop loading when leaving the page
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    const requested = requestedRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      requested.clear();
+    };
+  }, []);
+
+  // Datasets that can be added as layers
+  useEffect(() => {
+    const controller = new AbortController();
+    GeoSpotAPI.getAllDatasets({ signal: controller.signal })
+      .then(({ datasets }) => setCatalog(datasets))
+      .catch(err => {
+        if (!isAbortError(err)) console.warn('Could not load the dataset list:', err);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // Columns and style of each loaded layer. Classifying is the slow part, so a
+  // layer's result is reused until its data or style changes.
+  const layerStyles = useMemo(() => {
+    const next = new Map();
+    layers.forEach(layer => {
+      const geojson = loaded[layer.id]?.geojson;
+      if (!geojson) return;
+      const key = JSON.stringify(layer.style);
+      const previous = stylesRef.current.get(layer.id);
+      if (previous?.geojson === geojson && previous.key === key) {
+        next.set(layer.id, previous);
+        return;
+      }
+      const columns = previous?.geojson === geojson ? previous.columns : collectColumns(geojson.features);
+      const activeStyle = resolveStyle(layer.style, columns);
+      const classification = classifyFeatures(geojson.features, activeStyle);
+      const featureStyle = createStyle(activeStyle, classification);
+      next.set(layer.id, { geojson, key, columns, activeStyle, classification, featureStyle });
+    });
+    stylesRef.current = next;
+    return next;
+  }, [layers, loaded]);
+
+  const fitLayers = useCallback((ids) => {
+    const bounds = L.latLngBounds([]);
+    ids.forEach(id => {
+      const geojson = loaded[id]?.geojson;
+      if (geojson?.features?.length) bounds.extend(layerBounds(geojson));
+    });
+    if (mapRef.current && bounds.isValid()) {
+      mapRef.current.fitBounds(bounds, { padding: [30, 30] });
+    }
+  }, [loaded]);
+
+  // Fit the map to the layers once they have first finished loading
+  useEffect(() => {
+    if (fittedRef.current || layers.length === 0) return;
+    if (layers.some(({ id }) => !loaded[id] || loaded[id].status === 'loading')) return;
+    fittedRef.current = true;
+    fitLayers(layers.filter(layer => layer.visible).map(layer => layer.id));
+  }, [layers, loaded, fitLayers]);
+
+  const addLayer = (value) => {
+    const dataset = catalog.find(candidate => String(candidate.id) === value);
+    if (!dataset) return;
+    setLayers([createLayer(dataset.id), ...layers]);
+    setActiveId(dataset.id);
+  };
+
+  const inWorkspace = new Set(layers.map(layer => String(layer.id)));
+  const available = catalog.filter(dataset => !inWorkspace.has(String(dataset.id)));
+  const active = layers.find(layer => layer.id === activeId) || layers[0];
+  const activeStyle = active && layerStyles.get(active.id);
+  const info = Object.fromEntries(layers.map(({ id }) => {
+    const entry = loaded[id];
+    return [id, {
+      name: entry?.dataset?.name,
+      status: entry?.status || 'loading',
+      error: entry?.error,
+      featureCount: entry?.geojson?.features?.length || 0,
+    }];
+  }));
+
+  return (
+    <div className="map-workspace">
+      <aside className="workspace-sidebar">
+        <div className="workspace-sidebar-header">
+          <h2>Map Workspace</h2>
+          <button
+            className="btn btn-small btn-secondary"
+            onClick={() => fitLayers(layers.filter(layer => layer.visible).map(layer => layer.id))}
+            disabled={!layers.some(layer => layer.visible && loaded[layer.id]?.status === 'ready')}
+          >
+            Fit All
+          </button>
+        </div>
+
+        <select
+          className="workspace-add"
+          value=""
+          onChange={e => addLayer(e.target.value)}
+          disabled={available.length === 0}
+          aria-label="Add dataset"
+        >
+          <option value="">{catalog.length ? 'Add dataset…' : 'Loading datasets…'}</option>
+          {available.map(dataset => <option key={dataset.id} value={dataset.id}>{dataset.name}</option>)}
+        </select>
+
+        <LayerList
+          layers={layers}
+          info={info}
+          activeId={active?.id}
+          onChange={setLayers}
+          onActivate={setActiveId}
+          onZoom={id => fitLayers([id])}
+          onRetry={loadLayer}
+        />
+
+        <div className="workspace-basemap">
+          <BasemapPicker {...basemapState} />
+        </div>
+
+        {activeStyle && (
+          <div className="workspace-style">
+            <p className="workspace-style-layer">Style of <strong>{info[active.id].name}</strong></p>
+            <StylePanel
+              columns={activeStyle.columns}
+              config={activeStyle.activeStyle}
+              onChange={style => updateLayer(active.id, { style })}
+            />
+          </div>
+        )}
+      </aside>
+
+      <div className="workspace-map">
+        <MapContainer
+          center={[0, 0]}
+          zoom={2}
+          style={{ height: '100%', width: '100%' }}
+          scrollWheelZoom={true}
+          ref={mapRef}
+        >
+          <BasemapLayer basemap={basemapState.basemap} />
+          {layers.map((layer, index) => {
+            const style = layerStyles.get(layer.id);
+            if (!style) return null;
+            return (
+              <WorkspaceLayer
+                key={layer.id}
+                layer={layer}
+                name={info[layer.id].name}
+                geojson={style.geojson}
+                featureStyle={style.featureStyle}
+                zIndex={LAYER_PANE_Z_INDEX + layers.length - 1 - index}
+              />
+            );
+          })}
+        </MapContainer>
+        {activeStyle && active.visible && <MapLegend legend={activeStyle.classification.legend} />}
+      </div>
+    </div>
+  );
+};
+
+export default MapWorkspace;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import GeoSpotAPI from '../services/geospot-api';
+import { redirectTarget } from './Login';
+import './Auth.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const Register = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [form, setForm] = useState({ username: '', email: '', password: '', confirm: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (form.password !== form.confirm) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    const email = form.email.trim();
+
+    try {
+      await GeoSpotAPI.register({ username: form.username.trim(), email, password: form.password });
+      // Log straight in so the user lands where they were headed
+      await GeoSpotAPI.login(email, form.password);
+      navigate(redirectTarget(location.state), { replace: true });
+    } catch (err) {
+      setError(err.isConflict ? 'An account with this email already exists.' : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <form className="auth-container" onSubmit={handleSubmit}>
+        <h2>Create Account</h2>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="register-username">Username</label>
+          <input
+            id="register-username"
+            className="form-control"
+            autoComplete="username"
+            value={form.username}
+            onChange={updateField('username')}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="register-email">Email</label>
+          <input
+            id="register-email"
+            className="form-control"
+            type="email"
+            autoComplete="email"
+            value={form.email}
+            onChange={updateField('email')}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="register-password">Password</label>
+          <input
+            id="register-password"
+            className="form-control"
+            type="password"
+            autoComplete="new-password"
+            minLength={MIN_PASSWORD_LENGTH}
+            value={form.password}
+            onChange={updateField('password')}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="register-confirm">Confirm Password</label>
+          <input
+            id="register-confirm"
+            className="form-control"
+            type="password"
+            autoComplete="new-password"
+            value={form.confirm}
+            onChange={updateField('confirm')}
+            required
+          />
+        </div>
+
+        {error && <p className="auth-error">{error}</p>}
+
+        <button type="submit" className="btn btn-primary auth-submit" disabled={submitting}>
+          {submitting ? 'Creating account...' : 'Create Account'}
+        </button>
+
+        <p className="auth-switch">
+          Already registered? <Link to="/login" state={location.state}>Log in</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default Register;
@@ -1,122 +1,403 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import GeoSpotAPI from '../services/geospot-api';
+import { isAbortError } from '../services/api-error';
+import UploadQueue from '../components/UploadQueue';
+import { validateGeoJSONFile, validateGeoJSONObject } from '../utils/geojsonValidator';
+import {
+  CONVERTIBLE_EXTENSIONS,
+  findConverter,
+  getFileExtension,
+  toGeoJSONFile,
+} from '../utils/converters';
 import './Upload.css';
 
+const GEOJSON_EXTENSIONS = ['.geojson', '.json'];
+const ALLOWED_EXTENSIONS = [...GEOJSON_EXTENSIONS, ...CONVERTIBLE_EXTENSIONS];
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+// Other formats are read whole into memory to convert them, and usually shrink or
+// stay close in size as GeoJSON, so their source files get a higher but still bounded cap
+const MAX_SOURCE_SIZE = 100 * 1024 * 1024; // 100MB
+const DEFAULT_CONCURRENCY = 3;
+
+// Statuses that still have work pending in the batch
+const PENDING_STATUSES = ['queued', 'uploading'];
+
+let nextItemId = 1;
+
+// Items are tagged with the batch they were queued in, so the summary only
+// counts the files of the latest Upload All or retry
+let nextBatchId = 1;
+
+// Explain upload failures the user can act on
+const describeUploadError = (err, fileName) => {
+  if (err.isConflict) {
+    return `A dataset named "${fileName}" already exists. Rename the file or delete the existing dataset, then retry.`;
+  }
+  if (err.isPayloadTooLarge) {
+    return 'The server rejected the file because it exceeds the upload size limit.';
+  }
+  if (err.isValidationError) {
+    return `The server rejected the GeoJSON: ${err.message}`;
+  }
+  return err.message;
+};
+
+// Turn one converted layer into an upload-ready (or invalid) queue item
+const toConvertedItem = (item, layer, id) => {
+  const file = toGeoJSONFile(layer.geojson, layer.name);
+  const validation = validateGeoJSONObject(layer.geojson);
+  let error = validation.valid ? null : 'GeoJSON validation failed';
+  if (file.size > MAX_FILE_SIZE) {
+    error = 'Converted GeoJSON is larger than the 10MB upload limit';
+  }
+
+  return {
+    ...item,
+    id,
+    file,
+    geojson: layer.geojson,
+    status: error ? 'invalid' : 'ready',
+    validation,
+    error,
+  };
+};
+
 const Upload = () => {
-  const [file, setFile] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [uploadResult, setUploadResult] = useState(null);
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [summary, setSummary] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
   const [error, setError] = useState(null);
-  const navigate = useNavigate();
+  const controllersRef = useRef(new Map());
 
-  const handleFileChange = (event) => {
-    const selectedFile = event.target.files[0];
-    if (selectedFile) {
-      // Validate file type
-      const allowedExtensions = ['.geojson', '.json'];
-      const fileExtension = '.' + selectedFile.name.split('.').pop().toLowerCase();
-      
-      if (!allowedExtensions.includes(fileExtension)) {
-        setError(`Invalid file type. Allowed: ${allowedExtensions.join(', ')}`);
-        return;
-      }
+  // Cancel any in-flight uploads when leaving the page
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
 
-      // Validate file size (10MB max)
-      const maxSize = 10 * 1024 * 1024; // 10MB
-      if (selectedFile.size > maxSize) {
-        setError(`File too large. Maximum size: 10MB`);
-        return;
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Convert other formats to GeoJSON; one source file may yield several layers
+  const convertItem = useCallback(async (item, converter) => {
+    updateItem(item.id, { status: 'converting', format: converter.label });
+
+    // Tabular formats stop here until the user confirms the column mapping
+    if (converter.requiresMapping) {
+      try {
+        const table = await converter.parse(item.sourceFile);
+        updateItem(item.id, {
+          status: 'mapping',
+          table,
+          mapping: converter.detectMapping(table),
+          types: converter.inferTypes(table),
+          error: null,
+        });
+      } catch (err) {
+        updateItem(item.id, { status: 'invalid', error: err.message });
       }
+      return;
+    }
 
-      setFile(selectedFile);
-      setError(null);
+    let layers;
+    try {
+      layers = await converter.convert(item.sourceFile);
+    } catch (err) {
+      updateItem(item.id, { status: 'invalid', error: err.message });
+      return;
+    }
+
+    const convertedItems = layers.map((layer, index) =>
+      toConvertedItem(item, layer, index === 0 ? item.id : nextItemId++)
+    );
+
+    setItems(prev => prev.flatMap(existing => (existing.id === item.id ? convertedItems : [existing])));
+  }, [updateItem]);
+
+  // Re-read a delimited file with a delimiter chosen by the user. These mapping
+  // handlers ignore items removed from the queue in the meantime.
+  const changeDelimiter = async (id, delimiter) => {
+    const item = items.find(existing => existing.id === id);
+    if (!item) return;
+    const converter = findConverter(item.sourceFile);
+    try {
+      const table = await converter.parse(item.sourceFile, delimiter);
+      updateItem(id, {
+        table,
+        mapping: converter.detectMapping(table),
+        types: converter.inferTypes(table),
+        error: null,
+      });
+    } catch (err) {
+      updateItem(id, { error: err.message });
     }
   };
 
-  const handleUpload = async () => {
-    if (!file) {
-      setError('Please select a file first');
+  const applyMapping = (id, mapping, types) => {
+    const item = items.find(existing => existing.id === id);
+    if (!item) return;
+    const converter = findConverter(item.sourceFile);
+    const { geojson, invalidRows } = converter.build(item.table, mapping, types);
+
+    if (geojson.features.length === 0) {
+      updateItem(id, { mapping, types, invalidRows, error: 'No rows could be converted with this mapping' });
       return;
     }
 
-    setUploading(true);
+    updateItem(id, {
+      ...toConvertedItem(item, { geojson, name: item.table.name }, id),
+      mapping,
+      types,
+      invalidRows,
+    });
+  };
+
+  const editMapping = (id) => {
+    const item = items.find(existing => existing.id === id);
+    if (!item) return;
+    updateItem(id, {
+      status: 'mapping',
+      file: item.sourceFile,
+      geojson: null,
+      validation: null,
+      error: null,
+    });
+  };
+
+  const prepareItem = useCallback(async (item) => {
+    const { file } = item;
+    const extension = getFileExtension(file.name);
+
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      updateItem(item.id, { status: 'invalid', error: `Invalid file type. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}` });
+      return;
+    }
+
+    const converter = findConverter(file);
+    if (converter) {
+      if (file.size > MAX_SOURCE_SIZE) {
+        updateItem(item.id, { status: 'invalid', error: 'File too large to convert. Maximum size: 100MB' });
+        return;
+      }
+      await convertItem(item, converter);
+      return;
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
+      updateItem(item.id, { status: 'invalid', error: 'File too large. Maximum size: 10MB' });
+      return;
+    }
+
+    try {
+      const validation = await validateGeoJSONFile(file);
+      updateItem(item.id, {
+        status: validation.valid ? 'ready' : 'invalid',
+        validation,
+        error: validation.valid ? null : 'GeoJSON validation failed',
+      });
+    } catch (err) {
+      updateItem(item.id, { status: 'invalid', error: `Could not read file: ${err.message}` });
+    }
+  }, [updateItem, convertItem]);
+
+  const addFiles = (fileList) => {
+    const newItems = Array.from(fileList).map(file => ({
+      id: nextItemId++,
+      file,
+      sourceFile: file,
+      format: null,
+      geojson: null,
+      table: null,
+      mapping: null,
+      types: null,
+      invalidRows: [],
+      status: 'validating',
+      validation: null,
+      progress: 0,
+      transfer: null,
+      result: null,
+      error: null,
+      batch: null,
+    }));
+
+    if (newItems.length === 0) return;
+
+    setItems(prev => [...prev, ...newItems]);
+    setSummary(null);
     setError(null);
-    setUploadProgress(0);
+    newItems.forEach(prepareItem);
+  };
+
+  const handleFileChange = (event) => {
+    addFiles(event.target.files);
+    // Allow selecting the same file again after removing it
+    event.target.value = '';
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setDragActive(true);
+  };
+
+  const handleDragLeave = (event) => {
+    // Ignore leave events fired when moving between child elements
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setDragActive(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+    addFiles(event.dataTransfer.files);
+  };
+
+  const startUpload = useCallback(async (item) => {
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, { status: 'uploading', progress: 0, error: null, transfer: null });
+
+    const startedAt = performance.now();
 
     try {
-      setUploadProgress(30); // Initial processing
-      const result = await GeoSpotAPI.uploadGeoJSON(file);
-      setUploadResult(result);
-      setUploadProgress(100);
-      
-      // Show success message and give option to view the dataset
-      setTimeout(() => {
-        if (window.confirm(`Upload successful! Dataset ID: ${result.id}. Would you like to view it now?`)) {
-          navigate(`/datasets/${result.id}`);
-        }
-      }, 1000);
+      const result = await GeoSpotAPI.uploadGeoJSON(item.file, {
+        signal: controller.signal,
+        onProgress: ({ loaded, total, percent }) => {
+          const elapsed = (performance.now() - startedAt) / 1000;
+          const rate = elapsed > 0 ? loaded / elapsed : 0;
+          updateItem(item.id, {
+            progress: percent,
+            transfer: { loaded, total, rate, eta: rate > 0 ? (total - loaded) / rate : null },
+          });
+        },
+      });
+      updateItem(item.id, { status: 'done', progress: 100, result, transfer: null });
     } catch (err) {
-      setError(err.message);
+      if (isAbortError(err)) {
+        updateItem(item.id, { status: 'cancelled', progress: 0, transfer: null, error: 'Upload cancelled' });
+      } else {
+        updateItem(item.id, { status: 'error', transfer: null, error: describeUploadError(err, item.file.name) });
+      }
     } finally {
-      setUploading(false);
+      controllersRef.current.delete(item.id);
     }
-  };
+  }, [updateItem]);
 
-  const resetUpload = () => {
-    setFile(null);
-    setUploadResult(null);
+  // Start queued uploads while there are free slots
+  useEffect(() => {
+    if (!running) return;
+
+    const active = items.filter(item => item.status === 'uploading').length;
+    const queued = items.filter(item => item.status === 'queued');
+
+    if (active === 0 && queued.length === 0) {
+      const batchItems = items.filter(item => item.batch === batch);
+      setRunning(false);
+      setSummary({
+        succeeded: batchItems.filter(item => item.status === 'done').length,
+        failed: batchItems.filter(item => item.status === 'error').length,
+        cancelled: batchItems.filter(item => item.status === 'cancelled').length,
+        skipped: batchItems.filter(item => item.status === 'invalid').length,
+      });
+      return;
+    }
+
+    queued.slice(0, Math.max(0, concurrency - active)).forEach(startUpload);
+  }, [items, running, batch, concurrency, startUpload]);
+
+  const uploadAll = () => {
+    const hasReady = items.some(item => item.status === 'ready');
+    if (!hasReady) {
+      setError('No valid files are ready to upload');
+      return;
+    }
+
+    const id = nextBatchId++;
+    setItems(prev => prev.map(item => {
+      if (item.status === 'ready') return { ...item, status: 'queued', batch: id };
+      // Invalid files left in the queue are reported as skipped once, in the next batch
+      if (item.status === 'invalid' && item.batch === null) return { ...item, batch: id };
+      return item;
+    }));
+    setBatch(id);
+    setSummary(null);
     setError(null);
-    setUploadProgress(0);
+    setRunning(true);
+  };
+
+  // A retry joins the running batch, or starts a batch of its own
+  const retryItem = (id) => {
+    const retryBatch = running ? batch : nextBatchId++;
+    updateItem(id, { status: 'queued', error: null, progress: 0, batch: retryBatch });
+    setBatch(retryBatch);
+    setSummary(null);
+    setRunning(true);
+  };
+
+  const cancelItem = (id) => {
+    const controller = controllersRef.current.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      updateItem(id, { status: 'cancelled', error: 'Upload cancelled' });
+    }
+  };
+
+  const cancelAll = () => {
+    setItems(prev => prev.map(item => (
+      item.status === 'queued' ? { ...item, status: 'cancelled', error: 'Upload cancelled' } : item
+    )));
+    controllersRef.current.forEach(controller => controller.abort());
   };
 
+  const removeItem = (id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const clearFinished = () => {
+    setItems(prev => prev.filter(item => !['done', 'cancelled', 'invalid'].includes(item.status)));
+    setSummary(null);
+  };
+
+  const readyCount = items.filter(item => item.status === 'ready').length;
+  const hasPending = items.some(item => PENDING_STATUSES.includes(item.status));
+
   return (
     <div className="upload-page">
-      <h2>Upload GeoJSON File</h2>
-      
+      <h2>Upload GeoJSON Files</h2>
+
       <div className="upload-container">
-        <div className="file-upload-area">
+        <div
+          className={`file-upload-area ${dragActive ? 'drag-active' : ''}`}
+          onDragEnter={handleDragOver}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
           <input
             type="file"
             id="geojson-upload"
-            accept=".geojson,.json,application/geo+json"
+            accept={[...ALLOWED_EXTENSIONS, 'application/geo+json'].join(',')}
             onChange={handleFileChange}
-            disabled={uploading}
+            multiple
             style={{ display: 'none' }}
           />
           <label htmlFor="geojson-upload" className="upload-label">
             <div className="upload-content">
               <div className="upload-icon">Upload</div>
               <p>
-                {file 
-                  ? `Selected: ${file.name} (${(file.size / 1024).toFixed(2)} KB)` 
-                  : 'Click to select or drag GeoJSON file here'}
+                {dragActive
+                  ? 'Drop files to add them to the queue'
+                  : 'Click to select or drag GeoJSON, Shapefile (.zip), KML, KMZ, GPX or CSV files here'}
               </p>
             </div>
           </label>
         </div>
 
-        {file && !uploading && !uploadResult && (
-          <div className="file-info">
-            <p><strong>File:</strong> {file.name}</p>
-            <p><strong>Size:</strong> {(file.size / 1024).toFixed(2)} KB</p>
-            <p><strong>Type:</strong> {file.type || 'application/json'}</p>
-          </div>
-        )}
-
-        {uploading && (
-          <div className="upload-progress">
-            <div className="progress-bar">
-              <div 
-                className="progress-fill" 
-                style={{ width: `${uploadProgress}%` }}
-              ></div>
-            </div>
-            <span className="progress-text">{uploadProgress}%</span>
-          </div>
-        )}
-
         {error && (
           <div className="error-message">
             <p>Error: {error}</p>
@@ -124,49 +405,74 @@ const Upload = () => {
           </div>
         )}
 
-        {uploadResult && (
-          <div className="success-message">
-            <h3>Upload Successful!</h3>
-            <p><strong>Dataset ID:</strong> {uploadResult.id}</p>
-            <p><strong>Features:</strong> {uploadResult.feature_count}</p>
-            <p><strong>Name:</strong> {uploadResult.name}</p>
-            <div className="success-actions">
-              <button className="btn btn-primary" onClick={() => navigate(`/datasets/${uploadResult.id}`)}>
-                View Dataset
-              </button>
-              <button className="btn btn-secondary" onClick={resetUpload}>
-                Upload Another
-              </button>
-            </div>
+        {summary && (
+          <div className={summary.failed > 0 ? 'error-message' : 'success-message'}>
+            <h3>Batch Finished</h3>
+            <p>
+              <strong>{summary.succeeded}</strong> uploaded,{' '}
+              <strong>{summary.failed}</strong> failed,{' '}
+              <strong>{summary.cancelled}</strong> cancelled,{' '}
+              <strong>{summary.skipped}</strong> skipped as invalid
+            </p>
           </div>
         )}
 
-        {!uploadResult && (
-          <div className="upload-actions">
-            <button 
-              className="btn btn-primary" 
-              onClick={handleUpload}
-              disabled={!file || uploading}
-            >
-              {uploading ? 'Uploading...' : 'Upload Dataset'}
+        <UploadQueue
+          items={items}
+          onRetry={retryItem}
+          onCancel={cancelItem}
+          onRemove={removeItem}
+          onApplyMapping={applyMapping}
+          onChangeDelimiter={changeDelimiter}
+          onEditMapping={editMapping}
+        />
+
+        <div className="upload-actions">
+          <button
+            className="btn btn-primary"
+            onClick={uploadAll}
+            disabled={readyCount === 0}
+          >
+            {hasPending && readyCount === 0
+              ? 'Uploading...'
+              : `Upload ${readyCount} File${readyCount === 1 ? '' : 's'}`}
+          </button>
+          {hasPending && (
+            <button className="btn btn-danger" onClick={cancelAll}>
+              Cancel All
             </button>
-            <button 
-              className="btn btn-secondary" 
-              onClick={resetUpload}
-              disabled={uploading}
+          )}
+          <button
+            className="btn btn-secondary"
+            onClick={clearFinished}
+            disabled={hasPending || items.length === 0}
+          >
+            Clear Finished
+          </button>
+          <label className="concurrency-control">
+            Parallel uploads
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
             >
-              Reset
-            </button>
-          </div>
-        )}
+              {[1, 2, 3, 4, 5, 6].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </label>
+        </div>
 
         <div className="upload-guidelines">
           <h3>Upload Guidelines</h3>
           <ul>
-            <li>Accepted file formats: .geojson, .json</li>
-            <li>Maximum file size: 10 MB</li>
-            <li>File should be a valid GeoJSON FeatureCollection</li>
+            <li>Accepted file formats: .geojson, .json, .zip (Shapefile), .kml, .kmz, .gpx, .csv, .tsv</li>
+            <li>Maximum file size: 10 MB of GeoJSON per file; files in other formats can be up to 100 MB before conversion</li>
+            <li>Shapefiles must be zipped with their .shp, .dbf and .prj files (.cpg is used for the attribute encoding); they are converted to GeoJSON in the browser</li>
+            <li>KML folders, ExtendedData and timestamps and GPX tracks, routes and waypoints are kept as feature properties; use Preview to check the converted features before uploading</li>
+            <li>CSV/TSV files need longitude/latitude columns (WGS 84) or a WKT geometry column; confirm the detected columns and property types before uploading</li>
+            <li>Files should be valid GeoJSON FeatureCollections (checked in the browser before upload)</li>
             <li>Supported geometry types: Point, LineString, Polygon, etc.</li>
+            <li>Select or drop several files at once to upload them as a batch</li>
           </ul>
         </div>
       </div>
@@ -174,4 +480,4 @@ const Upload = () => {
   );
 };
 
-export default Upload;
\ No newline at end of file
+export default Upload;
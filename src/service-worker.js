@@ -0,0 +1,74 @@
+/* eslint-disable no-restricted-globals */
+// service-worker.js
+// Built by react-scripts with Workbox InjectManifest in production builds.
+// Caches the app shell, answers API requests for pinned datasets from the
+// offline cache when the network fails, and serves pre-fetched map tiles.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { DATASETS_CACHE, TILES_CACHE } from './services/offline-store';
+
+clientsClaim();
+
+// App shell: everything emitted by the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Route navigations to index.html so client-side routes work offline
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Dataset API: always try the network, fall back to pinned copies
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && url.pathname.startsWith('/api/v1/datasets/'),
+  async ({ request }) => {
+    try {
+      return await fetch(request);
+    } catch (error) {
+      const cached = await caches.match(request.url, { cacheName: DATASETS_CACHE });
+      if (cached) return cached;
+      throw error;
+    }
+  }
+);
+
+// Map tiles: pre-fetched tiles first, and keep a bounded set of recently viewed ones
+const recentTiles = new NetworkFirst({
+  cacheName: 'geospot-recent-tiles',
+  networkTimeoutSeconds: 5,
+  plugins: [new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: 7 * 24 * 60 * 60 })],
+});
+
+registerRoute(
+  ({ url }) => url.hostname.endsWith('tile.openstreetmap.org'),
+  async (options) => {
+    const prefetched = await caches.match(options.request.url, { cacheName: TILES_CACHE });
+    if (prefetched) return prefetched;
+    return recentTiles.handle(options);
+  }
+);
+
+// Static images served from the public folder
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new CacheFirst({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Allow the page to activate a waiting service worker immediately
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,73 @@
+// serviceWorkerRegistration.js
+// Registers the service worker in production builds so the app shell and
+// pinned datasets are available offline. In development the service worker is
+// not registered, to avoid serving stale bundles while editing.
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    window.location.hostname === '[::1]' ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const registerValidSW = async (swUrl, config) => {
+  try {
+    const registration = await navigator.serviceWorker.register(swUrl);
+    registration.onupdatefound = () => {
+      const installingWorker = registration.installing;
+      if (!installingWorker) return;
+
+      installingWorker.onstatechange = () => {
+        if (installingWorker.state !== 'installed') return;
+        if (navigator.serviceWorker.controller) {
+          // New content is waiting; it is used once all tabs are closed
+          config?.onUpdate?.(registration);
+        } else {
+          config?.onSuccess?.(registration);
+        }
+      };
+    };
+  } catch (error) {
+    console.error('Error during service worker registration:', error);
+  }
+};
+
+// On localhost, make sure a service worker still exists at the URL before registering
+const checkValidServiceWorker = async (swUrl, config) => {
+  try {
+    const response = await fetch(swUrl, { headers: { 'Service-Worker': 'script' } });
+    const contentType = response.headers.get('content-type');
+    if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.unregister();
+      window.location.reload();
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  } catch (error) {
+    console.log('No internet connection found. App is running in offline mode.');
+  }
+};
+
+export function register(config) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The service worker won't work if PUBLIC_URL is on a different origin
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error(error.message));
+}
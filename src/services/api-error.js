@@ -0,0 +1,64 @@
+// services/api-error.js
+// Error thrown by GeoSpotAPI for failed requests.
+// status is the HTTP status code, or 0 when no response was received
+// (network failure or timeout).
+
+// FastAPI returns 422 details as [{ loc, msg, type }]; turn them into readable lines
+const formatValidationErrors = (errors) =>
+  errors.map(({ loc, msg }) => (Array.isArray(loc) ? `${loc.join('.')}: ${msg}` : msg));
+
+const describe = ({ status, detail, validationErrors, timedOut }) => {
+  if (timedOut) return 'The server took too long to respond. Please try again.';
+  if (status === 0) return 'Could not reach the GeoSpot server. Check your connection and try again.';
+  if (validationErrors.length > 0) return formatValidationErrors(validationErrors).join('; ');
+  if (typeof detail === 'string' && detail) return detail;
+  return `API error: ${status}`;
+};
+
+export class ApiError extends Error {
+  constructor({ status = 0, endpoint, method = 'GET', detail = null, body = null, timedOut = false }) {
+    const validationErrors = Array.isArray(detail) ? detail : [];
+    super(describe({ status, detail, validationErrors, timedOut }));
+
+    this.name = 'ApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.detail = detail;
+    this.validationErrors = validationErrors;
+    this.body = body;
+    this.timedOut = timedOut;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isConflict() {
+    return this.status === 409;
+  }
+
+  get isPayloadTooLarge() {
+    return this.status === 413;
+  }
+
+  get isValidationError() {
+    return this.status === 422;
+  }
+
+  get isServerUnavailable() {
+    return [502, 503, 504].includes(this.status);
+  }
+}
+
+// Build an ApiError from a non-OK fetch Response or XHR result body
+export const apiErrorFromBody = ({ status, endpoint, method, body }) => {
+  const detail = body && typeof body === 'object' ? body.detail ?? null : body || null;
+  return new ApiError({ status, endpoint, method, detail, body });
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
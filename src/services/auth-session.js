@@ -0,0 +1,52 @@
+// services/auth-session.js
+// The signed-in user's tokens and profile, persisted in localStorage so sessions
+// survive reloads and stay in sync across tabs.
+// Session shape: { accessToken, refreshToken, expiresAt (ms), user }
+
+const SESSION_KEY = 'geospot-session';
+
+const listeners = new Set();
+
+const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+let session = readSession();
+
+// reason: 'login', 'refresh', 'logout', 'expired', 'unauthenticated' (a request needed
+// a session and there was none) or 'sync' (changed in another tab)
+const notify = (reason) => listeners.forEach(listener => listener(session, reason));
+
+export const getSession = () => session;
+
+export const getAccessToken = () => session?.accessToken || null;
+
+export const setSession = (next, reason = 'login') => {
+  session = next;
+  localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+  notify(reason);
+};
+
+export const clearSession = (reason = 'logout') => {
+  session = null;
+  localStorage.removeItem(SESSION_KEY);
+  notify(reason);
+};
+
+// Subscribe to session changes; returns an unsubscribe function
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== SESSION_KEY) return;
+    session = readSession();
+    notify('sync');
+  });
+}
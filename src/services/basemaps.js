@@ -0,0 +1,158 @@
+// services/basemaps.js
+// Basemaps offered by the map's basemap picker: the definitions in
+// config/basemaps.json, those in REACT_APP_BASEMAPS (a JSON array; an entry with
+// an existing id replaces it) and custom ones users add at runtime. Each user's
+// choice and custom basemaps are remembered in localStorage.
+//
+// Definition: { id, name, type, url, attribution, maxZoom, ... } by type:
+//   xyz   url template with {z}, {x} and {y}; optional {s} with subdomains and {r} for retina tiles
+//   wms   base url plus layers; optional styles, format, transparent and version
+//   wmts  a RESTful url template with {TileMatrix}, {TileRow} and {TileCol}, or a KVP
+//         base url plus layer and tileMatrixSet; optional style and format. Only Web
+//         Mercator tile matrix sets whose matrix identifiers are zoom levels work.
+//   none  a blank background, e.g. for printing
+import config from '../config/basemaps.json';
+
+const SETTINGS_KEY = 'geospot-basemap';
+
+const TYPES = ['xyz', 'wms', 'wmts', 'none'];
+
+export const DEFAULT_MAX_ZOOM = 19;
+
+const isRestWmts = (url) => ['{TileMatrix}', '{TileRow}', '{TileCol}'].every(part => url.includes(part));
+
+// Check a definition and fill in defaults. Throws an Error describing the first problem.
+export const normalizeBasemap = (definition) => {
+  if (!definition || typeof definition !== 'object') throw new Error('A basemap definition must be an object.');
+  const { id, type = 'xyz', url } = definition;
+  if (typeof id !== 'string' || !id) throw new Error('A basemap needs an id.');
+  if (!TYPES.includes(type)) throw new Error(`Unknown basemap type "${type}". Use xyz, wms, wmts or none.`);
+
+  if (type !== 'none' && (typeof url !== 'string' || !/^https?:\/\//i.test(url))) {
+    throw new Error('The URL must start with http:// or https://.');
+  }
+  if (type === 'xyz' && !['{z}', '{x}', '{y}'].every(part => url.includes(part))) {
+    throw new Error('XYZ URLs need {z}, {x} and {y} placeholders.');
+  }
+  if (type === 'wms' && !definition.layers) {
+    throw new Error('WMS basemaps need the layers to request.');
+  }
+  if (type === 'wmts' && !isRestWmts(url) && !(definition.layer && definition.tileMatrixSet)) {
+    throw new Error('WMTS basemaps need a URL template with {TileMatrix}, {TileRow} and {TileCol}, or a layer and tile matrix set.');
+  }
+
+  const maxZoom = Number(definition.maxZoom ?? DEFAULT_MAX_ZOOM);
+  if (!Number.isInteger(maxZoom) || maxZoom < 1 || maxZoom > 24) {
+    throw new Error('Max zoom must be a whole number from 1 to 24.');
+  }
+  return { ...definition, type, name: definition.name || id, attribution: definition.attribution || '', maxZoom };
+};
+
+// Definitions that fail validation are skipped with a warning rather than breaking the map
+const loadConfigured = () => {
+  const basemaps = new Map();
+  const add = (definitions, source) => definitions.forEach(definition => {
+    try {
+      const basemap = normalizeBasemap(definition);
+      basemaps.set(basemap.id, basemap);
+    } catch (err) {
+      console.warn(`Ignoring basemap ${definition?.id ?? ''} from ${source}: ${err.message}`);
+    }
+  });
+
+  add(config.basemaps, 'config/basemaps.json');
+  if (process.env.REACT_APP_BASEMAPS) {
+    try {
+      const extra = JSON.parse(process.env.REACT_APP_BASEMAPS);
+      add(Array.isArray(extra) ? extra : [extra], 'REACT_APP_BASEMAPS');
+    } catch (err) {
+      console.warn('REACT_APP_BASEMAPS is not valid JSON:', err.message);
+    }
+  }
+  return [...basemaps.values()];
+};
+
+export const CONFIGURED_BASEMAPS = loadConfigured();
+
+// Leaflet tile URL template for a WMTS definition
+export const wmtsUrlTemplate = ({ url, layer, tileMatrixSet, style = 'default', format = 'image/png' }) => {
+  if (isRestWmts(url)) {
+    return url
+      .replace(/\{TileMatrix\}/g, '{z}')
+      .replace(/\{TileRow\}/g, '{y}')
+      .replace(/\{TileCol\}/g, '{x}')
+      .replace(/\{Style\}/g, style)
+      .replace(/\{TileMatrixSet\}/g, tileMatrixSet || '');
+  }
+  const params = new URLSearchParams({
+    SERVICE: 'WMTS',
+    REQUEST: 'GetTile',
+    VERSION: '1.0.0',
+    LAYER: layer,
+    STYLE: style,
+    TILEMATRIXSET: tileMatrixSet,
+    FORMAT: format,
+  });
+  return `${url}${url.includes('?') ? '&' : '?'}${params}&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}`;
+};
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// Settings of one user (userKey identifies them, e.g. their id or 'guest'):
+// { selected: basemap id or null, custom: [definitions] }. Custom definitions
+// that no longer validate are dropped.
+export const getBasemapSettings = (userKey) => {
+  const stored = readAll()[userKey] || {};
+  const custom = (Array.isArray(stored.custom) ? stored.custom : []).flatMap(definition => {
+    try {
+      return [normalizeBasemap(definition)];
+    } catch (err) {
+      return [];
+    }
+  });
+  return { selected: typeof stored.selected === 'string' ? stored.selected : null, custom };
+};
+
+const updateSettings = (userKey, change) => {
+  const all = readAll();
+  const settings = change(getBasemapSettings(userKey));
+  all[userKey] = settings;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(all));
+  return settings;
+};
+
+export const saveSelectedBasemap = (userKey, basemapId) =>
+  updateSettings(userKey, settings => ({ ...settings, selected: basemapId }));
+
+// Validate and store a custom basemap for the user and select it. Returns the saved
+// definition; throws an Error describing what is wrong with it.
+export const addCustomBasemap = (userKey, definition) => {
+  const basemap = normalizeBasemap({
+    ...definition,
+    id: `custom-${Date.now().toString(36)}`,
+    custom: true,
+  });
+  updateSettings(userKey, settings => ({ selected: basemap.id, custom: [...settings.custom, basemap] }));
+  return basemap;
+};
+
+export const removeCustomBasemap = (userKey, basemapId) => updateSettings(userKey, settings => ({
+  selected: settings.selected === basemapId ? null : settings.selected,
+  custom: settings.custom.filter(basemap => basemap.id !== basemapId),
+}));
+
+// The basemap to show: the user's choice if it still exists, otherwise the
+// configured default for the current theme ('light' or 'dark')
+export const resolveBasemap = (basemaps, selected, theme) => {
+  const byId = (id) => basemaps.find(basemap => basemap.id === id);
+  return byId(selected)
+    || (theme === 'dark' && byId(config.darkDefault))
+    || byId(config.default)
+    || basemaps[0];
+};
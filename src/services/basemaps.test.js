@@ -0,0 +1,109 @@
+import {
+  CONFIGURED_BASEMAPS, DEFAULT_MAX_ZOOM, addCustomBasemap, getBasemapSettings, normalizeBasemap,
+  removeCustomBasemap, resolveBasemap, wmtsUrlTemplate,
+} from './basemaps';
+
+const WMTS_KVP = {
+  id: 'ortho',
+  type: 'wmts',
+  url: 'https://wmts.example.org/wmts',
+  layer: 'ORTHOIMAGERY',
+  tileMatrixSet: 'PM',
+  format: 'image/jpeg',
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('normalizeBasemap', () => {
+  it('fills in defaults for an XYZ basemap', () => {
+    expect(normalizeBasemap({ id: 'topo', url: 'https://tiles.example.org/{z}/{x}/{y}.png' })).toEqual({
+      id: 'topo',
+      name: 'topo',
+      type: 'xyz',
+      url: 'https://tiles.example.org/{z}/{x}/{y}.png',
+      attribution: '',
+      maxZoom: DEFAULT_MAX_ZOOM,
+    });
+  });
+
+  it('accepts WMS with layers and WMTS as a template or with a layer and matrix set', () => {
+    expect(normalizeBasemap({ id: 'wms', type: 'wms', url: 'https://wms.example.org/ows', layers: 'roads', maxZoom: '18' }))
+      .toMatchObject({ type: 'wms', layers: 'roads', maxZoom: 18 });
+    expect(normalizeBasemap(WMTS_KVP)).toMatchObject({ type: 'wmts', layer: 'ORTHOIMAGERY' });
+    expect(normalizeBasemap({ id: 'rest', type: 'wmts', url: 'https://t.example.org/{TileMatrix}/{TileRow}/{TileCol}.png' }))
+      .toMatchObject({ type: 'wmts' });
+  });
+
+  it('needs no URL for a blank background', () => {
+    expect(normalizeBasemap({ id: 'blank', type: 'none' })).toMatchObject({ type: 'none', name: 'blank' });
+  });
+
+  it('describes what is wrong with a malformed definition', () => {
+    const xyz = { id: 'x', url: 'https://t.example.org/{z}/{x}/{y}.png' };
+    [
+      [null, 'must be an object'],
+      [{ url: xyz.url }, 'needs an id'],
+      [{ ...xyz, type: 'tms' }, 'Unknown basemap type "tms"'],
+      [{ ...xyz, url: 'ftp://t.example.org/{z}/{x}/{y}.png' }, 'must start with http'],
+      [{ ...xyz, url: 'https://t.example.org/{z}/{x}.png' }, 'need {z}, {x} and {y}'],
+      [{ id: 'w', type: 'wms', url: 'https://wms.example.org/ows' }, 'need the layers'],
+      [{ ...WMTS_KVP, tileMatrixSet: undefined }, 'layer and tile matrix set'],
+      [{ ...xyz, maxZoom: 30 }, 'from 1 to 24'],
+      [{ ...xyz, maxZoom: 'deep' }, 'from 1 to 24'],
+    ].forEach(([definition, message]) => {
+      expect(() => normalizeBasemap(definition)).toThrow(message);
+    });
+  });
+});
+
+describe('wmtsUrlTemplate', () => {
+  it('maps a RESTful template onto Leaflet placeholders', () => {
+    expect(wmtsUrlTemplate({
+      url: 'https://t.example.org/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png',
+      tileMatrixSet: 'GoogleMapsCompatible',
+    })).toBe('https://t.example.org/default/GoogleMapsCompatible/{z}/{y}/{x}.png');
+  });
+
+  it('builds a KVP GetTile request', () => {
+    const template = wmtsUrlTemplate({ ...WMTS_KVP, url: 'https://wmts.example.org/wmts?key=abc' });
+    const [base, query] = template.split('?');
+    expect(base).toBe('https://wmts.example.org/wmts');
+    expect(query.startsWith('key=abc&')).toBe(true);
+    expect(query.endsWith('&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}')).toBe(true);
+    expect(Object.fromEntries(new URLSearchParams(query))).toMatchObject({
+      SERVICE: 'WMTS',
+      REQUEST: 'GetTile',
+      LAYER: 'ORTHOIMAGERY',
+      STYLE: 'default',
+      TILEMATRIXSET: 'PM',
+      FORMAT: 'image/jpeg',
+    });
+  });
+});
+
+describe('custom basemaps', () => {
+  it('are stored per user and selected when added', () => {
+    const basemap = addCustomBasemap('user-1', { name: 'Topo', url: 'https://t.example.org/{z}/{x}/{y}.png' });
+    expect(basemap).toMatchObject({ custom: true, name: 'Topo' });
+    expect(getBasemapSettings('user-1')).toEqual({ selected: basemap.id, custom: [basemap] });
+    expect(getBasemapSettings('guest')).toEqual({ selected: null, custom: [] });
+
+    removeCustomBasemap('user-1', basemap.id);
+    expect(getBasemapSettings('user-1')).toEqual({ selected: null, custom: [] });
+  });
+
+  it('drop stored definitions that no longer validate', () => {
+    localStorage.setItem('geospot-basemap', JSON.stringify({ guest: { selected: 'osm', custom: [{ id: 'bad', type: 'wms' }] } }));
+    expect(getBasemapSettings('guest')).toEqual({ selected: 'osm', custom: [] });
+  });
+});
+
+describe('resolveBasemap', () => {
+  it('falls back to the default for the theme', () => {
+    expect(resolveBasemap(CONFIGURED_BASEMAPS, 'esri-imagery', 'light').id).toBe('esri-imagery');
+    expect(resolveBasemap(CONFIGURED_BASEMAPS, 'removed', 'light').id).toBe('osm');
+    expect(resolveBasemap(CONFIGURED_BASEMAPS, null, 'dark').id).toBe('carto-dark');
+  });
+});
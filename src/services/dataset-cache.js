@@ -0,0 +1,220 @@
+// services/dataset-cache.js
+// Persistent cache for API responses backed by IndexedDB.
+// Values and their bookkeeping live in separate object stores so the LRU index
+// can be loaded at startup without reading multi-MB GeoJSON payloads.
+// Falls back to an in-memory store when IndexedDB is unavailable.
+
+const DB_NAME = 'geospot-cache';
+const DB_VERSION = 1;
+const VALUES_STORE = 'values';
+const META_STORE = 'meta';
+
+const DEFAULT_MAX_BYTES = (Number(process.env.REACT_APP_CACHE_MAX_MB) || 100) * 1024 * 1024;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(VALUES_STORE)) {
+      db.createObjectStore(VALUES_STORE);
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+  };
+  return promisify(request);
+};
+
+// Rough byte size of a JSON-serializable value (UTF-16 length is close enough for a cap)
+const estimateSize = (value) => {
+  try {
+    return JSON.stringify(value)?.length || 0;
+  } catch (err) {
+    return 0;
+  }
+};
+
+class DatasetCache {
+  constructor(maxBytes = DEFAULT_MAX_BYTES) {
+    this.maxBytes = maxBytes;
+    this.meta = new Map();
+    this.memoryValues = new Map();
+    this.listeners = new Set();
+    this.ready = null;
+    this.db = null;
+  }
+
+  // Lazily open the database and load the LRU index
+  init() {
+    if (!this.ready) {
+      this.ready = openDatabase()
+        .then(async (db) => {
+          this.db = db;
+          const transaction = db.transaction(META_STORE, 'readonly');
+          const entries = await promisify(transaction.objectStore(META_STORE).getAll());
+          entries.forEach(entry => this.meta.set(entry.key, entry));
+        })
+        .catch((error) => {
+          console.warn('Dataset cache falling back to memory:', error);
+          this.db = null;
+        });
+    }
+    return this.ready;
+  }
+
+  async get(key) {
+    await this.init();
+    const entry = this.meta.get(key);
+    if (!entry) return null;
+
+    let value;
+    if (this.db) {
+      const transaction = this.db.transaction(VALUES_STORE, 'readonly');
+      value = await promisify(transaction.objectStore(VALUES_STORE).get(key));
+    } else {
+      value = this.memoryValues.get(key);
+    }
+
+    if (value === undefined) {
+      // Bookkeeping without a value (e.g. interrupted write); drop it
+      await this.delete(key);
+      return null;
+    }
+
+    this.touch(entry);
+    return { value, storedAt: entry.storedAt };
+  }
+
+  // size: the value's size in bytes if the caller knows it; otherwise it is estimated
+  async set(key, value, { size = estimateSize(value) } = {}) {
+    await this.init();
+
+    // Never let a single entry take over the whole cache
+    if (size > this.maxBytes) {
+      await this.delete(key);
+      return;
+    }
+
+    const now = Date.now();
+    const entry = { key, size, storedAt: now, lastAccessed: now };
+
+    if (this.db) {
+      const transaction = this.db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+      transaction.objectStore(VALUES_STORE).put(value, key);
+      transaction.objectStore(META_STORE).put(entry);
+      await transactionDone(transaction);
+    } else {
+      this.memoryValues.set(key, value);
+    }
+
+    this.meta.set(key, entry);
+    await this.evict();
+    this.notify();
+  }
+
+  async delete(key) {
+    await this.deleteMany([key]);
+  }
+
+  // Delete every entry whose key starts with the given prefix
+  async deletePrefix(prefix) {
+    await this.init();
+    const keys = Array.from(this.meta.keys()).filter(key => key.startsWith(prefix));
+    await this.deleteMany(keys);
+  }
+
+  async deleteMany(keys) {
+    await this.init();
+    if (keys.length === 0) return;
+
+    if (this.db) {
+      const transaction = this.db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+      keys.forEach(key => {
+        transaction.objectStore(VALUES_STORE).delete(key);
+        transaction.objectStore(META_STORE).delete(key);
+      });
+      await transactionDone(transaction);
+    }
+
+    keys.forEach(key => {
+      this.meta.delete(key);
+      this.memoryValues.delete(key);
+    });
+    this.notify();
+  }
+
+  async clear() {
+    await this.init();
+    if (this.db) {
+      const transaction = this.db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+      transaction.objectStore(VALUES_STORE).clear();
+      transaction.objectStore(META_STORE).clear();
+      await transactionDone(transaction);
+    }
+    this.meta.clear();
+    this.memoryValues.clear();
+    this.notify();
+  }
+
+  async getStats() {
+    await this.init();
+    let bytes = 0;
+    this.meta.forEach(entry => { bytes += entry.size; });
+    return { entries: this.meta.size, bytes, maxBytes: this.maxBytes };
+  }
+
+  // Subscribe to cache changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  // Record an access for LRU ordering; persisted in the background
+  touch(entry) {
+    entry.lastAccessed = Date.now();
+    if (this.db) {
+      const transaction = this.db.transaction(META_STORE, 'readwrite');
+      transaction.objectStore(META_STORE).put(entry);
+    }
+  }
+
+  // Remove least recently used entries until the cache fits its budget
+  async evict() {
+    let total = 0;
+    this.meta.forEach(entry => { total += entry.size; });
+    if (total <= this.maxBytes) return;
+
+    const byAge = Array.from(this.meta.values()).sort((a, b) => a.lastAccessed - b.lastAccessed);
+    const evicted = [];
+    for (const entry of byAge) {
+      if (total <= this.maxBytes) break;
+      total -= entry.size;
+      evicted.push(entry.key);
+    }
+    await this.deleteMany(evicted);
+  }
+}
+
+const datasetCache = new DatasetCache();
+
+export { DatasetCache };
+export default datasetCache;
@@ -0,0 +1,132 @@
+import { TextDecoder } from 'util';
+import datasetCache, { DatasetCache } from './dataset-cache';
+import { GeoSpotAPI } from './geospot-api';
+import { MockBackend } from './mock-backend';
+
+// getDatasetGeoJSON parses on the main thread when there is no worker
+jest.mock('./geojson-worker-factory', () => ({ createGeoJSONWorker: () => null }));
+
+global.TextDecoder = TextDecoder;
+
+const BASE_URL = 'http://mock.geospot';
+
+const createApi = () => {
+  const backend = new MockBackend({ latency: 0, requireAuth: false });
+  jest.spyOn(backend, 'fetch');
+  return { backend, api: new GeoSpotAPI(BASE_URL, { backend, retries: 0 }) };
+};
+
+const fetchedPaths = (backend) => backend.fetch.mock.calls.map(([url]) => url.slice(BASE_URL.length));
+
+let now;
+
+beforeEach(async () => {
+  // jsdom has no IndexedDB, so the cache warns and keeps entries in memory
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  now = 1000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now++);
+  await datasetCache.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DatasetCache', () => {
+  it('falls back to memory without IndexedDB', async () => {
+    const cache = new DatasetCache();
+    await cache.set('a', { id: 1 });
+    await expect(cache.get('a')).resolves.toMatchObject({ value: { id: 1 } });
+    expect(console.warn).toHaveBeenCalledWith('Dataset cache falling back to memory:', expect.any(Error));
+  });
+
+  it('evicts the least recently used entries once over budget', async () => {
+    const cache = new DatasetCache(30);
+    await cache.set('a', 'A', { size: 10 });
+    await cache.set('b', 'B', { size: 10 });
+    await cache.set('c', 'C', { size: 10 });
+    await cache.get('a');
+
+    await cache.set('d', 'D', { size: 15 });
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toBeNull();
+    expect((await cache.get('a')).value).toBe('A');
+    expect((await cache.get('d')).value).toBe('D');
+    await expect(cache.getStats()).resolves.toEqual({ entries: 2, bytes: 25, maxBytes: 30 });
+  });
+
+  it('does not store an entry larger than the whole budget', async () => {
+    const cache = new DatasetCache(30);
+    await cache.set('a', 'A', { size: 10 });
+    await cache.set('huge', 'H', { size: 31 });
+    expect(await cache.get('huge')).toBeNull();
+    expect((await cache.get('a')).value).toBe('A');
+  });
+
+  it('deletes entries by prefix', async () => {
+    const cache = new DatasetCache();
+    await cache.set('datasets:list:0:10', []);
+    await cache.set('datasets:list:10:10', []);
+    await cache.set('dataset:1', {});
+    await cache.deletePrefix('datasets:list:');
+    await expect(cache.getStats()).resolves.toMatchObject({ entries: 1 });
+  });
+});
+
+describe('GeoJSON revalidation', () => {
+  it('checks the metadata instead of downloading an unchanged dataset again', async () => {
+    const { api, backend } = createApi();
+    const first = await api.getDatasetGeoJSON(1);
+    backend.fetch.mockClear();
+
+    const onUpdate = jest.fn();
+    await expect(api.getDatasetGeoJSON(1, { onUpdate })).resolves.toEqual(first);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(fetchedPaths(backend)).toEqual(['/api/v1/datasets/1']);
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  it('downloads the dataset again when its version changes', async () => {
+    const { api, backend } = createApi();
+    const first = await api.getDatasetGeoJSON(1);
+
+    // Simulate the dataset being replaced with fewer features
+    const entry = backend.datasets.get(1);
+    entry.geojson = { ...entry.geojson, features: entry.geojson.features.slice(0, 1) };
+    entry.metadata = { ...entry.metadata, feature_count: 1 };
+
+    let onUpdate;
+    const updated = new Promise(resolve => { onUpdate = resolve; });
+    await expect(api.getDatasetGeoJSON(1, { onUpdate })).resolves.toEqual(first);
+    await expect(updated).resolves.toMatchObject({ features: [expect.any(Object)] });
+    expect(await api.getDatasetGeoJSON(1)).toMatchObject({ features: [expect.any(Object)] });
+  });
+});
+
+describe('invalidation', () => {
+  it('updates the cached dataset and drops list pages after an update', async () => {
+    const { api, backend } = createApi();
+    await api.getDatasets(0, 10);
+    await api.getDataset(1);
+
+    await api.updateDataset(1, { name: 'renamed.geojson' });
+    backend.fetch.mockClear();
+
+    expect((await api.getDataset(1)).name).toBe('renamed.geojson');
+    expect((await api.getDatasets(0, 10)).datasets[0].name).toBe('renamed.geojson');
+    // The list page was fetched again rather than served from the cache
+    expect(fetchedPaths(backend)).toContain('/api/v1/datasets?skip=0&limit=10');
+  });
+
+  it('drops every cached copy of a deleted dataset', async () => {
+    const { api } = createApi();
+    await api.getDatasets(0, 10);
+    await api.getDataset(1);
+    await api.getDatasetGeoJSON(1);
+
+    await api.deleteDataset(1);
+    await expect(datasetCache.getStats()).resolves.toMatchObject({ entries: 0 });
+    await expect(api.getDataset(1)).rejects.toMatchObject({ status: 404 });
+  });
+});
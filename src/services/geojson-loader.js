@@ -0,0 +1,125 @@
+// services/geojson-loader.js
+// Reads large GeoJSON responses with download progress and hands the text to a
+// Web Worker for parsing, so the page stays responsive while big datasets load.
+// Without Worker support (tests, old browsers) parsing happens on the main thread.
+import { preprocessGeoJSON } from '../utils/geojsonPreprocess';
+import { createGeoJSONWorker } from './geojson-worker-factory';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const settle = ({ id, geojson, error }) => {
+  const job = pending.get(id);
+  if (!job) return;
+  pending.delete(id);
+  if (error) {
+    job.reject(new SyntaxError(error));
+  } else {
+    job.resolve(geojson);
+  }
+};
+
+const getWorker = () => {
+  if (worker || typeof Worker === 'undefined') return worker;
+  try {
+    worker = createGeoJSONWorker();
+  } catch (err) {
+    console.warn('GeoJSON worker unavailable, parsing on the main thread:', err);
+    return null;
+  }
+  worker.onmessage = ({ data }) => settle(data);
+  // The worker itself failed (e.g. out of memory): fail everything waiting on it
+  // and start a fresh one next time
+  worker.onerror = (event) => {
+    event.preventDefault();
+    pending.forEach(job => job.reject(new Error(event.message || 'GeoJSON worker failed')));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+const decode = (body) => (typeof body === 'string' ? body : new TextDecoder().decode(body));
+
+// Parse GeoJSON text or a UTF-8 ArrayBuffer (which is transferred, so unusable afterwards).
+// Rejects with a SyntaxError for invalid JSON or non-GeoJSON data. Aborting only
+// discards the result; the worker finishes the message it is on.
+export const parseGeoJSON = (body, { signal } = {}) => {
+  const target = getWorker();
+  if (!target) return Promise.resolve().then(() => preprocessGeoJSON(JSON.parse(decode(body))));
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request cancelled', 'AbortError'));
+      return;
+    }
+    const id = nextId++;
+    const onAbort = () => {
+      pending.delete(id);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    pending.set(id, {
+      resolve: (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    });
+
+    if (typeof body === 'string') {
+      target.postMessage({ id, text: body });
+    } else {
+      target.postMessage({ id, buffer: body }, [body]);
+    }
+  });
+};
+
+// Read a response body in chunks, reporting onProgress({ loaded, total }) in bytes.
+// total is expectedSize, else Content-Length, else 0 when unknown; it never
+// drops below loaded. Resolves to an ArrayBuffer, or to text for responses
+// without a readable stream (such as the mock backend's).
+export const readResponse = async (response, { onProgress, expectedSize = 0 } = {}) => {
+  const declared = expectedSize || Number(response.headers?.get('Content-Length')) || 0;
+
+  if (!response.body?.getReader) {
+    const text = await response.text();
+    onProgress?.({ loaded: text.length, total: text.length });
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress?.({ loaded, total: Math.max(declared, loaded) });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+};
+
+// Download and parse a GeoJSON response. onProgress receives
+// { phase: 'download', loaded, total } while reading, then { phase: 'parse' }.
+export const loadGeoJSON = async (response, { onProgress, expectedSize, signal } = {}) => {
+  const body = await readResponse(response, {
+    expectedSize,
+    onProgress: onProgress && (progress => onProgress({ phase: 'download', ...progress })),
+  });
+  onProgress?.({ phase: 'parse' });
+  return parseGeoJSON(body, { signal });
+};
@@ -0,0 +1,75 @@
+import { TextDecoder } from 'util';
+import { loadGeoJSON, parseGeoJSON, readResponse } from './geojson-loader';
+
+// jsdom has no Worker, so parsing happens on the main thread; the real factory
+// can't be loaded outside the bundler
+jest.mock('./geojson-worker-factory', () => ({ createGeoJSONWorker: () => null }));
+
+// Not provided by jsdom
+global.TextDecoder = TextDecoder;
+
+const POINT = { type: 'Point', coordinates: [1, 2] };
+
+const textResponse = (text) => ({ text: async () => text });
+
+// A response whose body arrives in the given chunks of text
+const streamResponse = (chunks, headers = {}) => {
+  const encoded = chunks.map(chunk => Uint8Array.from(chunk, char => char.charCodeAt(0)));
+  return {
+    headers: { get: name => headers[name] ?? null },
+    body: {
+      getReader: () => ({
+        read: async () => (encoded.length ? { done: false, value: encoded.shift() } : { done: true }),
+      }),
+    },
+  };
+};
+
+describe('readResponse', () => {
+  it('reads a stream and reports progress against Content-Length', async () => {
+    const progress = [];
+    const body = await readResponse(streamResponse(['{"a":', '1}'], { 'Content-Length': '10' }), {
+      onProgress: report => progress.push(report),
+    });
+    expect(new TextDecoder().decode(body)).toBe('{"a":1}');
+    expect(progress).toEqual([{ loaded: 5, total: 10 }, { loaded: 7, total: 10 }]);
+  });
+
+  it('never reports a total below what was loaded', async () => {
+    const progress = [];
+    await readResponse(streamResponse(['abc', 'def']), { expectedSize: 4, onProgress: report => progress.push(report) });
+    expect(progress).toEqual([{ loaded: 3, total: 4 }, { loaded: 6, total: 6 }]);
+  });
+
+  it('falls back to text() without a readable stream', async () => {
+    const onProgress = jest.fn();
+    await expect(readResponse(textResponse('{}'), { onProgress })).resolves.toBe('{}');
+    expect(onProgress).toHaveBeenCalledWith({ loaded: 2, total: 2 });
+  });
+});
+
+describe('parseGeoJSON', () => {
+  it('wraps a bare geometry in a FeatureCollection with a bbox', async () => {
+    const geojson = await parseGeoJSON(JSON.stringify(POINT));
+    expect(geojson).toEqual({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: POINT, properties: {} }],
+      bbox: [1, 2, 1, 2],
+    });
+  });
+
+  it('rejects invalid JSON and non-GeoJSON with a SyntaxError', async () => {
+    await expect(parseGeoJSON('{"type":')).rejects.toThrow(SyntaxError);
+    await expect(parseGeoJSON('{"features":[]}')).rejects.toThrow('The response is not GeoJSON.');
+  });
+});
+
+describe('loadGeoJSON', () => {
+  it('reports the download and then the parse phase', async () => {
+    const phases = [];
+    const text = JSON.stringify({ type: 'FeatureCollection', features: [] });
+    const geojson = await loadGeoJSON(streamResponse([text]), { onProgress: ({ phase }) => phases.push(phase) });
+    expect(geojson.features).toEqual([]);
+    expect(phases).toEqual(['download', 'parse']);
+  });
+});
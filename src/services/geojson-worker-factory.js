@@ -0,0 +1,5 @@
+// services/geojson-worker-factory.js
+// Starts the GeoJSON parsing worker (geojson.worker.js). Kept out of geojson-loader.js
+// because the worker is located through import.meta, which only the bundler handles;
+// tests replace this module.
+export const createGeoJSONWorker = () => new Worker(new URL('./geojson.worker.js', import.meta.url));
@@ -0,0 +1,15 @@
+/* eslint-disable no-restricted-globals */
+// services/geojson.worker.js
+// Parses and preprocesses GeoJSON off the main thread. Messages are
+// { id, buffer } (an ArrayBuffer of UTF-8 text, transferred) or { id, text };
+// replies are { id, geojson } or { id, error }.
+import { preprocessGeoJSON } from '../utils/geojsonPreprocess';
+
+self.onmessage = ({ data: { id, buffer, text } }) => {
+  try {
+    const json = JSON.parse(text ?? new TextDecoder().decode(buffer));
+    self.postMessage({ id, geojson: preprocessGeoJSON(json) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -1,100 +1,559 @@
 // services/geospot-api.js
+import { ApiError, apiErrorFromBody, isAbortError } from './api-error';
+import datasetCache from './dataset-cache';
+import { matchOffline } from './offline-store';
+import { getSession, setSession, clearSession } from './auth-session';
+
+// Methods that are safe to repeat when a request fails part way
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// Gateway errors returned while the hosted backend is cold-starting
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// backend: an in-process stand-in (see mock-backend.js) used instead of the network,
+// or a promise of one
+const DEFAULT_OPTIONS = {
+  timeout: 30000,
+  retries: 3,
+  retryDelay: 1000,
+  backend: null,
+};
+
+// Wait before the next retry; resolves early with a rejection if the caller aborts
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Request cancelled', 'AbortError'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Parse a response body as JSON when possible, falling back to text
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+// Largest limit accepted by GET /api/v1/datasets
+export const MAX_PAGE_SIZE = 1000;
+
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+
+// Cache keys
+const listKey = (skip, limit) => `datasets:list:${skip}:${limit}`;
+const datasetKey = (datasetId) => `dataset:${datasetId}`;
+const geojsonKey = (datasetId) => `geojson:${datasetId}`;
+
+// Datasets are immutable once uploaded, so these fields identify a GeoJSON payload
+const datasetVersion = (metadata) =>
+  [metadata.uploaded_at, metadata.feature_count, metadata.file_size_bytes].join('|');
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
 class GeoSpotAPI {
-  constructor(baseURL = process.env.REACT_APP_API_BASE_URL || 'https://geospot-b.onrender.com') {
+  constructor(
+    baseURL = process.env.REACT_APP_API_BASE_URL || 'https://geospot-b.onrender.com',
+    options = {}
+  ) {
     this.baseURL = baseURL;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.backend = this.options.backend;
+    this.refreshing = null;
+  }
+
+  // Single fetch attempt with a timeout layered on top of the caller's signal.
+  // parse(response, signal), if given, reads successful responses instead of readBody;
+  // a SyntaxError from it is reported as an invalid response rather than retried.
+  async fetchOnce(url, config, { endpoint, method, timeout, signal, parse }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const backend = await this.backend;
+      const send = backend ? backend.fetch.bind(backend) : fetch;
+      const response = await send(url, { ...config, signal: controller.signal });
+      // The timeout only covers waiting for the response. Reading a large body and
+      // parsing it in the worker can take longer; the caller's signal still stops them.
+      clearTimeout(timer);
+      if (response.ok && parse) {
+        try {
+          return await parse(response, controller.signal);
+        } catch (error) {
+          if (!(error instanceof SyntaxError)) throw error;
+          throw new ApiError({ status: response.status, endpoint, method, detail: `Invalid response: ${error.message}` });
+        }
+      }
+      const body = await readBody(response);
+
+      if (!response.ok) {
+        throw apiErrorFromBody({ status: response.status, endpoint, method, body });
+      }
+      return body;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (isAbortError(error) && !timedOut) throw error;
+      // fetch rejects with a TypeError when the network request itself fails
+      throw new ApiError({ status: 0, endpoint, method, detail: error.message, timedOut });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Authorization header for the current session, refreshing the token first if it is about to expire
+  async authHeaders() {
+    let session = getSession();
+    if (session?.refreshToken && session.expiresAt && Date.now() > session.expiresAt - TOKEN_REFRESH_MARGIN) {
+      await this.refreshSession();
+      session = getSession();
+    }
+    return session?.accessToken ? { Authorization: `Bearer ${session.accessToken}` } : {};
+  }
+
+  // Send an authenticated request; on 401 refresh the token once and try again.
+  // If that fails the session is expired, which sends the user to the login page;
+  // without a session the user is sent there too, just without the expiry notice.
+  async withAuth(send) {
+    for (let refreshed = false; ; refreshed = true) {
+      try {
+        return await send(await this.authHeaders());
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.status !== 401) throw error;
+        if (!refreshed && await this.refreshSession()) continue;
+        clearSession(getSession() ? 'expired' : 'unauthenticated');
+        throw error;
+      }
+    }
   }
 
   // Helper method for API calls
+  // Extra options: signal (AbortSignal), timeout (ms), retries (attempts after the first),
+  // auth (default true) to send the Authorization header and handle 401 responses,
+  // parse(response, signal) to read a successful response body (see fetchOnce)
   async request(endpoint, options = {}) {
+    const { auth = true, ...requestOptions } = options;
+    if (!auth) return this.sendRequest(endpoint, requestOptions);
+    return this.withAuth(authHeaders => this.sendRequest(endpoint, {
+      ...requestOptions,
+      headers: { ...authHeaders, ...requestOptions.headers },
+    }));
+  }
+
+  async sendRequest(endpoint, options) {
+    const { signal, timeout = this.options.timeout, retries = this.options.retries, parse, ...fetchOptions } = options;
     const url = `${this.baseURL}${endpoint}`;
-    
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = IDEMPOTENT_METHODS.includes(method) ? retries : 0;
+
     const config = {
+      ...fetchOptions,
       headers: {
         'Content-Type': 'application/json',
-        ...options.headers,
+        ...fetchOptions.headers,
       },
-      ...options,
     };
 
-    try {
-      const response = await fetch(url, config);
-      const data = await response.json();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchOnce(url, config, { endpoint, method, timeout, signal, parse });
+      } catch (error) {
+        const retryable = error instanceof ApiError &&
+          (error.isNetworkError || RETRYABLE_STATUSES.includes(error.status));
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
 
-      if (!response.ok) {
-        throw new Error(data.detail || `API error: ${response.status}`);
+        // Unreachable API: answer from datasets pinned for offline use if possible,
+        // read the same way as a response from the network
+        if (error instanceof ApiError && error.isNetworkError && method === 'GET' && (offline || attempt >= maxRetries)) {
+          const read = parse && (response => parse(response, signal));
+          const pinned = await matchOffline(url, read).catch(() => null);
+          if (pinned) return pinned;
+        }
+
+        if (!retryable || offline || attempt >= maxRetries) {
+          if (!isAbortError(error)) {
+            console.error('API request failed:', error);
+          }
+          throw error;
+        }
+        // Exponential backoff with jitter: ~1s, 2s, 4s...
+        const wait = this.options.retryDelay * 2 ** attempt;
+        await delay(wait + Math.random() * wait * 0.25, signal);
       }
+    }
+  }
 
-      return data;
-    } catch (error) {
-      console.error('API request failed:', error);
-      throw error;
+  // Stale-while-revalidate: resolve with the cached value right away and refresh it
+  // in the background, reporting newer data through onUpdate. Without a cached
+  // value this behaves like a normal request and stores the result.
+  // Options: useCache (default true), onUpdate(fresh), onError(error) for background failures,
+  // same(fresh, cached) to tell whether the refreshed value differs (default: compares the
+  // serialized values) and sizeOf(value) to spare the cache serializing large values to size them.
+  async cachedRequest(key, load, { useCache = true, onUpdate, onError, revalidate, same = isSame, sizeOf } = {}) {
+    const store = (value) => datasetCache.set(key, value, { size: sizeOf?.(value) }).catch(error => {
+      console.warn('Could not write to dataset cache:', error);
+    });
+
+    const cached = useCache ? await datasetCache.get(key).catch(() => null) : null;
+    if (!cached) {
+      const value = await load();
+      store(value);
+      return value;
+    }
+
+    (revalidate ? revalidate(cached.value) : load())
+      .then(fresh => {
+        if (fresh === undefined || same(fresh, cached.value)) return;
+        store(fresh);
+        onUpdate?.(fresh);
+      })
+      .catch(error => {
+        if (isAbortError(error)) return;
+        if (error.isNotFound) {
+          datasetCache.delete(key);
+        }
+        onError?.(error);
+      });
+
+    return cached.value;
+  }
+
+  // Drop cached entries for a dataset and every cached list page
+  async invalidateDataset(datasetId) {
+    await Promise.all([
+      datasetCache.deleteMany([datasetKey(datasetId), geojsonKey(datasetId)]),
+      this.invalidateLists(),
+    ]).catch(error => console.warn('Could not invalidate dataset cache:', error));
+  }
+
+  async invalidateLists() {
+    await datasetCache.deletePrefix('datasets:list:');
+  }
+
+  async clearCache() {
+    await datasetCache.clear();
+  }
+
+  // Store tokens from a login or refresh response.
+  // expires_in is in seconds; the profile is kept from the previous session unless included.
+  saveTokens(tokens, reason) {
+    const previous = getSession();
+    const session = {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || previous?.refreshToken || null,
+      expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+      user: tokens.user || (reason === 'refresh' ? previous?.user : null) || null,
+    };
+    setSession(session, reason);
+    return session;
+  }
+
+  // Exchange the refresh token for a new access token; resolves to true on success.
+  // Concurrent callers share one refresh request.
+  refreshSession() {
+    const refreshToken = getSession()?.refreshToken;
+    if (!refreshToken) return Promise.resolve(false);
+
+    if (!this.refreshing) {
+      this.refreshing = this.request('/api/v1/auth/refresh', {
+        method: 'POST',
+        body: JSON.stringify({ refresh_token: refreshToken }),
+        auth: false,
+        retries: 0,
+      })
+        .then(tokens => {
+          this.saveTokens(tokens, 'refresh');
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // Log in and load the user's profile
+  async login(email, password, options = {}) {
+    const tokens = await this.request('/api/v1/auth/login', {
+      ...options,
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+      auth: false,
+    });
+    const session = this.saveTokens(tokens, 'login');
+    if (!session.user) {
+      const user = await this.getProfile(options);
+      setSession({ ...getSession(), user }, 'login');
     }
+    return getSession().user;
+  }
+
+  // Create an account; does not log in
+  async register({ username, email, password }, options = {}) {
+    return this.request('/api/v1/auth/register', {
+      ...options,
+      method: 'POST',
+      body: JSON.stringify({ username, email, password }),
+      auth: false,
+    });
+  }
+
+  async getProfile(options = {}) {
+    return this.request('/api/v1/auth/profile', options);
+  }
+
+  // Forget the session and anything cached while logged in
+  async logout() {
+    clearSession('logout');
+    await this.clearCache();
   }
 
   // Health check
-  async healthCheck() {
-    return this.request('/health');
+  async healthCheck(options = {}) {
+    return this.request('/health', options);
   }
 
   // Database health check
-  async databaseHealthCheck() {
-    return this.request('/health/db');
+  async databaseHealthCheck(options = {}) {
+    return this.request('/health/db', options);
   }
 
   // Readiness check
-  async readinessCheck() {
-    return this.request('/ready');
+  async readinessCheck(options = {}) {
+    return this.request('/ready', options);
   }
 
   // Upload GeoJSON file
-  async uploadGeoJSON(file) {
+  // Uses XMLHttpRequest because fetch cannot report upload progress.
+  // Uploads are not retried on failure: POST is not idempotent and may create a
+  // duplicate. A 401 is safe to repeat after refreshing the token.
+  // onProgress receives { loaded, total, percent }; signal is an optional AbortSignal.
+  uploadGeoJSON(file, { onProgress, signal } = {}) {
+    return this.withAuth(headers => this.sendUpload(file, { onProgress, signal, headers }));
+  }
+
+  sendUpload(file, { onProgress, signal, headers }) {
     const formData = new FormData();
     formData.append('file', file);
 
-    const response = await fetch(`${this.baseURL}/api/v1/upload`, {
-      method: 'POST',
-      body: formData,
-      // Don't set Content-Type header, let browser set it with boundary
-    });
+    const endpoint = '/api/v1/upload';
 
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.detail || `Upload error: ${response.status}`);
+    const finish = (status, data) => {
+      if (status < 200 || status >= 300) {
+        throw apiErrorFromBody({ status, endpoint, method: 'POST', body: data });
+      }
+      // The new dataset changes totals and ordering of every cached list page
+      this.invalidateLists().catch(() => {});
+      return data;
+    };
+
+    if (this.backend) {
+      const reportProgress = onProgress && (({ loaded, total }) => onProgress({
+        loaded,
+        total,
+        percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : 100,
+      }));
+      return Promise.resolve(this.backend)
+        .then(backend => backend.upload(file, { onProgress: reportProgress, signal, headers }))
+        .then(({ status, body }) => finish(status, body));
     }
 
-    return data;
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Upload cancelled', 'AbortError'));
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', `${this.baseURL}${endpoint}`);
+      // Don't set Content-Type header, let browser set it with boundary
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      const handleAbort = () => xhr.abort();
+      signal?.addEventListener('abort', handleAbort);
+      const cleanup = () => signal?.removeEventListener('abort', handleAbort);
+
+      if (onProgress) {
+        xhr.upload.onprogress = (event) => {
+          const total = event.lengthComputable ? event.total : file.size;
+          onProgress({
+            loaded: event.loaded,
+            total,
+            percent: total ? Math.min(100, Math.round((event.loaded / total) * 100)) : 0,
+          });
+        };
+      }
+
+      xhr.onload = () => {
+        cleanup();
+        let data = xhr.responseText || null;
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (err) {
+          // Non-JSON response body, keep the raw text
+        }
+
+        try {
+          resolve(finish(xhr.status, data));
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      xhr.onerror = () => {
+        cleanup();
+        reject(new ApiError({ status: 0, endpoint, method: 'POST', detail: 'Network error during upload' }));
+      };
+
+      xhr.onabort = () => {
+        cleanup();
+        reject(new DOMException('Upload cancelled', 'AbortError'));
+      };
+
+      xhr.send(formData);
+    });
   }
 
   // Get all datasets
-  async getDatasets(skip = 0, limit = 100) {
-    return this.request(`/api/v1/datasets?skip=${skip}&limit=${limit}`);
+  async getDatasets(skip = 0, limit = 100, options = {}) {
+    const { useCache, onUpdate, onError, ...requestOptions } = options;
+    return this.cachedRequest(
+      listKey(skip, limit),
+      () => this.request(`/api/v1/datasets?skip=${skip}&limit=${limit}`, requestOptions),
+      { useCache, onUpdate, onError }
+    );
+  }
+
+  // Get every dataset by walking the list in the largest pages the API allows.
+  // Used for views the API cannot produce itself, such as search and custom sorting.
+  async getAllDatasets(options = {}) {
+    const datasets = [];
+    let total = Infinity;
+    for (let skip = 0; skip < total; skip += MAX_PAGE_SIZE) {
+      const page = await this.getDatasets(skip, MAX_PAGE_SIZE, options);
+      const items = page.datasets || [];
+      datasets.push(...items);
+      total = page.total || 0;
+      if (items.length === 0) break;
+    }
+    return { datasets, total: datasets.length };
   }
 
   // Get dataset by ID
-  async getDataset(datasetId) {
-    return this.request(`/api/v1/datasets/${datasetId}`);
+  async getDataset(datasetId, options = {}) {
+    const { useCache, onUpdate, onError, ...requestOptions } = options;
+    return this.cachedRequest(
+      datasetKey(datasetId),
+      () => this.request(`/api/v1/datasets/${datasetId}`, requestOptions),
+      { useCache, onUpdate, onError }
+    );
+  }
+
+  // Address of a dataset's GeoJSON, for sharing and for other map tools
+  geojsonUrl(datasetId) {
+    return `${this.baseURL}/api/v1/datasets/${datasetId}/geojson`;
   }
 
   // Get dataset as GeoJSON
-  async getDatasetGeoJSON(datasetId) {
-    // For GeoJSON, don't parse as JSON since it might be large
-    const response = await fetch(`${this.baseURL}/api/v1/datasets/${datasetId}/geojson`);
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.detail || `API error: ${response.status}`);
-    }
-    
-    return response.json();
+  // Large datasets can take a while to serialize, so allow a longer timeout.
+  // The cached copy is revalidated against the dataset metadata instead of
+  // downloading the whole payload again.
+  // The payload is parsed in a Web Worker (see geojson-loader.js) and normalised to a
+  // FeatureCollection with a bbox. onProgress reports { phase: 'download', loaded, total }
+  // while it downloads and { phase: 'parse' } while it is parsed.
+  async getDatasetGeoJSON(datasetId, options = {}) {
+    const { useCache, onUpdate, onError, onProgress, ...requestOptions } = options;
+    const fetchGeoJSON = async () => {
+      const metadata = await this.request(`/api/v1/datasets/${datasetId}`, requestOptions);
+      // Imported lazily: the loader locates its worker through import.meta, which only the bundler handles
+      const { loadGeoJSON } = await import('./geojson-loader');
+      const geojson = await this.request(`/api/v1/datasets/${datasetId}/geojson`, {
+        timeout: this.options.timeout * 4,
+        ...requestOptions,
+        parse: (response, signal) => loadGeoJSON(response, {
+          onProgress,
+          expectedSize: metadata.file_size_bytes,
+          signal,
+        }),
+      });
+      return { version: datasetVersion(metadata), size: metadata.file_size_bytes, geojson };
+    };
+
+    const entry = await this.cachedRequest(geojsonKey(datasetId), fetchGeoJSON, {
+      useCache,
+      onUpdate: onUpdate && (fresh => onUpdate(fresh.geojson)),
+      onError,
+      // Serializing multi-MB GeoJSON on the main thread is what the worker avoids
+      same: (fresh, cached) => fresh.version === cached.version,
+      sizeOf: entry => entry.size,
+      revalidate: async (cached) => {
+        const metadata = await this.request(`/api/v1/datasets/${datasetId}`, requestOptions);
+        return datasetVersion(metadata) === cached.version ? undefined : fetchGeoJSON();
+      },
+    });
+    return entry.geojson;
   }
 
-  // Delete dataset
-  async deleteDataset(datasetId) {
-    return this.request(`/api/v1/datasets/${datasetId}`, {
-      method: 'DELETE',
+  // Update dataset name and/or description: changes is { name?, description? }.
+  // Rejects with an ApiError whose isConflict is true when the name is taken.
+  async updateDataset(datasetId, changes, options = {}) {
+    const updated = await this.request(`/api/v1/datasets/${datasetId}`, {
+      ...options,
+      method: 'PUT',
+      body: JSON.stringify(changes),
     });
+    // Keep the cached metadata in step; list pages may sort or filter on the new name
+    await Promise.all([
+      datasetCache.set(datasetKey(datasetId), updated),
+      this.invalidateLists(),
+    ]).catch(error => console.warn('Could not update dataset cache:', error));
+    return updated;
+  }
+
+  // Delete dataset
+  async deleteDataset(datasetId, options = {}) {
+    try {
+      return await this.request(`/api/v1/datasets/${datasetId}`, {
+        ...options,
+        method: 'DELETE',
+      });
+    } finally {
+      // Whether it succeeded or was already gone, cached copies may be stale now
+      await this.invalidateDataset(datasetId);
+    }
   }
 }
 
-export default new GeoSpotAPI();
\ No newline at end of file
+const mockLatency = process.env.REACT_APP_MOCK_API_LATENCY;
+
+export { ApiError, GeoSpotAPI };
+
+// REACT_APP_MOCK_API=true swaps the network for the in-process mock backend. It is
+// loaded on demand so it and its demo account stay out of the regular bundle.
+export default new GeoSpotAPI(undefined, {
+  backend: process.env.REACT_APP_MOCK_API === 'true'
+    ? import('./mock-backend').then(({ MockBackend }) => new MockBackend({
+      latency: mockLatency ? Number(mockLatency) : undefined,
+    }))
+    : null,
+});
\ No newline at end of file
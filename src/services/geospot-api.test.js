@@ -0,0 +1,121 @@
+import { GeoSpotAPI } from './geospot-api';
+import { ApiError, isAbortError } from './api-error';
+import { MockBackend } from './mock-backend';
+
+const BASE_URL = 'http://mock.geospot';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const reply = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => (body === undefined ? '' : JSON.stringify(body)),
+});
+
+// A backend that answers with the given replies in turn; an Error is thrown like a failed fetch
+const scripted = (...replies) => ({
+  fetch: jest.fn(async () => {
+    const next = replies.length > 1 ? replies.shift() : replies[0];
+    if (next instanceof Error) throw next;
+    return next;
+  }),
+});
+
+const createApi = (backend, options = {}) => new GeoSpotAPI(BASE_URL, { backend, retryDelay: 1, ...options });
+
+beforeEach(() => {
+  // Failed requests are logged, and the dataset cache warns that jsdom has no IndexedDB
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('retries', () => {
+  it('retries gateway errors with backoff until one succeeds', async () => {
+    const backend = scripted(reply(503), reply(502), reply(200, { status: 'healthy' }));
+    await expect(createApi(backend).healthCheck()).resolves.toEqual({ status: 'healthy' });
+    expect(backend.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const backend = scripted(reply(504));
+    const error = await createApi(backend, { retries: 2 }).healthCheck().catch(err => err);
+    expect(error.isServerUnavailable).toBe(true);
+    expect(backend.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries network failures of idempotent requests only', async () => {
+    const get = scripted(new TypeError('Failed to fetch'), reply(200, {}));
+    await createApi(get).healthCheck();
+    expect(get.fetch).toHaveBeenCalledTimes(2);
+
+    const post = scripted(new TypeError('Failed to fetch'));
+    const error = await createApi(post).login('a@b.c', 'secret').catch(err => err);
+    expect(error.isNetworkError).toBe(true);
+    expect(post.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry client errors', async () => {
+    const backend = new MockBackend({ latency: 0 });
+    jest.spyOn(backend, 'fetch');
+    const error = await createApi(backend).getDataset(99, { useCache: false }).catch(err => err);
+    expect(error.isNotFound).toBe(true);
+    expect(backend.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('errors', () => {
+  it('map the response to an ApiError', async () => {
+    const detail = [{ loc: ['body', 'name'], msg: 'field required', type: 'missing' }];
+    const error = await createApi(scripted(reply(422, { detail }))).healthCheck().catch(err => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ status: 422, method: 'GET', endpoint: '/health', validationErrors: detail });
+    expect(error.message).toBe('body.name: field required');
+
+    const conflict = await createApi(scripted(reply(409, { detail: 'Name taken' }))).healthCheck().catch(err => err);
+    expect(conflict.isConflict).toBe(true);
+    expect(conflict.message).toBe('Name taken');
+  });
+
+  it('report network failures with status 0', async () => {
+    const error = await createApi(scripted(new TypeError('Failed to fetch')), { retries: 0 }).healthCheck().catch(err => err);
+    expect(error).toMatchObject({ status: 0, timedOut: false, isNetworkError: true });
+  });
+});
+
+describe('cancellation', () => {
+  it('passes the caller\'s abort through without retrying', async () => {
+    const backend = new MockBackend({ latency: 50 });
+    jest.spyOn(backend, 'fetch');
+    const controller = new AbortController();
+    const request = createApi(backend).healthCheck({ signal: controller.signal });
+    controller.abort();
+    const error = await request.catch(err => err);
+    expect(isAbortError(error)).toBe(true);
+    expect(error).not.toBeInstanceOf(ApiError);
+    expect(backend.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('timeouts', () => {
+  it('report a slow response as timed out', async () => {
+    const api = createApi(new MockBackend({ latency: 50 }), { retries: 0, timeout: 10 });
+    const error = await api.healthCheck().catch(err => err);
+    expect(error).toMatchObject({ status: 0, timedOut: true });
+    expect(error.message).toBe('The server took too long to respond. Please try again.');
+  });
+
+  it('do not cover parsing the response', async () => {
+    const api = createApi(new MockBackend({ latency: 0 }), { retries: 0, timeout: 20 });
+    // Like the GeoJSON loader, stops when the request's signal aborts
+    const parse = async (response, signal) => {
+      await delay(60);
+      if (signal.aborted) throw new DOMException('Request cancelled', 'AbortError');
+      return JSON.parse(await response.text()).type;
+    };
+    await expect(api.request('/api/v1/datasets/1/geojson', { auth: false, parse })).resolves.toBe('FeatureCollection');
+  });
+});
@@ -0,0 +1,348 @@
+// services/mock-backend.js
+// In-process stand-in for the GeoSpot backend, used when REACT_APP_MOCK_API=true
+// and in tests. Implements the documented endpoints against an in-memory store
+// and reproduces their status codes and error bodies, so the UI works without
+// network access. Data is lost on reload apart from the seeded sample dataset
+// and demo account (demo@geospot.dev / geospot-demo).
+
+import { validateGeoJSONText } from '../utils/geojsonValidator';
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_LIST_LIMIT = 1000;
+const MAX_NAME_LENGTH = 255;
+const UPLOAD_EXTENSIONS = ['.geojson', '.json'];
+const DEFAULT_LATENCY = 300;
+const DEFAULT_TOKEN_LIFETIME = 15 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+export const DEMO_USER = { username: 'demo', email: 'demo@geospot.dev', password: 'geospot-demo' };
+
+const SAMPLE_DATASET = {
+  name: 'sample-landmarks.geojson',
+  geojson: {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [2.2945, 48.8584] }, properties: { name: 'Eiffel Tower', height_m: 330 } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [-74.0445, 40.6892] }, properties: { name: 'Statue of Liberty', height_m: 93 } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [151.2153, -33.8568] }, properties: { name: 'Sydney Opera House', height_m: 65 } },
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[-0.1276, 51.5072], [2.3522, 48.8566]] },
+        properties: { name: 'London to Paris', height_m: null },
+      },
+    ],
+  },
+};
+
+// Timestamps in the backend's format: ISO 8601 without a timezone suffix
+const timestamp = () => new Date().toISOString().slice(0, 19);
+
+// Minimal stand-in for a fetch Response; GeoSpotAPI only reads status and text()
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => (body === undefined ? '' : JSON.stringify(body)),
+});
+
+// FastAPI-style request validation error
+const validationError = (loc, msg, type = 'value_error') => ({ detail: [{ loc, msg, type }] });
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Request cancelled', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Request cancelled', 'AbortError'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const randomToken = (prefix) =>
+  `${prefix}-${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+
+const parseBody = (body) => {
+  if (typeof body !== 'string') return null;
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return null;
+  }
+};
+
+const bearerToken = (headers = {}) => {
+  const value = headers.Authorization || headers.authorization || '';
+  return value.startsWith('Bearer ') ? value.slice(7) : null;
+};
+
+const publicUser = ({ password, ...user }) => user;
+
+// 401 body, worded like FastAPI's HTTPBearer
+const authError = (headers) => ({
+  detail: bearerToken(headers) ? 'Could not validate credentials' : 'Not authenticated',
+});
+
+const fileExtension = (name) => {
+  const index = name.lastIndexOf('.');
+  return index === -1 ? '' : name.slice(index).toLowerCase();
+};
+
+export class MockBackend {
+  // latency: simulated response time in ms; seed: start with a sample dataset and demo user;
+  // requireAuth: reject uploads and deletes without a valid token;
+  // tokenLifetime: access token lifetime in seconds
+  constructor({ latency = DEFAULT_LATENCY, seed = true, requireAuth = true, tokenLifetime = DEFAULT_TOKEN_LIFETIME } = {}) {
+    this.latency = latency;
+    this.requireAuth = requireAuth;
+    this.tokenLifetime = tokenLifetime;
+    this.datasets = new Map();
+    this.nextId = 1;
+    this.users = new Map();
+    this.nextUserId = 1;
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+
+    if (seed) {
+      this.addDataset(SAMPLE_DATASET.name, SAMPLE_DATASET.geojson, JSON.stringify(SAMPLE_DATASET.geojson).length);
+      this.addUser(DEMO_USER);
+    }
+  }
+
+  addUser({ username, email, password }) {
+    const user = { id: this.nextUserId++, username, email, password, created_at: timestamp() };
+    this.users.set(email.toLowerCase(), user);
+    return user;
+  }
+
+  issueTokens(user) {
+    const accessToken = randomToken('access');
+    const refreshToken = randomToken('refresh');
+    this.accessTokens.set(accessToken, { email: user.email.toLowerCase(), expiresAt: Date.now() + this.tokenLifetime * 1000 });
+    this.refreshTokens.set(refreshToken, user.email.toLowerCase());
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'bearer',
+      expires_in: this.tokenLifetime,
+    };
+  }
+
+  // The user a request's bearer token belongs to, or null
+  authenticate(headers) {
+    const entry = this.accessTokens.get(bearerToken(headers));
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return this.users.get(entry.email) || null;
+  }
+
+  addDataset(name, geojson, fileSize) {
+    const id = this.nextId++;
+    const features = geojson.features.map((feature, index) => ({ ...feature, id: index + 1 }));
+    const metadata = {
+      id,
+      name,
+      description: `Uploaded GeoJSON file with ${features.length} features`,
+      uploaded_at: timestamp(),
+      feature_count: features.length,
+      file_size_bytes: fileSize,
+    };
+    this.datasets.set(id, { metadata, geojson: { type: 'FeatureCollection', features } });
+    return metadata;
+  }
+
+  // fetch-compatible entry point used by GeoSpotAPI.request
+  async fetch(url, { method = 'GET', headers, body, signal } = {}) {
+    await wait(this.latency, signal);
+    const { pathname, searchParams } = new URL(url, 'http://mock.geospot');
+    return this.route(method.toUpperCase(), pathname, searchParams, { headers, body: parseBody(body) });
+  }
+
+  route(method, pathname, params, request) {
+    if (pathname.startsWith('/api/v1/auth/')) {
+      return this.routeAuth(method, pathname.slice('/api/v1/auth/'.length), request);
+    }
+    if (pathname === '/health' && method === 'GET') {
+      return respond(200, { status: 'healthy', service: 'GeoSpot', timestamp: `${timestamp()}Z` });
+    }
+    if (pathname === '/health/db' && method === 'GET') {
+      return respond(200, { status: 'healthy', database: 'connected', postgis_version: 'mock', timestamp: `${timestamp()}Z` });
+    }
+    if (pathname === '/ready' && method === 'GET') {
+      return respond(200, { status: 'ready', database: 'connected', tables: ['datasets', 'features'], timestamp: `${timestamp()}Z` });
+    }
+    if (pathname === '/api/v1/datasets') {
+      return method === 'GET' ? this.listDatasets(params) : respond(405, { detail: 'Method Not Allowed' });
+    }
+
+    const match = pathname.match(/^\/api\/v1\/datasets\/([^/]+)(\/geojson)?$/);
+    if (!match) return respond(404, { detail: 'Not Found' });
+
+    const [, rawId, geojsonRoute] = match;
+    if (!/^\d+$/.test(rawId)) {
+      return respond(422, validationError(['path', 'dataset_id'], 'value is not a valid integer', 'type_error.integer'));
+    }
+    const entry = this.datasets.get(Number(rawId));
+
+    if (geojsonRoute) {
+      if (method !== 'GET') return respond(405, { detail: 'Method Not Allowed' });
+      return entry ? respond(200, entry.geojson) : respond(404, { detail: 'Dataset not found' });
+    }
+    if (method === 'GET') {
+      return entry ? respond(200, entry.metadata) : respond(404, { detail: 'Dataset not found' });
+    }
+    if (method === 'PUT') {
+      if (this.requireAuth && !this.authenticate(request.headers)) return respond(401, authError(request.headers));
+      if (!entry) return respond(404, { detail: 'Dataset not found' });
+      return this.updateDataset(entry, request.body || {});
+    }
+    if (method === 'DELETE') {
+      if (this.requireAuth && !this.authenticate(request.headers)) return respond(401, authError(request.headers));
+      if (!entry) return respond(404, { detail: 'Dataset not found' });
+      this.datasets.delete(entry.metadata.id);
+      return respond(200, {
+        message: `Dataset '${entry.metadata.name}' and all its features deleted successfully`,
+        deleted_dataset_id: entry.metadata.id,
+      });
+    }
+    return respond(405, { detail: 'Method Not Allowed' });
+  }
+
+  // PUT body: { name?, description? }
+  updateDataset(entry, { name, description }) {
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return respond(422, validationError(['body', 'name'], 'ensure this value has at least 1 characters'));
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        return respond(422, validationError(['body', 'name'], `ensure this value has at most ${MAX_NAME_LENGTH} characters`));
+      }
+      const duplicate = Array.from(this.datasets.values())
+        .some(other => other !== entry && other.metadata.name === name);
+      if (duplicate) {
+        return respond(409, { detail: `Dataset with name '${name}' already exists` });
+      }
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return respond(422, validationError(['body', 'description'], 'str type expected', 'type_error.str'));
+    }
+
+    entry.metadata = {
+      ...entry.metadata,
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+    };
+    return respond(200, entry.metadata);
+  }
+
+  routeAuth(method, route, { headers, body }) {
+    if (route === 'profile') {
+      if (method !== 'GET') return respond(405, { detail: 'Method Not Allowed' });
+      const user = this.authenticate(headers);
+      return user ? respond(200, publicUser(user)) : respond(401, authError(headers));
+    }
+    if (!['login', 'register', 'refresh'].includes(route)) return respond(404, { detail: 'Not Found' });
+    if (method !== 'POST') return respond(405, { detail: 'Method Not Allowed' });
+
+    if (route === 'login') {
+      const user = this.users.get(String(body?.email || '').toLowerCase());
+      if (!user || user.password !== body?.password) {
+        return respond(401, { detail: 'Incorrect email or password' });
+      }
+      return respond(200, { ...this.issueTokens(user), user: publicUser(user) });
+    }
+
+    if (route === 'register') {
+      const { username, email, password } = body || {};
+      const missing = ['username', 'email', 'password'].filter(field => !body?.[field]);
+      if (missing.length > 0) {
+        return respond(422, {
+          detail: missing.map(field => ({ loc: ['body', field], msg: 'field required', type: 'value_error.missing' })),
+        });
+      }
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        return respond(422, validationError(['body', 'email'], 'value is not a valid email address', 'value_error.email'));
+      }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return respond(422, validationError(['body', 'password'], `ensure this value has at least ${MIN_PASSWORD_LENGTH} characters`));
+      }
+      if (this.users.has(email.toLowerCase())) {
+        return respond(409, { detail: 'An account with this email already exists' });
+      }
+      return respond(201, publicUser(this.addUser({ username, email, password })));
+    }
+
+    // refresh: rotate the token pair
+    const email = this.refreshTokens.get(body?.refresh_token);
+    const user = email && this.users.get(email);
+    if (!user) return respond(401, { detail: 'Invalid refresh token' });
+    // Refresh tokens are single use
+    this.refreshTokens.delete(body.refresh_token);
+    return respond(200, this.issueTokens(user));
+  }
+
+  listDatasets(params) {
+    const skip = params.has('skip') ? Number(params.get('skip')) : 0;
+    const limit = params.has('limit') ? Number(params.get('limit')) : 100;
+
+    if (!Number.isInteger(skip) || skip < 0) {
+      return respond(422, validationError(['query', 'skip'], 'ensure this value is greater than or equal to 0'));
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      return respond(422, validationError(['query', 'limit'], `ensure this value is between 1 and ${MAX_LIST_LIMIT}`));
+    }
+
+    // Newest first, like the backend's uploaded_at DESC index
+    const all = Array.from(this.datasets.values()).map(entry => entry.metadata).reverse();
+    return respond(200, { datasets: all.slice(skip, skip + limit), total: all.length, skip, limit });
+  }
+
+  // Upload entry point used by GeoSpotAPI.uploadGeoJSON; resolves to { status, body }.
+  // onProgress receives { loaded, total } while the simulated transfer runs.
+  async upload(file, { onProgress, signal, headers } = {}) {
+    if (this.requireAuth && !this.authenticate(headers)) {
+      await wait(this.latency, signal);
+      return { status: 401, body: authError(headers) };
+    }
+    if (!file) {
+      await wait(this.latency, signal);
+      return { status: 422, body: validationError(['body', 'file'], 'field required', 'value_error.missing') };
+    }
+
+    const steps = 4;
+    for (let step = 1; step <= steps; step++) {
+      await wait(this.latency / steps, signal);
+      onProgress?.({ loaded: Math.round((file.size * step) / steps), total: file.size });
+    }
+
+    if (!UPLOAD_EXTENSIONS.includes(fileExtension(file.name))) {
+      return { status: 400, body: { detail: 'Only .geojson and .json files are allowed' } };
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      return { status: 413, body: { detail: `File too large. Maximum size is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB` } };
+    }
+    const duplicate = Array.from(this.datasets.values()).some(entry => entry.metadata.name === file.name);
+    if (duplicate) {
+      return { status: 409, body: { detail: `Dataset with name '${file.name}' already exists` } };
+    }
+
+    const { valid, errors, geojson } = validateGeoJSONText(await file.text());
+    if (!valid) {
+      const [first] = errors;
+      const location = first.path && first.path !== '$' ? ` at ${first.path}` : '';
+      return { status: 422, body: { detail: `Invalid GeoJSON: ${first.message}${location}` } };
+    }
+    if (geojson.type !== 'FeatureCollection') {
+      return { status: 422, body: { detail: 'Invalid GeoJSON: expected a FeatureCollection' } };
+    }
+
+    const metadata = this.addDataset(file.name, geojson, file.size);
+    return {
+      status: 201,
+      body: { ...metadata, message: `Successfully uploaded ${metadata.feature_count} features` },
+    };
+  }
+}
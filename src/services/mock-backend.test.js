@@ -0,0 +1,169 @@
+import { MockBackend, DEMO_USER } from './mock-backend';
+import { GeoSpotAPI } from './geospot-api';
+import { clearSession, setSession, subscribe } from './auth-session';
+
+const BASE_URL = 'http://mock.geospot';
+
+const geojsonText = (features = []) => JSON.stringify({ type: 'FeatureCollection', features });
+const point = { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} };
+
+// The mock only reads name, size and text() from uploaded files
+const fakeFile = (name, text, size = text.length) => ({ name, size, text: async () => text });
+
+const createApi = (options = {}) => {
+  const backend = new MockBackend({ latency: 0, ...options });
+  return { backend, api: new GeoSpotAPI(BASE_URL, { backend, retries: 0 }) };
+};
+
+beforeEach(() => {
+  clearSession('logout');
+  // Failed requests are logged, and the dataset cache warns that jsdom has no IndexedDB
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MockBackend routes', () => {
+  it('serves the seeded dataset and its GeoJSON', async () => {
+    const { api } = createApi();
+    const { datasets, total } = await api.getDatasets(0, 10, { useCache: false });
+    expect(total).toBe(1);
+    expect(datasets[0].name).toBe('sample-landmarks.geojson');
+
+    const dataset = await api.getDataset(datasets[0].id, { useCache: false });
+    expect(dataset.feature_count).toBe(4);
+
+    const response = await api.backend.fetch(`${BASE_URL}/api/v1/datasets/${dataset.id}/geojson`);
+    const geojson = JSON.parse(await response.text());
+    expect(geojson.features).toHaveLength(4);
+  });
+
+  it('pages the list newest first', async () => {
+    const { api, backend } = createApi();
+    backend.addDataset('second.geojson', { type: 'FeatureCollection', features: [] }, 10);
+    const page = await api.getDatasets(0, 1, { useCache: false });
+    expect(page.datasets.map(dataset => dataset.name)).toEqual(['second.geojson']);
+    expect(page.total).toBe(2);
+  });
+
+  it('answers health checks', async () => {
+    const { api } = createApi();
+    await expect(api.healthCheck()).resolves.toMatchObject({ status: 'healthy' });
+    await expect(api.readinessCheck()).resolves.toMatchObject({ status: 'ready' });
+  });
+
+  it('logs in and returns the profile', async () => {
+    const { api } = createApi();
+    const user = await api.login(DEMO_USER.email, DEMO_USER.password);
+    expect(user).toMatchObject({ email: DEMO_USER.email, username: DEMO_USER.username });
+    expect(user.password).toBeUndefined();
+  });
+});
+
+describe('MockBackend errors', () => {
+  it('returns 404 for unknown datasets', async () => {
+    const { api } = createApi();
+    const error = await api.getDataset(99, { useCache: false }).catch(err => err);
+    expect(error.status).toBe(404);
+    expect(error.isNotFound).toBe(true);
+  });
+
+  it('returns 422 for malformed ids and list parameters', async () => {
+    const { api } = createApi();
+    const badId = await api.getDataset('abc', { useCache: false }).catch(err => err);
+    expect(badId.isValidationError).toBe(true);
+    const badLimit = await api.getDatasets(0, 5000, { useCache: false }).catch(err => err);
+    expect(badLimit.status).toBe(422);
+  });
+
+  it('returns 409 when renaming to a name in use', async () => {
+    const { api, backend } = createApi();
+    backend.addDataset('taken.geojson', { type: 'FeatureCollection', features: [] }, 10);
+    await api.login(DEMO_USER.email, DEMO_USER.password);
+    const error = await api.updateDataset(1, { name: 'taken.geojson' }).catch(err => err);
+    expect(error.status).toBe(409);
+    expect(error.isConflict).toBe(true);
+  });
+
+  it('returns 401 for protected routes without a token', async () => {
+    const { backend } = createApi();
+    const response = await backend.fetch(`${BASE_URL}/api/v1/datasets/1`, { method: 'DELETE' });
+    expect(response.status).toBe(401);
+    expect(JSON.parse(await response.text())).toEqual({ detail: 'Not authenticated' });
+  });
+
+  it('reports a 401 as an expired session only when there was one', async () => {
+    const { api } = createApi();
+    const reasons = [];
+    const unsubscribe = subscribe((session, reason) => reasons.push(reason));
+
+    const anonymous = await api.deleteDataset(1).catch(err => err);
+    expect(anonymous.status).toBe(401);
+    expect(reasons).toEqual(['unauthenticated']);
+
+    setSession({ accessToken: 'revoked', refreshToken: 'revoked', user: DEMO_USER });
+    await api.deleteDataset(1).catch(err => err);
+    expect(reasons).toEqual(['unauthenticated', 'login', 'expired']);
+    unsubscribe();
+  });
+
+  it('rejects a wrong password', async () => {
+    const { api } = createApi();
+    const error = await api.login(DEMO_USER.email, 'wrong-password').catch(err => err);
+    expect(error.status).toBe(401);
+  });
+
+  it('returns 409 when registering an existing email', async () => {
+    const { api } = createApi();
+    const error = await api.register({ ...DEMO_USER }).catch(err => err);
+    expect(error.isConflict).toBe(true);
+  });
+});
+
+describe('MockBackend uploads', () => {
+  const upload = (backend, file) => backend.upload(file, {
+    headers: { Authorization: `Bearer ${backend.issueTokens(DEMO_USER).access_token}` },
+  });
+
+  it('creates a dataset from a valid file', async () => {
+    const { backend } = createApi();
+    const { status, body } = await upload(backend, fakeFile('new.geojson', geojsonText([point])));
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ name: 'new.geojson', feature_count: 1 });
+  });
+
+  it('returns 409 for a duplicate name', async () => {
+    const { backend } = createApi();
+    const { status } = await upload(backend, fakeFile('sample-landmarks.geojson', geojsonText()));
+    expect(status).toBe(409);
+  });
+
+  it('returns 413 for files over the size limit', async () => {
+    const { backend } = createApi();
+    const { status } = await upload(backend, fakeFile('big.geojson', geojsonText(), 11 * 1024 * 1024));
+    expect(status).toBe(413);
+  });
+
+  it('returns 422 for invalid GeoJSON', async () => {
+    const { backend } = createApi();
+    const { status, body } = await upload(backend, fakeFile('bad.geojson', '{"type":"Feature"'));
+    expect(status).toBe(422);
+    expect(body.detail).toMatch(/^Invalid GeoJSON/);
+  });
+
+  it('returns 401 without a token', async () => {
+    const { backend } = createApi();
+    const { status } = await backend.upload(fakeFile('new.geojson', geojsonText()));
+    expect(status).toBe(401);
+  });
+
+  it('reports upload errors through the API client', async () => {
+    const { api } = createApi();
+    await api.login(DEMO_USER.email, DEMO_USER.password);
+    const error = await api.uploadGeoJSON(fakeFile('big.geojson', geojsonText(), 11 * 1024 * 1024)).catch(err => err);
+    expect(error.isPayloadTooLarge).toBe(true);
+  });
+});
@@ -0,0 +1,192 @@
+// services/offline-store.js
+// Datasets pinned for offline use and pre-fetched map tiles, kept in Cache Storage.
+// Entries are stored under the same URLs the app requests, so the service worker
+// can answer those requests directly when the network is unavailable.
+// Unlike the dataset cache these entries are never evicted automatically.
+
+export const DATASETS_CACHE = 'geospot-offline-datasets';
+export const TILES_CACHE = 'geospot-offline-tiles';
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+const PINNED_KEY = 'geospot-pinned-datasets';
+const TILE_SUBDOMAINS = ['a', 'b', 'c'];
+// OSM tile usage policy forbids bulk downloading at high zoom levels
+export const MAX_PREFETCH_ZOOM = 16;
+// Average OSM tile size, used to estimate downloads before they start
+const ESTIMATED_TILE_BYTES = 20 * 1024;
+const TILE_CONCURRENCY = 2;
+
+export const isOfflineSupported = () => typeof window !== 'undefined' && 'caches' in window;
+
+const readPinned = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PINNED_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writePinned = (pinned) => {
+  localStorage.setItem(PINNED_KEY, JSON.stringify(pinned));
+  window.dispatchEvent(new Event('geospot-pinned-change'));
+};
+
+const jsonResponse = (data) => new Response(JSON.stringify(data), {
+  headers: { 'Content-Type': 'application/json', 'X-GeoSpot-Offline': 'true' },
+});
+
+// Longitude/latitude to slippy map tile numbers
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+const latToTileY = (lat, zoom) => {
+  const clamped = Math.max(Math.min(lat, 85.0511), -85.0511);
+  const rad = (clamped * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+// Leaflet picks the subdomain from the tile coordinates; match it so cached URLs line up
+export const tileUrl = (x, y, z) =>
+  TILE_URL
+    .replace('{s}', TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y);
+
+// Tile numbers covering the bounds at one zoom level. bounds: [[south, west], [north, east]]
+const tileRange = (bounds, z) => {
+  const [[south, west], [north, east]] = bounds;
+  const maxIndex = 2 ** z - 1;
+  return {
+    xMin: Math.max(0, lngToTileX(west, z)),
+    xMax: Math.min(maxIndex, lngToTileX(east, z)),
+    yMin: Math.max(0, latToTileY(north, z)),
+    yMax: Math.min(maxIndex, latToTileY(south, z)),
+  };
+};
+
+const zoomLevels = (minZoom, maxZoom) =>
+  Array.from({ length: Math.max(0, Math.min(maxZoom, MAX_PREFETCH_ZOOM) - minZoom + 1) }, (_, i) => minZoom + i);
+
+// Counted per zoom level rather than by listing them: a world-wide dataset covers
+// billions of tiles at the deepest zoom levels
+export const countTiles = (bounds, minZoom, maxZoom) => zoomLevels(minZoom, maxZoom).reduce((count, z) => {
+  const { xMin, xMax, yMin, yMax } = tileRange(bounds, z);
+  return count + Math.max(0, xMax - xMin + 1) * Math.max(0, yMax - yMin + 1);
+}, 0);
+
+// Yields { x, y, z } for every tile covering the bounds, one at a time
+export function* iterateTiles(bounds, minZoom, maxZoom) {
+  for (const z of zoomLevels(minZoom, maxZoom)) {
+    const { xMin, xMax, yMin, yMax } = tileRange(bounds, z);
+    for (let x = xMin; x <= xMax; x++) {
+      for (let y = yMin; y <= yMax; y++) {
+        yield { x, y, z };
+      }
+    }
+  }
+}
+
+export const estimateTileDownload = (bounds, minZoom, maxZoom) => {
+  const count = countTiles(bounds, minZoom, maxZoom);
+  return { count, bytes: count * ESTIMATED_TILE_BYTES };
+};
+
+export const getPinnedDatasets = () => readPinned();
+
+export const isDatasetPinned = (datasetId) => Boolean(readPinned()[datasetId]);
+
+// Store metadata and GeoJSON under their API URLs
+export const pinDataset = async (baseURL, metadata, geojson) => {
+  const cache = await caches.open(DATASETS_CACHE);
+  await Promise.all([
+    cache.put(`${baseURL}/api/v1/datasets/${metadata.id}`, jsonResponse(metadata)),
+    cache.put(`${baseURL}/api/v1/datasets/${metadata.id}/geojson`, jsonResponse(geojson)),
+  ]);
+
+  const pinned = readPinned();
+  pinned[metadata.id] = { name: metadata.name, pinnedAt: new Date().toISOString(), tiles: 0 };
+  writePinned(pinned);
+};
+
+export const unpinDataset = async (baseURL, datasetId) => {
+  const cache = await caches.open(DATASETS_CACHE);
+  await Promise.all([
+    cache.delete(`${baseURL}/api/v1/datasets/${datasetId}`),
+    cache.delete(`${baseURL}/api/v1/datasets/${datasetId}/geojson`),
+  ]);
+
+  const pinned = readPinned();
+  delete pinned[datasetId];
+  writePinned(pinned);
+};
+
+// Look up a pinned API response by URL; resolves to the body read by read(response)
+// (parsed as JSON by default) or null
+export const matchOffline = async (url, read = response => response.json()) => {
+  if (!isOfflineSupported()) return null;
+  const response = await caches.match(url, { cacheName: DATASETS_CACHE });
+  return response ? read(response) : null;
+};
+
+// Download tiles covering the bounds until done, cancelled or over budget.
+// onProgress receives { done, total, bytes }.
+export const prefetchTiles = async ({ datasetId, bounds, minZoom, maxZoom, budgetBytes, onProgress, signal }) => {
+  const total = countTiles(bounds, minZoom, maxZoom);
+  // Shared by the workers, so each tile is taken once
+  const tiles = iterateTiles(bounds, minZoom, maxZoom);
+  const cache = await caches.open(TILES_CACHE);
+  let done = 0;
+  let bytes = 0;
+  let overBudget = false;
+
+  const worker = async () => {
+    while (!signal?.aborted && !overBudget) {
+      const next = tiles.next();
+      if (next.done) return;
+      const { x, y, z } = next.value;
+      const url = tileUrl(x, y, z);
+
+      let response = await cache.match(url);
+      if (!response) {
+        try {
+          response = await fetch(url, { signal, mode: 'cors' });
+          if (response.ok) {
+            const blob = await response.clone().blob();
+            bytes += blob.size;
+            await cache.put(url, response);
+          }
+        } catch (err) {
+          if (signal?.aborted) return;
+          // Skip tiles that fail to download; the rest are still useful
+        }
+      }
+
+      done++;
+      if (bytes > budgetBytes) overBudget = true;
+      onProgress?.({ done, total, bytes });
+    }
+  };
+
+  await Promise.all(Array.from({ length: TILE_CONCURRENCY }, worker));
+
+  if (datasetId !== undefined) {
+    const pinned = readPinned();
+    if (pinned[datasetId]) {
+      pinned[datasetId].tiles = done;
+      writePinned(pinned);
+    }
+  }
+
+  return { done, total, bytes, overBudget, cancelled: Boolean(signal?.aborted) };
+};
+
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  return navigator.storage.estimate();
+};
+
+export const clearOfflineTiles = async () => {
+  await caches.delete(TILES_CACHE);
+  const pinned = readPinned();
+  Object.values(pinned).forEach(entry => { entry.tiles = 0; });
+  writePinned(pinned);
+};
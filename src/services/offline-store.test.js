@@ -0,0 +1,51 @@
+import { countTiles, estimateTileDownload, iterateTiles, matchOffline, MAX_PREFETCH_ZOOM } from './offline-store';
+
+const WORLD = [[-90, -180], [90, 180]];
+
+describe('countTiles', () => {
+  it('matches the tiles iterated', () => {
+    const bounds = [[51.28, -0.51], [51.69, 0.33]];
+    expect(countTiles(bounds, 2, 12)).toBe([...iterateTiles(bounds, 2, 12)].length);
+  });
+
+  it('counts a world-wide dataset without listing its tiles', () => {
+    const expected = Array.from({ length: MAX_PREFETCH_ZOOM + 1 }, (_, z) => 4 ** z).reduce((a, b) => a + b, 0);
+    expect(countTiles(WORLD, 0, 20)).toBe(expected);
+  });
+
+  it('is zero for an empty zoom range', () => {
+    expect(countTiles(WORLD, 5, 4)).toBe(0);
+    expect(estimateTileDownload(WORLD, 5, 4)).toEqual({ count: 0, bytes: 0 });
+  });
+});
+
+describe('iterateTiles', () => {
+  it('yields tiles lazily', () => {
+    const tiles = iterateTiles(WORLD, 0, MAX_PREFETCH_ZOOM);
+    expect(tiles.next().value).toEqual({ x: 0, y: 0, z: 0 });
+    expect(tiles.next().value).toEqual({ x: 0, y: 0, z: 1 });
+  });
+});
+
+describe('matchOffline', () => {
+  const pinned = { json: async () => ({ id: 1 }) };
+
+  beforeEach(() => {
+    window.caches = { match: jest.fn(async url => (url.endsWith('/1') ? pinned : undefined)) };
+  });
+
+  afterEach(() => {
+    delete window.caches;
+  });
+
+  it('parses pinned responses as JSON by default', async () => {
+    await expect(matchOffline('http://api/datasets/1')).resolves.toEqual({ id: 1 });
+    await expect(matchOffline('http://api/datasets/2')).resolves.toBeNull();
+  });
+
+  it('reads pinned responses with the given reader', async () => {
+    const read = jest.fn(async () => 'parsed');
+    await expect(matchOffline('http://api/datasets/1', read)).resolves.toBe('parsed');
+    expect(read).toHaveBeenCalledWith(pinned);
+  });
+});
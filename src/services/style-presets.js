@@ -0,0 +1,143 @@
+// services/style-presets.js
+// Named map styles saved per dataset in localStorage. One preset per dataset can
+// be the default, which is applied when the dataset is opened.
+// Stored shape: { [datasetId]: { presets: [{ id, name, style, updatedAt }], defaultId } }
+import { DEFAULT_STYLE, CLASSIFICATIONS, COLOR_RAMPS } from '../utils/dataStyle';
+
+const PRESETS_KEY = 'geospot-style-presets';
+
+// Identifies exported preset files
+const EXPORT_FORMAT = 'geospot-style-presets';
+const EXPORT_VERSION = 1;
+
+const STYLE_KEYS = Object.keys(DEFAULT_STYLE);
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeAll = (all) => {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(all));
+};
+
+const emptyEntry = () => ({ presets: [], defaultId: null });
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Keep only known style options with the right types, so a hand-edited or
+// older file can't break the map
+export const sanitizeStyle = (style) => {
+  if (!style || typeof style !== 'object') return null;
+  const clean = { ...DEFAULT_STYLE };
+  STYLE_KEYS.forEach(key => {
+    const value = style[key];
+    if (typeof value !== typeof DEFAULT_STYLE[key]) return;
+    if (typeof value === 'number' && !Number.isFinite(value)) return;
+    clean[key] = value;
+  });
+  if (!CLASSIFICATIONS[clean.method]) clean.method = DEFAULT_STYLE.method;
+  if (!COLOR_RAMPS[clean.ramp]) clean.ramp = DEFAULT_STYLE.ramp;
+  return clean;
+};
+
+export const getPresets = (datasetId) => readAll()[datasetId] || emptyEntry();
+
+// Style of the dataset's default preset, or null
+export const getDefaultStyle = (datasetId) => {
+  const { presets, defaultId } = getPresets(datasetId);
+  return presets.find(preset => preset.id === defaultId)?.style || null;
+};
+
+const updateEntry = (datasetId, change) => {
+  const all = readAll();
+  const entry = change(all[datasetId] || emptyEntry());
+  if (entry.presets.length === 0) {
+    delete all[datasetId];
+  } else {
+    all[datasetId] = entry;
+  }
+  writeAll(all);
+  return entry;
+};
+
+// Save a style under a name; a preset with the same name (ignoring case) is replaced.
+// Returns the saved preset.
+export const savePreset = (datasetId, name, style) => {
+  let saved;
+  updateEntry(datasetId, entry => {
+    const existing = entry.presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+    saved = { id: existing?.id || createId(), name, style: sanitizeStyle(style), updatedAt: new Date().toISOString() };
+    return {
+      ...entry,
+      presets: existing
+        ? entry.presets.map(preset => (preset.id === existing.id ? saved : preset))
+        : [...entry.presets, saved],
+    };
+  });
+  return saved;
+};
+
+export const deletePreset = (datasetId, presetId) => updateEntry(datasetId, entry => ({
+  presets: entry.presets.filter(preset => preset.id !== presetId),
+  defaultId: entry.defaultId === presetId ? null : entry.defaultId,
+}));
+
+// presetId null clears the default
+export const setDefaultPreset = (datasetId, presetId) =>
+  updateEntry(datasetId, entry => ({ ...entry, defaultId: presetId }));
+
+// The dataset's presets as a JSON-serialisable document
+export const exportPresets = (datasetId, datasetName) => {
+  const { presets, defaultId } = getPresets(datasetId);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    dataset: datasetName,
+    presets: presets.map(({ id, name, style }) => ({ name, style, default: id === defaultId })),
+  };
+};
+
+// Add the presets from an exported document (parsed JSON) to a dataset.
+// Presets with an existing name replace it. Returns the number imported;
+// throws an Error describing the problem if the document isn't a presets export.
+export const importPresets = (datasetId, exported) => {
+  if (!exported || exported.format !== EXPORT_FORMAT || !Array.isArray(exported.presets)) {
+    throw new Error('This file is not a GeoSpot style preset export.');
+  }
+  if (exported.version > EXPORT_VERSION) {
+    throw new Error('This file was exported by a newer version of GeoSpot.');
+  }
+
+  const valid = exported.presets.filter(preset =>
+    preset && typeof preset.name === 'string' && preset.name.trim() && sanitizeStyle(preset.style));
+  if (valid.length === 0) {
+    throw new Error('The file does not contain any presets.');
+  }
+
+  valid.forEach(preset => {
+    const saved = savePreset(datasetId, preset.name.trim(), preset.style);
+    if (preset.default) setDefaultPreset(datasetId, saved.id);
+  });
+  return valid.length;
+};
+
+// Only the options of a style that differ from the default
+export const styleChanges = (style) => Object.fromEntries(STYLE_KEYS
+  .filter(key => style[key] !== DEFAULT_STYLE[key])
+  .map(key => [key, style[key]]));
+
+// Styles in share links: the changed options as JSON
+export const encodeStyle = (style) => JSON.stringify(styleChanges(style));
+
+// Returns null for a malformed value
+export const decodeStyle = (text) => {
+  try {
+    return sanitizeStyle(JSON.parse(text));
+  } catch (err) {
+    return null;
+  }
+};
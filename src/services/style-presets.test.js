@@ -0,0 +1,78 @@
+import { DEFAULT_STYLE } from '../utils/dataStyle';
+import {
+  decodeStyle, deletePreset, encodeStyle, exportPresets, getDefaultStyle, getPresets,
+  importPresets, savePreset, setDefaultPreset,
+} from './style-presets';
+
+const choropleth = { ...DEFAULT_STYLE, property: 'population', method: 'quantile', ramp: 'blues' };
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('saving and loading presets', () => {
+  it('keeps presets per dataset', () => {
+    const saved = savePreset(1, 'Population', choropleth);
+    expect(saved).toMatchObject({ name: 'Population', style: choropleth });
+    expect(getPresets(1).presets).toEqual([saved]);
+    expect(getPresets(2)).toEqual({ presets: [], defaultId: null });
+  });
+
+  it('replaces a preset with the same name, ignoring case', () => {
+    const first = savePreset(1, 'Population', choropleth);
+    const second = savePreset(1, 'POPULATION', { ...choropleth, ramp: 'reds' });
+    expect(second.id).toBe(first.id);
+    expect(getPresets(1).presets).toEqual([second]);
+    expect(second.style.ramp).toBe('reds');
+  });
+
+  it('drops unknown options and values of the wrong type', () => {
+    const { style } = savePreset(1, 'Odd', { ...choropleth, classes: '7', ramp: 'rainbow', color: 'red' });
+    expect(style).toEqual({ ...choropleth, classes: DEFAULT_STYLE.classes, ramp: DEFAULT_STYLE.ramp });
+  });
+
+  it('applies the default preset and forgets it when the preset is deleted', () => {
+    const saved = savePreset(1, 'Population', choropleth);
+    expect(getDefaultStyle(1)).toBeNull();
+
+    setDefaultPreset(1, saved.id);
+    expect(getDefaultStyle(1)).toEqual(choropleth);
+
+    deletePreset(1, saved.id);
+    expect(getDefaultStyle(1)).toBeNull();
+    expect(localStorage.getItem('geospot-style-presets')).toBe('{}');
+  });
+
+  it('ignores unreadable storage', () => {
+    localStorage.setItem('geospot-style-presets', '{not json');
+    expect(getPresets(1).presets).toEqual([]);
+  });
+});
+
+describe('export and import', () => {
+  it('round-trips presets and the default between datasets', () => {
+    savePreset(1, 'Plain', DEFAULT_STYLE);
+    setDefaultPreset(1, savePreset(1, 'Population', choropleth).id);
+
+    const exported = JSON.parse(JSON.stringify(exportPresets(1, 'cities.geojson')));
+    expect(importPresets(2, exported)).toBe(2);
+    expect(getPresets(2).presets.map(preset => preset.name)).toEqual(['Plain', 'Population']);
+    expect(getDefaultStyle(2)).toEqual(choropleth);
+  });
+
+  it('rejects documents that are not preset exports', () => {
+    expect(() => importPresets(1, { type: 'FeatureCollection' })).toThrow('not a GeoSpot style preset export');
+    expect(() => importPresets(1, { format: 'geospot-style-presets', version: 99, presets: [] }))
+      .toThrow('newer version');
+    expect(() => importPresets(1, { format: 'geospot-style-presets', version: 1, presets: [{ name: ' ', style: {} }] }))
+      .toThrow('does not contain any presets');
+  });
+});
+
+describe('share links', () => {
+  it('encode only the changed options', () => {
+    expect(JSON.parse(encodeStyle(choropleth))).toEqual({ property: 'population', method: 'quantile', ramp: 'blues' });
+    expect(decodeStyle(encodeStyle(choropleth))).toEqual(choropleth);
+    expect(decodeStyle('%%')).toBeNull();
+  });
+});
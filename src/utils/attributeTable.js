@@ -0,0 +1,117 @@
+// utils/attributeTable.js
+// Columns, filtering and sorting for the feature attribute table.
+// Rows are identified by their index in the FeatureCollection so the table can
+// work on large datasets without copying features.
+
+// One column per property key, in order of first appearance. A column is numeric
+// when every non-empty value in it is a number.
+export const collectColumns = (features) => {
+  const columns = new Map();
+  features.forEach(feature => {
+    const properties = feature.properties || {};
+    Object.keys(properties).forEach(key => {
+      let column = columns.get(key);
+      if (!column) {
+        column = { key, numeric: true, hasValues: false };
+        columns.set(key, column);
+      }
+      const value = properties[key];
+      if (value === null || value === undefined || value === '') return;
+      column.hasValues = true;
+      if (typeof value !== 'number') column.numeric = false;
+    });
+  });
+  return Array.from(columns.values()).map(({ key, numeric, hasValues }) => ({
+    key,
+    type: numeric && hasValues ? 'number' : 'text',
+  }));
+};
+
+export const formatCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const NUMERIC_COMPARISON = /^(>=|<=|!=|>|<|=)?\s*(-?\d+(?:\.\d+)?(?:e-?\d+)?)$/i;
+const NUMERIC_RANGE = /^(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)$/;
+
+// Numeric filters: "42", ">10", "<=5", "!=0" or an inclusive range "10..20".
+// Returns a predicate, or null when the text is not a valid expression.
+export const parseNumericFilter = (text) => {
+  const trimmed = text.trim();
+  const range = trimmed.match(NUMERIC_RANGE);
+  if (range) {
+    const min = Math.min(Number(range[1]), Number(range[2]));
+    const max = Math.max(Number(range[1]), Number(range[2]));
+    return value => typeof value === 'number' && value >= min && value <= max;
+  }
+
+  const comparison = trimmed.match(NUMERIC_COMPARISON);
+  if (!comparison) return null;
+  const target = Number(comparison[2]);
+  switch (comparison[1]) {
+    case '>': return value => typeof value === 'number' && value > target;
+    case '>=': return value => typeof value === 'number' && value >= target;
+    case '<': return value => typeof value === 'number' && value < target;
+    case '<=': return value => typeof value === 'number' && value <= target;
+    case '!=': return value => value !== target;
+    default: return value => value === target;
+  }
+};
+
+// Case-insensitive substring match on the displayed value
+const textFilter = (text) => {
+  const needle = text.trim().toLowerCase();
+  return value => formatCellValue(value).toLowerCase().includes(needle);
+};
+
+// Build predicates for the non-empty filters; invalid numeric expressions are skipped
+// and reported in `invalid` so the table can mark them.
+export const buildFilters = (columns, filters) => {
+  const predicates = [];
+  const invalid = new Set();
+  columns.forEach(({ key, type }) => {
+    const text = filters[key];
+    if (!text || !text.trim()) return;
+    const test = type === 'number' ? parseNumericFilter(text) : textFilter(text);
+    if (test) {
+      predicates.push({ key, test });
+    } else {
+      invalid.add(key);
+    }
+  });
+  return { predicates, invalid };
+};
+
+const compareCells = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return formatCellValue(a).localeCompare(formatCellValue(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Indices of the features that pass every predicate, sorted by sort = { key, dir } if given.
+// Empty values sort last in either direction; ties keep feature order.
+export const computeRowOrder = (features, predicates, sort) => {
+  const rows = [];
+  for (let index = 0; index < features.length; index++) {
+    const properties = features[index].properties || {};
+    if (predicates.every(({ key, test }) => test(properties[key]))) {
+      rows.push(index);
+    }
+  }
+
+  if (sort) {
+    const direction = sort.dir === 'desc' ? -1 : 1;
+    const valueOf = (index) => features[index].properties?.[sort.key];
+    rows.sort((a, b) => {
+      const valueA = valueOf(a);
+      const valueB = valueOf(b);
+      return (isEmpty(valueA) - isEmpty(valueB)) ||
+        (isEmpty(valueA) ? 0 : direction * compareCells(valueA, valueB)) ||
+        a - b;
+    });
+  }
+  return rows;
+};
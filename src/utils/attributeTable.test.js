@@ -0,0 +1,86 @@
+import { buildFilters, collectColumns, computeRowOrder, parseNumericFilter } from './attributeTable';
+
+const feature = (properties) => ({ type: 'Feature', geometry: null, properties });
+
+const features = [
+  feature({ name: 'Lyon', population: 522000 }),
+  feature({ name: 'paris', population: 2161000 }),
+  feature({ name: 'Nice', population: null }),
+  feature({ name: 'Amiens', population: 134000 }),
+  feature({ name: 'Brest', population: 139000 }),
+];
+
+const matches = (text, values) => {
+  const predicate = parseNumericFilter(text);
+  return values.filter(predicate);
+};
+
+describe('parseNumericFilter', () => {
+  it('compares against a number', () => {
+    expect(matches('>10', [5, 10, 11])).toEqual([11]);
+    expect(matches('>= 10', [5, 10, 11])).toEqual([10, 11]);
+    expect(matches('<10', [5, 10, 11])).toEqual([5]);
+    expect(matches('<=10', [5, 10, 11])).toEqual([5, 10]);
+    expect(matches('!=10', [5, 10, null])).toEqual([5, null]);
+    expect(matches('10', [5, 10, 11])).toEqual([10]);
+    expect(matches('=-2.5', [-2.5, 2.5])).toEqual([-2.5]);
+    expect(matches('>1e3', [999, 1001])).toEqual([1001]);
+  });
+
+  it('matches inclusive ranges in either order', () => {
+    expect(matches('10..20', [9, 10, 15, 20, 21])).toEqual([10, 15, 20]);
+    expect(matches('20..10', [9, 10, 15, 20, 21])).toEqual([10, 15, 20]);
+    expect(matches('-5 .. 0', [-6, -5, 0, 1])).toEqual([-5, 0]);
+  });
+
+  it('never matches empty or text values with a comparison', () => {
+    expect(matches('<10', [null, undefined, '', '5'])).toEqual([]);
+    expect(matches('0..10', [null, '5'])).toEqual([]);
+  });
+
+  it('rejects invalid expressions', () => {
+    ['abc', '>', '>>10', '10..', '1..2..3', '=> 5', '10 20'].forEach(text => {
+      expect(parseNumericFilter(text)).toBeNull();
+    });
+  });
+});
+
+describe('buildFilters', () => {
+  it('skips empty filters and reports invalid numeric ones', () => {
+    const columns = collectColumns(features);
+    expect(columns).toEqual([{ key: 'name', type: 'text' }, { key: 'population', type: 'number' }]);
+
+    const { predicates, invalid } = buildFilters(columns, { name: '  ', population: 'big' });
+    expect(predicates).toEqual([]);
+    expect(Array.from(invalid)).toEqual(['population']);
+  });
+});
+
+describe('computeRowOrder', () => {
+  const columns = collectColumns(features);
+  const rowsFor = (filters, sort) => computeRowOrder(features, buildFilters(columns, filters).predicates, sort);
+
+  it('keeps feature order without a sort', () => {
+    expect(rowsFor({})).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('combines text and numeric filters', () => {
+    expect(rowsFor({ name: 'R' })).toEqual([1, 4]);
+    expect(rowsFor({ name: 'r', population: '<1000000' })).toEqual([4]);
+    expect(rowsFor({ population: '100000..200000' })).toEqual([3, 4]);
+  });
+
+  it('sorts numbers numerically and text case-insensitively', () => {
+    expect(rowsFor({}, { key: 'population', dir: 'asc' })).toEqual([3, 4, 0, 1, 2]);
+    expect(rowsFor({}, { key: 'name', dir: 'asc' })).toEqual([3, 4, 0, 2, 1]);
+  });
+
+  it('puts empty values last in both directions', () => {
+    expect(rowsFor({}, { key: 'population', dir: 'desc' })).toEqual([1, 0, 4, 3, 2]);
+  });
+
+  it('keeps feature order for ties', () => {
+    const tied = [feature({ kind: 'b' }), feature({ kind: 'a' }), feature({ kind: 'b' }), feature({ kind: 'a' })];
+    expect(computeRowOrder(tied, [], { key: 'kind', dir: 'desc' })).toEqual([0, 2, 1, 3]);
+  });
+});
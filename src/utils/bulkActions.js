@@ -0,0 +1,91 @@
+// utils/bulkActions.js
+// Operations applied to many datasets at once from the dataset list.
+// Each runs items with limited concurrency and reports per-item progress through
+// onItem(id, { status, error }) where status is 'running', 'done', 'failed' or
+// 'cancelled' (stopped part way by the signal).
+import JSZip from 'jszip';
+import GeoSpotAPI from '../services/geospot-api';
+import { isAbortError } from '../services/api-error';
+
+const BULK_CONCURRENCY = 3;
+
+// Run task(item) for every item, at most `concurrency` at a time.
+// Resolves to [{ item, ok, value, error }] in input order; stops starting new
+// items once the signal is aborted.
+export const runBulk = async (items, task, { concurrency = BULK_CONCURRENCY, onItem, signal } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      const item = items[index];
+      onItem?.(item.id, { status: 'running' });
+      try {
+        const value = await task(item);
+        results[index] = { item, ok: true, value };
+        onItem?.(item.id, { status: 'done' });
+      } catch (error) {
+        if (isAbortError(error)) {
+          onItem?.(item.id, { status: 'cancelled' });
+          return;
+        }
+        results[index] = { item, ok: false, error };
+        onItem?.(item.id, { status: 'failed', error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results.filter(Boolean);
+};
+
+export const bulkDelete = (datasets, options) =>
+  runBulk(datasets, async (dataset) => {
+    try {
+      await GeoSpotAPI.deleteDataset(dataset.id, { signal: options?.signal });
+    } catch (error) {
+      // Already deleted elsewhere counts as deleted
+      if (!error.isNotFound) throw error;
+    }
+  }, options);
+
+// File names inside the archive: keep the dataset name, make it unique and end in .geojson
+const archiveName = (dataset, used) => {
+  const base = (dataset.name || `dataset-${dataset.id}`).replace(/[\\/:*?"<>|]/g, '_').replace(/\.(geo)?json$/i, '');
+  let name = `${base}.geojson`;
+  for (let copy = 2; used.has(name.toLowerCase()); copy++) {
+    name = `${base} (${copy}).geojson`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+};
+
+// Download each dataset's GeoJSON and bundle them into a zip.
+// Resolves to { blob, results }; blob is null when nothing could be exported.
+export const exportZip = async (datasets, options) => {
+  const zip = new JSZip();
+  const used = new Set();
+
+  const results = await runBulk(datasets, async (dataset) => {
+    const geojson = await GeoSpotAPI.getDatasetGeoJSON(dataset.id, { signal: options?.signal });
+    zip.file(archiveName(dataset, used), JSON.stringify(geojson));
+  }, options);
+
+  if (options?.signal?.aborted || !results.some(result => result.ok)) {
+    return { blob: null, results };
+  }
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  return { blob, results };
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
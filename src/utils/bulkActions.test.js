@@ -0,0 +1,30 @@
+import { runBulk } from './bulkActions';
+
+const items = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+const abortError = () => Object.assign(new Error('Aborted'), { name: 'AbortError' });
+
+describe('runBulk', () => {
+  it('reports each item and returns results in input order', async () => {
+    const events = [];
+    const results = await runBulk(items, async (item) => {
+      if (item.id === 2) throw new Error('Nope');
+      return item.id * 10;
+    }, { concurrency: 2, onItem: (id, { status }) => events.push(`${id}:${status}`) });
+
+    expect(results.map(({ item, ok, value }) => [item.id, ok, value])).toEqual([[1, true, 10], [2, false, undefined], [3, true, 30]]);
+    expect(events.filter(event => !event.endsWith('running'))).toEqual(['1:done', '2:failed', '3:done']);
+  });
+
+  it('marks items in flight as cancelled and starts no more', async () => {
+    const controller = new AbortController();
+    const statuses = {};
+    const results = await runBulk(items, () => new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(abortError()));
+      controller.abort();
+    }), { concurrency: 1, signal: controller.signal, onItem: (id, { status }) => { statuses[id] = status; } });
+
+    expect(results).toEqual([]);
+    expect(statuses).toEqual({ 1: 'cancelled' });
+  });
+});
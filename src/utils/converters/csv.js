@@ -0,0 +1,197 @@
+// utils/converters/csv.js
+// Converts delimited text (CSV/TSV) with coordinate or WKT columns to GeoJSON.
+// Unlike the other converters this one needs a column mapping confirmed by the
+// user, so conversion is split into parsing, detection and building.
+import Papa from 'papaparse';
+import { isWKT, parseWKT } from './wkt';
+import { baseName } from './xml';
+
+export const DELIMITERS = {
+  ',': 'Comma',
+  ';': 'Semicolon',
+  '\t': 'Tab',
+  '|': 'Pipe',
+};
+
+export const PROPERTY_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// Rows sampled when detecting columns and inferring types
+const SAMPLE_SIZE = 200;
+
+const X_NAMES = /^(x|lon|lng|long|longitude|easting|point_x|coord_x)$/i;
+const Y_NAMES = /^(y|lat|latitude|northing|point_y|coord_y)$/i;
+const WKT_NAMES = /^(wkt|geom|geometry|the_geom|shape|wkt_geom)$/i;
+
+const TRUE_VALUES = ['true', 'yes', 'y', 't', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', 'f', '0'];
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$|^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Accept decimal commas ("12,5") in files that don't use the comma as delimiter
+export const parseNumber = (value, delimiter) => {
+  if (isBlank(value)) return NaN;
+  let text = String(value).trim();
+  if (delimiter !== ',' && /^[-+]?\d+,\d+$/.test(text)) {
+    text = text.replace(',', '.');
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text) ? Number(text) : NaN;
+};
+
+export const parseDelimitedFile = async (file, delimiter = '') => {
+  const text = await file.text();
+  const result = Papa.parse(text, {
+    header: true,
+    delimiter,
+    delimitersToGuess: Object.keys(DELIMITERS),
+    skipEmptyLines: 'greedy',
+    transformHeader: header => header.trim(),
+  });
+
+  if (!result.meta.fields || result.meta.fields.length === 0) {
+    throw new Error('The file does not have a header row');
+  }
+  if (result.data.length === 0) {
+    throw new Error('The file does not contain any data rows');
+  }
+
+  return {
+    name: `${baseName(file.name)}.geojson`,
+    delimiter: result.meta.delimiter,
+    fields: result.meta.fields.filter(field => field !== ''),
+    rows: result.data,
+  };
+};
+
+const sampleValues = (rows, field) =>
+  rows.slice(0, SAMPLE_SIZE).map(row => row[field]).filter(value => !isBlank(value));
+
+const fractionMatching = (values, predicate) =>
+  values.length === 0 ? 0 : values.filter(predicate).length / values.length;
+
+// Suggest the geometry mapping from column names first, then from the values
+export const detectGeometryColumns = ({ fields, rows, delimiter }) => {
+  const looksLikeWKT = field => fractionMatching(sampleValues(rows, field), isWKT) > 0.8;
+  const wkt = fields.find(field => WKT_NAMES.test(field) && looksLikeWKT(field)) || fields.find(looksLikeWKT);
+
+  const inRange = (min, max) => (value) => {
+    const number = parseNumber(value, delimiter);
+    return Number.isFinite(number) && number >= min && number <= max;
+  };
+  const numericColumns = fields.filter(field =>
+    fractionMatching(sampleValues(rows, field), value => Number.isFinite(parseNumber(value, delimiter))) > 0.9
+  );
+
+  let x = fields.find(field => X_NAMES.test(field));
+  let y = fields.find(field => Y_NAMES.test(field));
+
+  // Fall back to the first numeric columns whose values fit longitude/latitude ranges
+  if (!y) {
+    y = numericColumns.find(field => field !== x && fractionMatching(sampleValues(rows, field), inRange(-90, 90)) === 1);
+  }
+  if (!x) {
+    x = numericColumns.find(field => field !== y && fractionMatching(sampleValues(rows, field), inRange(-180, 180)) === 1);
+  }
+
+  return {
+    // WKT can carry any geometry type, so prefer it over X/Y columns when both exist
+    mode: wkt ? 'wkt' : 'xy',
+    x: x || '',
+    y: y || '',
+    wkt: wkt || '',
+  };
+};
+
+export const inferPropertyTypes = ({ fields, rows, delimiter }) => {
+  const types = {};
+
+  fields.forEach(field => {
+    const values = sampleValues(rows, field);
+    const lower = values.map(value => String(value).trim().toLowerCase());
+
+    if (values.length === 0) {
+      types[field] = 'string';
+    } else if (lower.every(value => BOOLEAN_WORDS.includes(value))) {
+      types[field] = 'boolean';
+    } else if (values.every(value => Number.isFinite(parseNumber(value, delimiter)))) {
+      types[field] = 'number';
+    } else if (values.every(value => DATE_PATTERN.test(String(value).trim()) && !Number.isNaN(Date.parse(value)))) {
+      types[field] = 'date';
+    } else {
+      types[field] = 'string';
+    }
+  });
+
+  return types;
+};
+
+const convertValue = (value, type, delimiter) => {
+  if (isBlank(value)) return null;
+
+  switch (type) {
+    case 'number': {
+      const number = parseNumber(value, delimiter);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'boolean': {
+      const lower = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return true;
+      if (FALSE_VALUES.includes(lower)) return false;
+      return null;
+    }
+    case 'date': {
+      const time = Date.parse(value);
+      return Number.isNaN(time) ? null : new Date(time).toISOString();
+    }
+    default:
+      return String(value);
+  }
+};
+
+const rowGeometry = (row, mapping, delimiter) => {
+  if (mapping.mode === 'wkt') {
+    const text = row[mapping.wkt];
+    if (isBlank(text)) throw new Error('Empty WKT value');
+    return parseWKT(text);
+  }
+
+  const x = parseNumber(row[mapping.x], delimiter);
+  const y = parseNumber(row[mapping.y], delimiter);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new Error(`Unparseable coordinates "${row[mapping.x] ?? ''}", "${row[mapping.y] ?? ''}"`);
+  }
+  if (x < -180 || x > 180 || y < -90 || y > 90) {
+    throw new Error(`Coordinates ${x}, ${y} are outside the WGS 84 range`);
+  }
+  return { type: 'Point', coordinates: [x, y] };
+};
+
+// Build the FeatureCollection; rows whose geometry cannot be read are returned separately.
+// Row numbers are 1-based and count the header as row 1, matching spreadsheet line numbers.
+export const buildFeatureCollection = ({ fields, rows, delimiter }, mapping, types) => {
+  const features = [];
+  const invalidRows = [];
+  const propertyFields = fields.filter(field => !(mapping.mode === 'wkt' && field === mapping.wkt));
+
+  rows.forEach((row, index) => {
+    let geometry;
+    try {
+      geometry = rowGeometry(row, mapping, delimiter);
+    } catch (err) {
+      invalidRows.push({ row: index + 2, reason: err.message });
+      return;
+    }
+
+    const properties = {};
+    propertyFields.forEach(field => {
+      properties[field] = convertValue(row[field], types[field], delimiter);
+    });
+    features.push({ type: 'Feature', geometry, properties });
+  });
+
+  return {
+    geojson: { type: 'FeatureCollection', features },
+    invalidRows,
+  };
+};
@@ -0,0 +1,101 @@
+import { buildFeatureCollection, detectGeometryColumns, inferPropertyTypes, parseDelimitedFile, parseNumber } from './csv';
+
+const fakeFile = (name, text) => ({ name, text: async () => text });
+
+const table = (fields, rows, delimiter = ',') => ({
+  fields,
+  delimiter,
+  rows: rows.map(values => Object.fromEntries(fields.map((field, i) => [field, values[i]]))),
+});
+
+describe('parseNumber', () => {
+  it('parses plain numbers and rejects other text', () => {
+    expect(parseNumber(' -12.5 ', ',')).toBe(-12.5);
+    expect(parseNumber('1e3', ',')).toBe(1000);
+    expect(Number.isNaN(parseNumber('12 km', ','))).toBe(true);
+    expect(Number.isNaN(parseNumber('', ','))).toBe(true);
+  });
+
+  it('accepts decimal commas unless the comma is the delimiter', () => {
+    expect(parseNumber('12,5', ';')).toBe(12.5);
+    expect(Number.isNaN(parseNumber('12,5', ','))).toBe(true);
+  });
+});
+
+describe('parseDelimitedFile', () => {
+  it('detects the delimiter and trims headers', async () => {
+    const parsed = await parseDelimitedFile(fakeFile('stops.csv', ' name ;lat;lon\nA;1,5;2\n\n'));
+    expect(parsed).toEqual({
+      name: 'stops.geojson',
+      delimiter: ';',
+      fields: ['name', 'lat', 'lon'],
+      rows: [{ name: 'A', lat: '1,5', lon: '2' }],
+    });
+  });
+
+  it('rejects files without data rows', async () => {
+    await expect(parseDelimitedFile(fakeFile('empty.csv', 'a,b\n'))).rejects.toThrow('does not contain any data rows');
+  });
+});
+
+describe('detectGeometryColumns', () => {
+  it('finds coordinate columns by name', () => {
+    const detected = detectGeometryColumns(table(['id', 'Longitude', 'Latitude'], [['1', '10', '50']]));
+    expect(detected).toEqual({ mode: 'xy', x: 'Longitude', y: 'Latitude', wkt: '' });
+  });
+
+  it('falls back to numeric columns in coordinate ranges', () => {
+    const detected = detectGeometryColumns(table(['name', 'a', 'b'], [['A', '120', '45'], ['B', '-100', '-30']]));
+    expect(detected).toMatchObject({ mode: 'xy', x: 'a', y: 'b' });
+  });
+
+  it('prefers a WKT column', () => {
+    const detected = detectGeometryColumns(table(['lat', 'lon', 'shape'], [['1', '2', 'POINT (2 1)']]));
+    expect(detected).toEqual({ mode: 'wkt', x: 'lon', y: 'lat', wkt: 'shape' });
+  });
+});
+
+describe('inferPropertyTypes', () => {
+  it('infers types from the values', () => {
+    const types = inferPropertyTypes(table(
+      ['name', 'count', 'open', 'since', 'empty'],
+      [['A', '3', 'yes', '2024-01-02', ''], ['B', '4,5', 'no', '2023-12-31', '']],
+      ';'
+    ));
+    expect(types).toEqual({ name: 'string', count: 'number', open: 'boolean', since: 'date', empty: 'string' });
+  });
+});
+
+describe('buildFeatureCollection', () => {
+  it('builds points and converts property values', () => {
+    const data = table(['name', 'x', 'y', 'open'], [['A', '10', '20', 'Y']]);
+    const { geojson, invalidRows } = buildFeatureCollection(
+      data,
+      { mode: 'xy', x: 'x', y: 'y' },
+      { name: 'string', x: 'number', y: 'number', open: 'boolean' }
+    );
+    expect(invalidRows).toEqual([]);
+    expect(geojson.features).toEqual([{
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [10, 20] },
+      properties: { name: 'A', x: 10, y: 20, open: true },
+    }]);
+  });
+
+  it('reports unreadable rows by spreadsheet line number', () => {
+    const data = table(['id', 'wkt'], [['1', 'POINT (1 2)'], ['2', ''], ['3', 'POINT (1)']]);
+    const { geojson, invalidRows } = buildFeatureCollection(data, { mode: 'wkt', wkt: 'wkt' }, { id: 'number' });
+    expect(geojson.features).toHaveLength(1);
+    expect(geojson.features[0].properties).toEqual({ id: 1 });
+    expect(invalidRows).toEqual([
+      { row: 3, reason: 'Empty WKT value' },
+      { row: 4, reason: 'A position needs at least two numbers' },
+    ]);
+  });
+
+  it('rejects coordinates outside WGS 84', () => {
+    const data = table(['x', 'y'], [['500000', '6000000']]);
+    const { invalidRows } = buildFeatureCollection(data, { mode: 'xy', x: 'x', y: 'y' }, {});
+    expect(invalidRows[0].reason).toMatch(/outside the WGS 84 range/);
+  });
+});
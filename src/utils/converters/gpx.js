@@ -0,0 +1,25 @@
+// utils/converters/gpx.js
+// Converts GPX tracks, routes and waypoints to GeoJSON.
+// Track and route point times are kept in properties.coordinateProperties.times.
+import { gpx } from '@tmcw/togeojson';
+import { parseXML, baseName } from './xml';
+
+export const convertGPX = async (file) => {
+  const collection = gpx(parseXML(await file.text(), 'GPX'));
+
+  // togeojson tags tracks and routes; tag waypoints too so they can be told apart
+  const features = collection.features.map(feature => (
+    feature.properties?._gpxType
+      ? feature
+      : { ...feature, properties: { ...feature.properties, _gpxType: 'wpt' } }
+  ));
+
+  if (features.length === 0) {
+    throw new Error('The GPX file does not contain any tracks, routes or waypoints');
+  }
+
+  return [{
+    name: `${baseName(file.name)}.geojson`,
+    geojson: { type: 'FeatureCollection', features },
+  }];
+};
@@ -0,0 +1,70 @@
+import { convertGPX } from './gpx';
+
+const fakeFile = (name, text) => ({ name, text: async () => text });
+
+const gpx = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">${body}</gpx>`;
+
+const TRIP = gpx(`
+  <wpt lat="47.42" lon="10.98"><ele>2962</ele><name>Summit</name></wpt>
+  <wpt lat="47.40" lon="10.90"><name>Car park</name></wpt>
+  <rte>
+    <name>Planned</name>
+    <rtept lat="47.40" lon="10.90"/>
+    <rtept lat="47.42" lon="10.98"/>
+  </rte>
+  <trk>
+    <name>Ascent</name>
+    <trkseg>
+      <trkpt lat="47.40" lon="10.90"><ele>1000</ele><time>2024-06-01T08:00:00Z</time></trkpt>
+      <trkpt lat="47.41" lon="10.94"><ele>2000</ele><time>2024-06-01T10:00:00Z</time></trkpt>
+      <trkpt lat="47.42" lon="10.98"><ele>2962</ele><time>2024-06-01T12:00:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <trk>
+    <name>Two days</name>
+    <trkseg><trkpt lat="1" lon="1"/><trkpt lat="1" lon="2"/></trkseg>
+    <trkseg><trkpt lat="2" lon="1"/><trkpt lat="2" lon="2"/></trkseg>
+  </trk>`);
+
+describe('convertGPX', () => {
+  it('converts tracks, routes and waypoints and tags each by type', async () => {
+    const [layer, ...rest] = await convertGPX(fakeFile('trip.gpx', TRIP));
+    expect(rest).toEqual([]);
+    expect(layer.name).toBe('trip.geojson');
+
+    const features = layer.geojson.features;
+    expect(features.map(({ properties }) => [properties._gpxType, properties.name]).sort()).toEqual([
+      ['rte', 'Planned'],
+      ['trk', 'Ascent'],
+      ['trk', 'Two days'],
+      ['wpt', 'Car park'],
+      ['wpt', 'Summit'],
+    ]);
+
+    const find = (name) => features.find(({ properties }) => properties.name === name);
+    expect(find('Summit').geometry).toEqual({ type: 'Point', coordinates: [10.98, 47.42, 2962] });
+    expect(find('Planned').geometry.type).toBe('LineString');
+    expect(find('Two days').geometry.type).toBe('MultiLineString');
+  });
+
+  it('keeps track point times', async () => {
+    const [layer] = await convertGPX(fakeFile('trip.gpx', TRIP));
+    const ascent = layer.geojson.features.find(({ properties }) => properties.name === 'Ascent');
+    expect(ascent.geometry.coordinates).toEqual([[10.9, 47.4, 1000], [10.94, 47.41, 2000], [10.98, 47.42, 2962]]);
+    expect(ascent.properties.coordinateProperties.times).toEqual([
+      '2024-06-01T08:00:00Z',
+      '2024-06-01T10:00:00Z',
+      '2024-06-01T12:00:00Z',
+    ]);
+  });
+
+  it('rejects files without tracks, routes or waypoints', async () => {
+    await expect(convertGPX(fakeFile('empty.gpx', gpx('<metadata><name>Empty</name></metadata>'))))
+      .rejects.toThrow('does not contain any tracks, routes or waypoints');
+  });
+
+  it('reports malformed XML', async () => {
+    await expect(convertGPX(fakeFile('broken.gpx', '<gpx><trk>'))).rejects.toThrow(/^Invalid GPX file: /);
+  });
+});
@@ -0,0 +1,60 @@
+// utils/converters/index.js
+// Registry of client-side converters that turn other vector formats into GeoJSON.
+// Each converter receives the selected File and resolves to an array of
+// { name, geojson } layers which are then uploaded through uploadGeoJSON.
+// Converters marked requiresMapping instead expose parse/detectMapping/
+// inferTypes/build so the user can confirm the column mapping first.
+import { convertShapefileZip } from './shapefile';
+import { convertKML, convertKMZ } from './kml';
+import { convertGPX } from './gpx';
+import {
+  parseDelimitedFile,
+  detectGeometryColumns,
+  inferPropertyTypes,
+  buildFeatureCollection,
+} from './csv';
+
+const CONVERTERS = [
+  {
+    label: 'Zipped Shapefile',
+    extensions: ['.zip'],
+    convert: convertShapefileZip,
+  },
+  {
+    label: 'KML',
+    extensions: ['.kml'],
+    convert: convertKML,
+  },
+  {
+    label: 'KMZ',
+    extensions: ['.kmz'],
+    convert: convertKMZ,
+  },
+  {
+    label: 'GPX',
+    extensions: ['.gpx'],
+    convert: convertGPX,
+  },
+  {
+    label: 'CSV',
+    extensions: ['.csv', '.tsv'],
+    requiresMapping: true,
+    parse: parseDelimitedFile,
+    detectMapping: detectGeometryColumns,
+    inferTypes: inferPropertyTypes,
+    build: buildFeatureCollection,
+  },
+];
+
+export const CONVERTIBLE_EXTENSIONS = CONVERTERS.flatMap(converter => converter.extensions);
+
+export const getFileExtension = (fileName) => '.' + fileName.split('.').pop().toLowerCase();
+
+export const findConverter = (file) => {
+  const extension = getFileExtension(file.name);
+  return CONVERTERS.find(converter => converter.extensions.includes(extension)) || null;
+};
+
+// Wrap a converted FeatureCollection in a File so it can go through the normal upload path
+export const toGeoJSONFile = (geojson, name) =>
+  new File([JSON.stringify(geojson)], name, { type: 'application/geo+json' });
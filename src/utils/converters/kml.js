@@ -0,0 +1,58 @@
+// utils/converters/kml.js
+// Converts KML and KMZ (zipped KML) to GeoJSON.
+// Placemarks inside folders are flattened and keep their folder path in a
+// "folder" property; ExtendedData, TimeStamp/TimeSpan and gx:Track times are
+// carried over as properties by togeojson.
+import { kmlWithFolders } from '@tmcw/togeojson';
+import JSZip from 'jszip';
+import { parseXML, baseName } from './xml';
+
+const flattenFolders = (node, path, features) => {
+  node.children.forEach(child => {
+    if (child.type === 'folder') {
+      const name = child.meta?.name || 'Untitled folder';
+      flattenFolders(child, [...path, name], features);
+    } else {
+      features.push(path.length > 0
+        ? { ...child, properties: { ...child.properties, folder: path.join(' / ') } }
+        : child);
+    }
+  });
+  return features;
+};
+
+const kmlTextToGeoJSON = (text) => {
+  const tree = kmlWithFolders(parseXML(text, 'KML'));
+  const features = flattenFolders(tree, [], []);
+
+  if (features.length === 0) {
+    throw new Error('The KML document does not contain any Placemarks');
+  }
+  return { type: 'FeatureCollection', features };
+};
+
+export const convertKML = async (file) => [{
+  name: `${baseName(file.name)}.geojson`,
+  geojson: kmlTextToGeoJSON(await file.text()),
+}];
+
+export const convertKMZ = async (file) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch (err) {
+    throw new Error(`Could not read KMZ archive: ${err.message}`);
+  }
+
+  // By convention the main document is doc.kml, otherwise the first .kml in the archive
+  const kmlFiles = zip.file(/\.kml$/i);
+  const main = zip.file('doc.kml') || kmlFiles[0];
+  if (!main) {
+    throw new Error('The KMZ archive does not contain a .kml document');
+  }
+
+  return [{
+    name: `${baseName(file.name)}.geojson`,
+    geojson: kmlTextToGeoJSON(await main.async('string')),
+  }];
+};
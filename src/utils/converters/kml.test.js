@@ -0,0 +1,95 @@
+import JSZip from 'jszip';
+import { convertKML, convertKMZ } from './kml';
+
+const fakeFile = (name, text) => ({ name, text: async () => text });
+
+const kml = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>${body}</Document>
+</kml>`;
+
+const MIXED = kml(`
+  <Placemark>
+    <name>Summit</name>
+    <ExtendedData><Data name="elevation"><value>2962</value></Data></ExtendedData>
+    <Point><coordinates>10.98,47.42,2962</coordinates></Point>
+  </Placemark>
+  <Folder>
+    <name>Trails</name>
+    <Folder>
+      <name>Easy</name>
+      <Placemark>
+        <name>Valley path</name>
+        <LineString><coordinates>10.9,47.4 10.95,47.41</coordinates></LineString>
+      </Placemark>
+    </Folder>
+    <Placemark>
+      <name>Lake</name>
+      <Polygon><outerBoundaryIs><LinearRing>
+        <coordinates>10.8,47.3 10.9,47.3 10.9,47.35 10.8,47.3</coordinates>
+      </LinearRing></outerBoundaryIs></Polygon>
+    </Placemark>
+  </Folder>
+  <Placemark>
+    <name>Huts</name>
+    <MultiGeometry>
+      <Point><coordinates>10.96,47.41</coordinates></Point>
+      <Point><coordinates>10.97,47.42</coordinates></Point>
+    </MultiGeometry>
+  </Placemark>`);
+
+describe('convertKML', () => {
+  it('converts mixed geometries and flattens folders', async () => {
+    const [layer, ...rest] = await convertKML(fakeFile('alps.kml', MIXED));
+    expect(rest).toEqual([]);
+    expect(layer.name).toBe('alps.geojson');
+
+    const byName = Object.fromEntries(layer.geojson.features.map(feature => [feature.properties.name, feature]));
+    expect(Object.keys(byName)).toEqual(['Summit', 'Valley path', 'Lake', 'Huts']);
+
+    expect(byName.Summit.geometry).toEqual({ type: 'Point', coordinates: [10.98, 47.42, 2962] });
+    expect(byName.Summit.properties).toMatchObject({ elevation: '2962' });
+    expect(byName.Summit.properties.folder).toBeUndefined();
+
+    expect(byName['Valley path'].geometry.type).toBe('LineString');
+    expect(byName['Valley path'].properties.folder).toBe('Trails / Easy');
+    expect(byName.Lake.geometry.type).toBe('Polygon');
+    expect(byName.Lake.properties.folder).toBe('Trails');
+    expect(byName.Huts.geometry).toMatchObject({ type: 'GeometryCollection' });
+    expect(byName.Huts.geometry.geometries).toHaveLength(2);
+  });
+
+  it('rejects documents without placemarks', async () => {
+    await expect(convertKML(fakeFile('empty.kml', kml('<Folder><name>Nothing</name></Folder>'))))
+      .rejects.toThrow('does not contain any Placemarks');
+  });
+
+  it('reports malformed XML', async () => {
+    await expect(convertKML(fakeFile('broken.kml', '<kml><Document>')))
+      .rejects.toThrow(/^Invalid KML file: /);
+  });
+});
+
+describe('convertKMZ', () => {
+  const kmzFile = async (name, entries) => {
+    const zip = new JSZip();
+    Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+    const buffer = await zip.generateAsync({ type: 'arraybuffer' });
+    return { name, arrayBuffer: async () => buffer };
+  };
+
+  it('reads doc.kml from the archive', async () => {
+    const file = await kmzFile('alps.kmz', {
+      'files/overlay.kml': kml('<Placemark><Point><coordinates>0,0</coordinates></Point></Placemark>'),
+      'doc.kml': MIXED,
+    });
+    const [layer] = await convertKMZ(file);
+    expect(layer.name).toBe('alps.geojson');
+    expect(layer.geojson.features).toHaveLength(4);
+  });
+
+  it('explains archives without a KML document', async () => {
+    const file = await kmzFile('photos.kmz', { 'images/icon.png': 'png' });
+    await expect(convertKMZ(file)).rejects.toThrow('does not contain a .kml document');
+  });
+});
@@ -0,0 +1,27 @@
+// utils/converters/shapefile.js
+// Converts a zipped Esri Shapefile (.shp/.dbf/.prj/.cpg) to GeoJSON.
+// shpjs reads the DBF with the code page from the .cpg file and reprojects
+// geometries to WGS 84 using the .prj definition.
+import { parseZip } from 'shpjs';
+
+export const convertShapefileZip = async (file) => {
+  const buffer = await file.arrayBuffer();
+
+  let parsed;
+  try {
+    parsed = await parseZip(buffer);
+  } catch (err) {
+    if (/no layers/i.test(err.message)) {
+      throw new Error('The zip archive does not contain a .shp file');
+    }
+    throw new Error(`Could not read Shapefile: ${err.message}`);
+  }
+
+  // A zip can hold several layers; each becomes its own dataset
+  const layers = Array.isArray(parsed) ? parsed : [parsed];
+
+  return layers.map(({ fileName, ...collection }) => ({
+    name: `${fileName.split('/').pop()}.geojson`,
+    geojson: collection,
+  }));
+};
@@ -0,0 +1,149 @@
+import { TextEncoder } from 'util';
+import JSZip from 'jszip';
+import { convertShapefileZip } from './shapefile';
+
+// Jest resolves shpjs to its ES module source, so load the CommonJS bundle instead.
+// The bundle creates a TextDecoder when it loads, which jsdom lacks.
+jest.mock('shpjs', () => {
+  global.TextDecoder = jest.requireActual('util').TextDecoder;
+  return jest.requireActual('shpjs/dist/shp.js');
+});
+
+const WEB_MERCATOR_PRJ = 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984",'
+  + 'DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],'
+  + 'UNIT["Degree",0.0174532925199433]],PROJECTION["Mercator_Auxiliary_Sphere"],PARAMETER["False_Easting",0.0],'
+  + 'PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],'
+  + 'PARAMETER["Auxiliary_Sphere_Type",0.0],UNIT["Meter",1.0]]';
+
+// Minimal .shp writer for point (1) and polyline (3) records: records is a list of
+// coordinates for points, or of parts (lists of coordinates) for polylines
+const shp = (shapeType, records) => {
+  const contents = records.map(record => {
+    if (shapeType === 1) {
+      const view = new DataView(new ArrayBuffer(20));
+      view.setInt32(0, 1, true);
+      view.setFloat64(4, record[0], true);
+      view.setFloat64(12, record[1], true);
+      return view;
+    }
+    const points = record.flat();
+    const view = new DataView(new ArrayBuffer(44 + 4 * record.length + 16 * points.length));
+    view.setInt32(0, 3, true);
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+      .forEach((value, i) => view.setFloat64(4 + 8 * i, value, true));
+    view.setInt32(36, record.length, true);
+    view.setInt32(40, points.length, true);
+    let start = 0;
+    record.forEach((part, i) => {
+      view.setInt32(44 + 4 * i, start, true);
+      start += part.length;
+    });
+    points.forEach(([x, y], i) => {
+      view.setFloat64(44 + 4 * record.length + 16 * i, x, true);
+      view.setFloat64(52 + 4 * record.length + 16 * i, y, true);
+    });
+    return view;
+  });
+
+  const length = 100 + contents.reduce((sum, content) => sum + 8 + content.byteLength, 0);
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  view.setInt32(0, 9994);
+  view.setInt32(24, length / 2);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, shapeType, true);
+  let offset = 100;
+  contents.forEach((content, i) => {
+    view.setInt32(offset, i + 1);
+    view.setInt32(offset + 4, content.byteLength / 2);
+    bytes.set(new Uint8Array(content.buffer), offset + 8);
+    offset += 8 + content.byteLength;
+  });
+  return bytes;
+};
+
+// Minimal .dbf writer for character fields: fields is [[name, width]], rows are lists of strings
+const dbf = (fields, rows) => {
+  const encoder = new TextEncoder();
+  const recordLength = 1 + fields.reduce((sum, [, width]) => sum + width, 0);
+  const headerLength = 33 + 32 * fields.length;
+  const bytes = new Uint8Array(headerLength + recordLength * rows.length + 1);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = 3;
+  view.setInt32(4, rows.length, true);
+  view.setInt16(8, headerLength, true);
+  view.setInt16(10, recordLength, true);
+  fields.forEach(([name, width], i) => {
+    bytes.set(encoder.encode(name), 32 + 32 * i);
+    bytes[32 + 32 * i + 11] = 'C'.charCodeAt(0);
+    bytes[32 + 32 * i + 16] = width;
+  });
+  bytes[headerLength - 1] = 0x0d;
+  rows.forEach((row, r) => {
+    let offset = headerLength + recordLength * r;
+    bytes[offset++] = 0x20;
+    fields.forEach(([, width], i) => {
+      bytes.fill(0x20, offset, offset + width);
+      bytes.set(encoder.encode(row[i]), offset);
+      offset += width;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes;
+};
+
+const zipFile = async (name, entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content));
+  const buffer = await zip.generateAsync({ type: 'arraybuffer' });
+  return { name, arrayBuffer: async () => buffer };
+};
+
+describe('convertShapefileZip', () => {
+  it('converts points with their attributes, decoded with the .cpg code page', async () => {
+    const file = await zipFile('cities.zip', {
+      'cities.shp': shp(1, [[8.54, 47.37], [2.35, 48.86]]),
+      'cities.dbf': dbf([['NAME', 12]], [['Zürich'], ['Paris']]),
+      'cities.cpg': 'UTF-8',
+    });
+
+    const layers = await convertShapefileZip(file);
+    expect(layers).toHaveLength(1);
+    expect(layers[0].name).toBe('cities.geojson');
+    expect(layers[0].geojson.type).toBe('FeatureCollection');
+    expect(layers[0].geojson.features).toEqual([
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [8.54, 47.37] }, properties: { NAME: 'Zürich' } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [2.35, 48.86] }, properties: { NAME: 'Paris' } },
+    ]);
+  });
+
+  it('reprojects with the .prj and makes a dataset of each layer', async () => {
+    const file = await zipFile('network.zip', {
+      'network/stops.shp': shp(1, [[0, 0]]),
+      'network/routes.shp': shp(3, [[[[0, 0], [111319.49, 0]]], [[[0, 0], [0, 1]], [[1, 1], [1, 2]]]]),
+      'network/routes.prj': WEB_MERCATOR_PRJ,
+    });
+
+    const layers = await convertShapefileZip(file);
+    expect(layers.map(({ name }) => name).sort()).toEqual(['routes.geojson', 'stops.geojson']);
+
+    const routes = layers.find(({ name }) => name === 'routes.geojson').geojson.features;
+    expect(routes[0].geometry.type).toBe('LineString');
+    expect(routes[0].geometry.coordinates[1][0]).toBeCloseTo(1, 5);
+    expect(routes[0].properties).toEqual({});
+    expect(routes[1].geometry.type).toBe('MultiLineString');
+    expect(routes[1].geometry.coordinates).toHaveLength(2);
+  });
+
+  it('explains archives without a shapefile', async () => {
+    const file = await zipFile('notes.zip', { 'readme.txt': 'nothing here' });
+    await expect(convertShapefileZip(file)).rejects.toThrow('does not contain a .shp file');
+  });
+
+  it('reports archives it cannot read', async () => {
+    const file = { name: 'broken.zip', arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer };
+    await expect(convertShapefileZip(file)).rejects.toThrow(/^Could not read Shapefile: /);
+  });
+});
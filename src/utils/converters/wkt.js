@@ -0,0 +1,143 @@
+// utils/converters/wkt.js
+// Minimal Well-Known Text parser producing GeoJSON geometries.
+// Supports 2D/Z/M variants of all simple feature types, EMPTY and an EWKT SRID prefix.
+
+const TYPES = {
+  POINT: 'Point',
+  MULTIPOINT: 'MultiPoint',
+  LINESTRING: 'LineString',
+  MULTILINESTRING: 'MultiLineString',
+  POLYGON: 'Polygon',
+  MULTIPOLYGON: 'MultiPolygon',
+  GEOMETRYCOLLECTION: 'GeometryCollection',
+};
+
+const tokenize = (text) => text.match(/[A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),]/g) || [];
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual !== token) {
+      throw new Error(`Expected "${token}" but found "${actual ?? 'end of input'}"`);
+    }
+  }
+
+  isEmpty() {
+    if (this.peek()?.toUpperCase() === 'EMPTY') {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  position() {
+    const values = [];
+    while (this.peek() !== undefined && /^[-+.\d]/.test(this.peek())) {
+      values.push(Number(this.next()));
+    }
+    if (values.length < 2) {
+      throw new Error('A position needs at least two numbers');
+    }
+    // Keep X, Y and Z; M values are dropped since GeoJSON has no place for them
+    return values.slice(0, 3);
+  }
+
+  // Parses "( item, item, ... )" using the given item parser
+  list(parseItem) {
+    this.expect('(');
+    const items = [parseItem()];
+    while (this.peek() === ',') {
+      this.next();
+      items.push(parseItem());
+    }
+    this.expect(')');
+    return items;
+  }
+
+  // MULTIPOINT allows both "(1 2, 3 4)" and "((1 2), (3 4))"
+  multiPointPosition() {
+    if (this.peek() === '(') {
+      this.next();
+      const position = this.position();
+      this.expect(')');
+      return position;
+    }
+    return this.position();
+  }
+
+  geometry() {
+    const keyword = (this.next() || '').toUpperCase();
+    const type = TYPES[keyword];
+    if (!type) {
+      throw new Error(`Unknown WKT geometry type "${keyword}"`);
+    }
+
+    // Dimension suffix written as a separate word, e.g. "POINT Z (1 2 3)"
+    if (/^(Z|M|ZM)$/i.test(this.peek() || '')) {
+      this.next();
+    }
+
+    if (type === 'GeometryCollection') {
+      return { type, geometries: this.isEmpty() ? [] : this.list(() => this.geometry()) };
+    }
+    if (this.isEmpty()) {
+      return { type, coordinates: [] };
+    }
+
+    const ring = () => this.list(() => this.position());
+    let coordinates;
+    switch (type) {
+      case 'Point':
+        this.expect('(');
+        coordinates = this.position();
+        this.expect(')');
+        break;
+      case 'MultiPoint':
+        coordinates = this.list(() => this.multiPointPosition());
+        break;
+      case 'LineString':
+        coordinates = ring();
+        break;
+      case 'MultiLineString':
+      case 'Polygon':
+        coordinates = this.list(ring);
+        break;
+      case 'MultiPolygon':
+        coordinates = this.list(() => this.list(ring));
+        break;
+      default:
+        break;
+    }
+    return { type, coordinates };
+  }
+}
+
+export const isWKT = (value) =>
+  typeof value === 'string' &&
+  /^\s*(SRID=\d+;)?\s*(POINT|MULTIPOINT|LINESTRING|MULTILINESTRING|POLYGON|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i.test(value);
+
+export const parseWKT = (text) => {
+  const source = String(text).trim().replace(/^SRID=\d+;/i, '');
+  // Fold "POINTZ"/"POINTM" style suffixes into the keyword token
+  const normalized = source.replace(/^([A-Za-z]+?)(ZM|Z|M)(?=\s*\(|\s+EMPTY)/i, '$1 $2');
+
+  const parser = new Parser(tokenize(normalized));
+  const geometry = parser.geometry();
+  if (parser.peek() !== undefined) {
+    throw new Error(`Unexpected "${parser.peek()}" after geometry`);
+  }
+  return geometry;
+};
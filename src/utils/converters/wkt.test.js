@@ -0,0 +1,47 @@
+import { isWKT, parseWKT } from './wkt';
+
+describe('parseWKT', () => {
+  it('parses points, keeping Z and dropping M', () => {
+    expect(parseWKT('POINT (1 2)')).toEqual({ type: 'Point', coordinates: [1, 2] });
+    expect(parseWKT('POINT Z (1 2 3)')).toEqual({ type: 'Point', coordinates: [1, 2, 3] });
+    expect(parseWKT('POINTZM (1 2 3 4)')).toEqual({ type: 'Point', coordinates: [1, 2, 3] });
+  });
+
+  it('parses both MULTIPOINT forms', () => {
+    const expected = { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] };
+    expect(parseWKT('MULTIPOINT (1 2, 3 4)')).toEqual(expected);
+    expect(parseWKT('MULTIPOINT ((1 2), (3 4))')).toEqual(expected);
+  });
+
+  it('parses lines and polygons', () => {
+    expect(parseWKT('LINESTRING (0 0, 1 1)')).toEqual({ type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+    expect(parseWKT('POLYGON ((0 0, 1 0, 1 1, 0 0))')).toEqual({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+    });
+    expect(parseWKT('MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))').coordinates).toHaveLength(2);
+  });
+
+  it('parses geometry collections, EMPTY and EWKT', () => {
+    expect(parseWKT('GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))').geometries.map(g => g.type))
+      .toEqual(['Point', 'LineString']);
+    expect(parseWKT('LINESTRING EMPTY')).toEqual({ type: 'LineString', coordinates: [] });
+    expect(parseWKT('SRID=4326;POINT (-1.5 2e1)')).toEqual({ type: 'Point', coordinates: [-1.5, 20] });
+  });
+
+  it('rejects malformed input', () => {
+    expect(() => parseWKT('CIRCLE (1 2)')).toThrow('Unknown WKT geometry type "CIRCLE"');
+    expect(() => parseWKT('POINT (1)')).toThrow('A position needs at least two numbers');
+    expect(() => parseWKT('POINT (1 2')).toThrow('Expected ")"');
+    expect(() => parseWKT('POINT (1 2) extra')).toThrow('Unexpected "extra" after geometry');
+  });
+});
+
+describe('isWKT', () => {
+  it('recognises WKT values', () => {
+    expect(isWKT('point(1 2)')).toBe(true);
+    expect(isWKT('SRID=4326;POLYGON EMPTY')).toBe(true);
+    expect(isWKT('12.5')).toBe(false);
+    expect(isWKT(null)).toBe(false);
+  });
+});
@@ -0,0 +1,13 @@
+// utils/converters/xml.js
+// Shared XML parsing for the KML and GPX converters
+
+export const parseXML = (text, formatLabel) => {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`Invalid ${formatLabel} file: ${parserError.textContent.trim().split('\n')[0]}`);
+  }
+  return doc;
+};
+
+export const baseName = (fileName) => fileName.split('/').pop().replace(/\.[^.]+$/, '');
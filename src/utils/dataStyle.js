@@ -0,0 +1,350 @@
+// utils/dataStyle.js
+// Data-driven map styling. A style config picks a property and a classification;
+// classifyFeatures() turns it into colours per feature, and createStyle() into the
+// Leaflet style function and the entries shown in the map legend.
+
+// Colour ramps: sequential and diverging ramps are interpolated to the number of
+// classes, qualitative palettes are used as-is and repeat when there are more values.
+export const COLOR_RAMPS = {
+  oranges: { label: 'Oranges', type: 'sequential', colors: ['#fff5eb', '#fdbe85', '#fd8d3c', '#d94701', '#7f2704'] },
+  blues: { label: 'Blues', type: 'sequential', colors: ['#f7fbff', '#9ecae1', '#4292c6', '#08519c', '#08306b'] },
+  greens: { label: 'Greens', type: 'sequential', colors: ['#f7fcf5', '#a1d99b', '#41ab5d', '#006d2c', '#00441b'] },
+  reds: { label: 'Reds', type: 'sequential', colors: ['#fff5f0', '#fcae91', '#fb6a4a', '#cb181d', '#67000d'] },
+  purples: { label: 'Purples', type: 'sequential', colors: ['#fcfbfd', '#bcbddc', '#807dba', '#54278f', '#3f007d'] },
+  viridis: { label: 'Viridis', type: 'sequential', colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+  ylgnbu: { label: 'Yellow-Green-Blue', type: 'sequential', colors: ['#ffffd9', '#c7e9b4', '#41b6c4', '#225ea8', '#081d58'] },
+  rdylbu: { label: 'Red-Yellow-Blue', type: 'diverging', colors: ['#d73027', '#fc8d59', '#ffffbf', '#91bfdb', '#4575b4'] },
+  spectral: { label: 'Spectral', type: 'diverging', colors: ['#d53e4f', '#fc8d59', '#fee08b', '#99d594', '#3288bd'] },
+  category: { label: 'Categories', type: 'qualitative', colors: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'] },
+  pastel: { label: 'Pastel', type: 'qualitative', colors: ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3'] },
+};
+
+export const CLASSIFICATIONS = {
+  categorical: 'Unique values',
+  equal: 'Equal interval',
+  quantile: 'Quantile',
+  jenks: 'Natural breaks (Jenks)',
+};
+
+export const CLASS_COUNTS = [3, 4, 5, 6, 7, 8, 9];
+
+// Categorical styles show the most frequent values; the rest share one colour
+export const MAX_CATEGORIES = 12;
+const OTHER_COLOR = '#bdc3c7';
+const NO_DATA_COLOR = '#95a5a6';
+
+// Jenks is quadratic in the number of values, so large datasets are sampled
+const JENKS_SAMPLE_SIZE = 1000;
+
+// property '' colours features by geometry type, as the map always did before
+export const DEFAULT_STYLE = {
+  property: '',
+  method: 'categorical',
+  classes: 5,
+  ramp: 'oranges',
+  sizeProperty: '',
+  minRadius: 4,
+  maxRadius: 24,
+  fillOpacity: 0.7,
+  strokeWidth: 2,
+  strokeColor: '#2c3e50',
+};
+
+export const DEFAULT_RADIUS = 8;
+
+const GEOMETRY_KINDS = {
+  Point: 'point',
+  MultiPoint: 'point',
+  LineString: 'line',
+  MultiLineString: 'line',
+  Polygon: 'polygon',
+  MultiPolygon: 'polygon',
+};
+
+// Colours of the geometry-type style
+const GEOMETRY_COLORS = {
+  point: { label: 'Points', color: '#f28123' },
+  line: { label: 'Lines', color: '#f28123' },
+  polygon: { label: 'Polygons', color: '#34495e' },
+  other: { label: 'Other geometries', color: '#95a5a6' },
+};
+
+const geometryKind = (feature) => GEOMETRY_KINDS[feature.geometry?.type] || 'other';
+
+const hexToRgb = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+const rgbToHex = (rgb) => `#${rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+// `count` colours from a ramp
+export const rampColors = (rampName, count) => {
+  const ramp = COLOR_RAMPS[rampName] || COLOR_RAMPS[DEFAULT_STYLE.ramp];
+  if (ramp.type === 'qualitative') {
+    return Array.from({ length: count }, (_, i) => ramp.colors[i % ramp.colors.length]);
+  }
+  if (count === 1) return [ramp.colors[Math.floor(ramp.colors.length / 2)]];
+
+  const stops = ramp.colors.map(hexToRgb);
+  return Array.from({ length: count }, (_, i) => {
+    const position = (i / (count - 1)) * (stops.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, stops.length - 1);
+    const t = position - lower;
+    return rgbToHex(stops[lower].map((value, channel) => value + (stops[upper][channel] - value) * t));
+  });
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Class breaks are the upper bounds of each class; the last one is the maximum.
+// `values` must be sorted ascending.
+export const equalIntervalBreaks = (values, classes) => {
+  const min = values[0];
+  const max = values[values.length - 1];
+  const step = (max - min) / classes;
+  return Array.from({ length: classes }, (_, i) => (i === classes - 1 ? max : min + step * (i + 1)));
+};
+
+export const quantileBreaks = (values, classes) =>
+  Array.from({ length: classes }, (_, i) =>
+    (i === classes - 1 ? values[values.length - 1] : values[Math.max(Math.floor(((i + 1) * values.length) / classes) - 1, 0)]));
+
+// Fisher-Jenks natural breaks: minimises the variance within each class
+export const jenksBreaks = (values, classes) => {
+  let data = values;
+  if (data.length > JENKS_SAMPLE_SIZE) {
+    const step = (data.length - 1) / (JENKS_SAMPLE_SIZE - 1);
+    data = Array.from({ length: JENKS_SAMPLE_SIZE }, (_, i) => values[Math.round(i * step)]);
+  }
+  const n = data.length;
+  // More classes than distinct values can't all be filled
+  const distinct = data.filter((value, i) => i === 0 || value !== data[i - 1]).length;
+  const k = Math.min(classes, distinct);
+
+  // lowerLimits[i][j]: index (1-based) where the last class starts in the best split
+  // of the first i values into j classes; variances[i][j]: its total variance
+  const lowerLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variances = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lowerLimits[1][j] = 1;
+    variances[1][j] = 0;
+  }
+
+  for (let i = 2; i <= n; i++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= i; m++) {
+      const lower = i - m + 1;
+      const value = data[lower - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (lower > 1) {
+        for (let j = 2; j <= k; j++) {
+          const candidate = variance + variances[lower - 1][j - 1];
+          if (candidate <= variances[i][j]) {
+            lowerLimits[i][j] = lower;
+            variances[i][j] = candidate;
+          }
+        }
+      }
+    }
+    lowerLimits[i][1] = 1;
+    variances[i][1] = variance;
+  }
+
+  const breaks = new Array(k);
+  breaks[k - 1] = data[n - 1];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const start = lowerLimits[end][j] - 1;
+    breaks[j - 2] = data[start - 1];
+    end = start;
+  }
+  // Ties can still leave a class without a start of its own
+  return breaks.filter(value => value !== undefined);
+};
+
+const BREAK_METHODS = {
+  equal: equalIntervalBreaks,
+  quantile: quantileBreaks,
+  jenks: jenksBreaks,
+};
+
+const formatNumber = (value) => {
+  if (Number.isInteger(value)) return value.toLocaleString();
+  return Number(value.toPrecision(4)).toLocaleString();
+};
+
+const classifyCategorical = (features, property, ramp) => {
+  const counts = new Map();
+  features.forEach(feature => {
+    const value = feature.properties?.[property];
+    if (isEmpty(value)) return;
+    const key = String(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const shown = ranked.slice(0, MAX_CATEGORIES);
+  const colors = rampColors(ramp, shown.length || 1);
+  const colorByValue = new Map(shown.map(([value], i) => [value, colors[i]]));
+
+  const entries = shown.map(([value, count], i) => ({ label: value, color: colors[i], count }));
+  const otherCount = ranked.slice(MAX_CATEGORIES).reduce((sum, [, count]) => sum + count, 0);
+  if (otherCount > 0) {
+    entries.push({ label: `Other (${ranked.length - MAX_CATEGORIES} values)`, color: OTHER_COLOR, count: otherCount });
+  }
+
+  return {
+    entries,
+    scheme: { type: 'categorical', values: Array.from(colorByValue.entries()), otherColor: OTHER_COLOR },
+    colorOf: (value) => (isEmpty(value) ? NO_DATA_COLOR : colorByValue.get(String(value)) || OTHER_COLOR),
+  };
+};
+
+const classifyGraduated = (features, property, method, classes, ramp) => {
+  const values = features
+    .map(feature => feature.properties?.[property])
+    .filter(value => typeof value === 'number' && Number.isFinite(value))
+    .sort((a, b) => a - b);
+  if (values.length === 0) {
+    return { entries: [], scheme: { type: 'graduated', breaks: [], colors: [] }, colorOf: () => NO_DATA_COLOR };
+  }
+
+  // Fewer distinct values than classes (or tied quantiles) would give empty classes
+  const breaks = Array.from(new Set((BREAK_METHODS[method] || equalIntervalBreaks)(values, classes)));
+  const colors = rampColors(ramp, breaks.length);
+  const classOf = (value) => {
+    const index = breaks.findIndex(upper => value <= upper);
+    return index === -1 ? breaks.length - 1 : index;
+  };
+
+  const counts = new Array(breaks.length).fill(0);
+  values.forEach(value => { counts[classOf(value)] += 1; });
+
+  const entries = breaks.map((upper, i) => {
+    const lower = i === 0 ? values[0] : breaks[i - 1];
+    let label = `${i === 0 ? '' : '> '}${formatNumber(lower)} – ${formatNumber(upper)}`;
+    if (i === 0 && lower === upper) label = formatNumber(upper);
+    return { label, color: colors[i], count: counts[i] };
+  });
+
+  return {
+    entries,
+    scheme: { type: 'graduated', breaks, colors },
+    colorOf: (value) => (typeof value === 'number' && Number.isFinite(value) ? colors[classOf(value)] : NO_DATA_COLOR),
+  };
+};
+
+// Point radius proportional to the value's share of the range, by area
+const proportionalSizes = (features, property, minRadius, maxRadius) => {
+  let min = Infinity;
+  let max = -Infinity;
+  features.forEach(feature => {
+    const value = feature.properties?.[property];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+  });
+  if (min > max) return null;
+
+  const radiusOf = (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return minRadius;
+    const share = max === min ? 1 : (value - min) / (max - min);
+    return Math.sqrt(minRadius ** 2 + share * (maxRadius ** 2 - minRadius ** 2));
+  };
+
+  const samples = max === min ? [max] : [min, (min + max) / 2, max];
+  return {
+    radiusOf,
+    min,
+    max,
+    entries: samples.map(value => ({ label: formatNumber(value), radius: radiusOf(value) })),
+  };
+};
+
+// Classify features for a style config. Returns the colour and radius functions
+// used by createStyle(), the legend: { title, entries, sizes }, and the
+// classification as data (`scheme`, `sizes`) for exporting it to other formats.
+export const classifyFeatures = (features, config) => {
+  const { property, method, classes, ramp, sizeProperty, minRadius, maxRadius } = config;
+  const sizes = sizeProperty ? proportionalSizes(features, sizeProperty, minRadius, maxRadius) : null;
+
+  let classification = null;
+  if (property) {
+    classification = method === 'categorical'
+      ? classifyCategorical(features, property, ramp)
+      : classifyGraduated(features, property, method, classes, ramp);
+  }
+
+  let entries;
+  if (classification) {
+    entries = classification.entries;
+    const missing = features.filter(feature => isEmpty(feature.properties?.[property])).length;
+    if (missing > 0) entries = [...entries, { label: 'No value', color: NO_DATA_COLOR, count: missing }];
+  } else {
+    const kinds = new Set(features.filter(feature => feature.geometry).map(geometryKind));
+    entries = Object.keys(GEOMETRY_COLORS)
+      .filter(kind => kinds.has(kind))
+      .map(kind => GEOMETRY_COLORS[kind]);
+  }
+
+  return {
+    colorOf: classification
+      ? (feature) => classification.colorOf(feature.properties?.[property])
+      : (feature) => GEOMETRY_COLORS[geometryKind(feature)].color,
+    radiusOf: sizes
+      ? (feature) => sizes.radiusOf(feature.properties?.[sizeProperty])
+      : () => DEFAULT_RADIUS,
+    scheme: classification
+      ? { ...classification.scheme, property, noDataColor: NO_DATA_COLOR }
+      : { type: 'geometry', colors: Object.fromEntries(Object.entries(GEOMETRY_COLORS).map(([kind, { color }]) => [kind, color])) },
+    sizes: sizes && { property: sizeProperty, min: sizes.min, max: sizes.max, minRadius, maxRadius },
+    legend: {
+      title: property || 'Geometry type',
+      entries,
+      sizes: sizes && { title: sizeProperty, entries: sizes.entries },
+    },
+  };
+};
+
+// Leaflet style function for a config and its classification. Every option is
+// always set because Leaflet merges a new style into the previous one.
+export const createStyle = (config, classification) => (feature) => {
+  const kind = geometryKind(feature);
+  const color = classification.colorOf(feature);
+
+  if (kind === 'line') {
+    // Lines are drawn in the class colour and a little wider than outlines
+    return {
+      color,
+      weight: config.strokeWidth + 2,
+      opacity: Math.max(config.fillOpacity, 0.3),
+      fillOpacity: 0,
+      dashArray: null,
+    };
+  }
+
+  return {
+    radius: classification.radiusOf(feature),
+    fillColor: color,
+    fillOpacity: config.fillOpacity,
+    color: config.strokeColor,
+    weight: config.strokeWidth,
+    opacity: config.strokeWidth > 0 ? 1 : 0,
+    // The geometry-type style keeps the dashed outlines polygons always had
+    dashArray: !config.property && kind !== 'point' ? '3' : null,
+  };
+};
+
+// Drop properties the dataset doesn't have (or can't use that way), e.g. after
+// switching datasets, so a config always describes what is drawn
+export const resolveStyle = (config, columns) => {
+  const typeOf = (key) => columns.find(column => column.key === key)?.type;
+  const resolved = { ...DEFAULT_STYLE, ...config };
+  if (!typeOf(resolved.property)) resolved.property = '';
+  if (resolved.method !== 'categorical' && typeOf(resolved.property) !== 'number') resolved.method = 'categorical';
+  if (typeOf(resolved.sizeProperty) !== 'number') resolved.sizeProperty = '';
+  return resolved;
+};
@@ -0,0 +1,59 @@
+import { DEFAULT_STYLE, classifyFeatures, equalIntervalBreaks, jenksBreaks, quantileBreaks } from './dataStyle';
+
+const features = (values) => values.map(value => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [0, 0] },
+  properties: { value },
+}));
+
+describe('equalIntervalBreaks', () => {
+  it('splits the range evenly', () => {
+    expect(equalIntervalBreaks([0, 3, 10], 5)).toEqual([2, 4, 6, 8, 10]);
+  });
+
+  it('repeats a single value', () => {
+    expect(equalIntervalBreaks([4, 4], 3)).toEqual([4, 4, 4]);
+  });
+});
+
+describe('quantileBreaks', () => {
+  it('puts the same number of values in each class', () => {
+    expect(quantileBreaks([1, 2, 3, 4, 5, 6], 3)).toEqual([2, 4, 6]);
+  });
+
+  it('handles fewer values than classes', () => {
+    expect(quantileBreaks([7], 4)).toEqual([7, 7, 7, 7]);
+    expect(quantileBreaks([1, 2], 3)).toEqual([1, 1, 2]);
+  });
+});
+
+describe('jenksBreaks', () => {
+  it('finds natural groups', () => {
+    expect(jenksBreaks([1, 2, 3, 10, 11, 12, 30], 3)).toEqual([3, 12, 30]);
+  });
+
+  it('returns no more breaks than distinct values', () => {
+    expect(jenksBreaks([1, 1, 1, 2, 2], 5)).toEqual([1, 2]);
+    expect(jenksBreaks([1, 1, 2, 2, 3, 3, 3, 9], 3)).toEqual([2, 3, 9]);
+  });
+
+  it('handles a single value', () => {
+    expect(jenksBreaks([7], 3)).toEqual([7]);
+    expect(jenksBreaks([3, 3, 3], 4)).toEqual([3]);
+  });
+});
+
+describe('classifyFeatures', () => {
+  const config = (method) => ({ ...DEFAULT_STYLE, property: 'value', method, classes: 5 });
+
+  it.each(['quantile', 'jenks'])('labels tied values with %s breaks', (method) => {
+    const { legend } = classifyFeatures(features([1, 1, 1, 2, 2]), config(method));
+    expect(legend.entries.map(entry => entry.label)).toEqual(['1', '> 1 – 2']);
+    expect(legend.entries.map(entry => entry.count)).toEqual([3, 2]);
+  });
+
+  it('puts a single value in one class', () => {
+    const { legend } = classifyFeatures(features([5]), config('jenks'));
+    expect(legend.entries).toEqual([expect.objectContaining({ label: '5', count: 1 })]);
+  });
+});
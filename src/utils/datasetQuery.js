@@ -0,0 +1,140 @@
+// utils/datasetQuery.js
+// Search, sort, filter and paging state for the dataset list, stored in the URL query string.
+// The API only pages in upload order, so any other view is computed client-side
+// from the full dataset list.
+
+export const SORT_FIELDS = {
+  date: { label: 'Upload date', key: 'uploaded_at' },
+  name: { label: 'Name', key: 'name' },
+  features: { label: 'Feature count', key: 'feature_count' },
+  size: { label: 'File size', key: 'file_size_bytes' },
+};
+
+export const DEFAULT_QUERY = {
+  q: '',
+  sort: 'date',
+  dir: 'desc',
+  from: '',
+  to: '',
+  minFeatures: '',
+  maxFeatures: '',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const readNumber = (value) => (value !== null && value !== '' && Number.isFinite(Number(value)) ? value : '');
+
+export const parseDatasetQuery = (searchParams) => ({
+  q: searchParams.get('q') || '',
+  sort: SORT_FIELDS[searchParams.get('sort')] ? searchParams.get('sort') : DEFAULT_QUERY.sort,
+  dir: searchParams.get('dir') === 'asc' ? 'asc' : 'desc',
+  from: DATE_PATTERN.test(searchParams.get('from') || '') ? searchParams.get('from') : '',
+  to: DATE_PATTERN.test(searchParams.get('to') || '') ? searchParams.get('to') : '',
+  minFeatures: readNumber(searchParams.get('minFeatures')),
+  maxFeatures: readNumber(searchParams.get('maxFeatures')),
+});
+
+// Write the query into a copy of searchParams, leaving out default values
+// so shared URLs stay short. Other parameters are kept.
+export const applyDatasetQuery = (searchParams, query) => {
+  const next = new URLSearchParams(searchParams);
+  Object.keys(DEFAULT_QUERY).forEach(name => {
+    const value = query[name];
+    if (value === undefined || value === null || value === '' || value === DEFAULT_QUERY[name]) {
+      next.delete(name);
+    } else {
+      next.set(name, value);
+    }
+  });
+  return next;
+};
+
+// True when the server's own ordering and paging can be used as-is
+export const isServerOrder = (query) =>
+  Object.keys(DEFAULT_QUERY).every(name => query[name] === DEFAULT_QUERY[name]);
+
+export const hasActiveFilters = (query) =>
+  Boolean(query.q || query.from || query.to || query.minFeatures !== '' || query.maxFeatures !== '');
+
+// uploaded_at has no timezone suffix; compare on the calendar date only
+const uploadDate = (dataset) => (dataset.uploaded_at || '').slice(0, 10);
+
+export const filterDatasets = (datasets, query) => {
+  const terms = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const minFeatures = query.minFeatures === '' ? null : Number(query.minFeatures);
+  const maxFeatures = query.maxFeatures === '' ? null : Number(query.maxFeatures);
+
+  return datasets.filter(dataset => {
+    if (terms.length > 0) {
+      const text = `${dataset.name || ''} ${dataset.description || ''}`.toLowerCase();
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    const date = uploadDate(dataset);
+    if (query.from && date < query.from) return false;
+    if (query.to && date > query.to) return false;
+    if (minFeatures !== null && (dataset.feature_count ?? 0) < minFeatures) return false;
+    if (maxFeatures !== null && (dataset.feature_count ?? 0) > maxFeatures) return false;
+    return true;
+  });
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  }
+  return a < b ? -1 : 1;
+};
+
+export const sortDatasets = (datasets, query) => {
+  const { key } = SORT_FIELDS[query.sort];
+  const direction = query.dir === 'asc' ? 1 : -1;
+  const isMissing = (value) => value === null || value === undefined;
+  // Missing values go last in either direction; ties fall back to newest first
+  return [...datasets].sort((a, b) =>
+    (isMissing(a[key]) - isMissing(b[key])) ||
+    direction * compareValues(a[key], b[key]) ||
+    compareValues(b.id, a.id));
+};
+
+export const queryDatasets = (datasets, query) => sortDatasets(filterDatasets(datasets, query), query);
+
+// Paging and presentation of the list. page is 1-based in the URL.
+export const PAGE_SIZES = [25, 50, 100, 250, 500, 1000];
+export const LAYOUTS = ['grid', 'table'];
+
+export const DEFAULT_VIEW = {
+  page: 1,
+  size: 100,
+  layout: 'grid',
+  infinite: false,
+};
+
+export const parseListView = (searchParams) => {
+  const page = Number(searchParams.get('page'));
+  const size = Number(searchParams.get('size'));
+  return {
+    page: Number.isInteger(page) && page > 0 ? page : DEFAULT_VIEW.page,
+    size: PAGE_SIZES.includes(size) ? size : DEFAULT_VIEW.size,
+    layout: LAYOUTS.includes(searchParams.get('layout')) ? searchParams.get('layout') : DEFAULT_VIEW.layout,
+    infinite: searchParams.get('scroll') === 'infinite',
+  };
+};
+
+export const applyListView = (searchParams, view) => {
+  const next = new URLSearchParams(searchParams);
+  const values = {
+    page: view.page === DEFAULT_VIEW.page ? null : view.page,
+    size: view.size === DEFAULT_VIEW.size ? null : view.size,
+    layout: view.layout === DEFAULT_VIEW.layout ? null : view.layout,
+    scroll: view.infinite ? 'infinite' : null,
+  };
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === null) {
+      next.delete(name);
+    } else {
+      next.set(name, value);
+    }
+  });
+  return next;
+};
@@ -0,0 +1,101 @@
+import {
+  DEFAULT_QUERY,
+  applyDatasetQuery,
+  applyListView,
+  filterDatasets,
+  isServerOrder,
+  parseDatasetQuery,
+  parseListView,
+  queryDatasets,
+  sortDatasets,
+} from './datasetQuery';
+
+const DATASETS = [
+  { id: 1, name: 'Parks', description: 'City parks', uploaded_at: '2024-01-10T09:00:00', feature_count: 120, file_size_bytes: 5000 },
+  { id: 2, name: 'rivers', description: null, uploaded_at: '2024-03-02T12:00:00', feature_count: 8, file_size_bytes: null },
+  { id: 3, name: 'Bus stops 10', description: 'Transit', uploaded_at: '2024-03-05T08:30:00', feature_count: 950, file_size_bytes: 20000 },
+  { id: 4, name: 'Bus stops 9', description: 'Transit', uploaded_at: '2024-03-05T10:00:00', feature_count: 950, file_size_bytes: 18000 },
+];
+
+const query = (overrides) => ({ ...DEFAULT_QUERY, ...overrides });
+const ids = (datasets) => datasets.map(dataset => dataset.id);
+
+describe('parseDatasetQuery', () => {
+  it('falls back to defaults for missing or invalid values', () => {
+    const params = new URLSearchParams('sort=colour&dir=sideways&from=yesterday&minFeatures=abc');
+    expect(parseDatasetQuery(params)).toEqual(DEFAULT_QUERY);
+  });
+
+  it('reads valid values', () => {
+    const params = new URLSearchParams('q=bus&sort=name&dir=asc&from=2024-03-01&maxFeatures=100');
+    expect(parseDatasetQuery(params)).toEqual(query({ q: 'bus', sort: 'name', dir: 'asc', from: '2024-03-01', maxFeatures: '100' }));
+  });
+});
+
+describe('applyDatasetQuery', () => {
+  it('leaves out defaults and keeps other parameters', () => {
+    const params = applyDatasetQuery(new URLSearchParams('page=3&sort=name'), query({ q: 'bus' }));
+    expect(params.toString()).toBe('page=3&q=bus');
+  });
+
+  it('round-trips through parseDatasetQuery', () => {
+    const original = query({ q: 'parks', sort: 'size', dir: 'asc', to: '2024-12-31', minFeatures: '5' });
+    expect(parseDatasetQuery(applyDatasetQuery(new URLSearchParams(), original))).toEqual(original);
+  });
+});
+
+describe('isServerOrder', () => {
+  it('is true only for the default query', () => {
+    expect(isServerOrder(DEFAULT_QUERY)).toBe(true);
+    expect(isServerOrder(query({ dir: 'asc' }))).toBe(false);
+  });
+});
+
+describe('filterDatasets', () => {
+  it('matches every search term in the name or description', () => {
+    expect(ids(filterDatasets(DATASETS, query({ q: 'bus transit' })))).toEqual([3, 4]);
+    expect(ids(filterDatasets(DATASETS, query({ q: 'city' })))).toEqual([1]);
+  });
+
+  it('filters by upload date, inclusive', () => {
+    expect(ids(filterDatasets(DATASETS, query({ from: '2024-03-02', to: '2024-03-02' })))).toEqual([2]);
+  });
+
+  it('filters by feature count', () => {
+    expect(ids(filterDatasets(DATASETS, query({ minFeatures: '10', maxFeatures: '500' })))).toEqual([1]);
+    expect(ids(filterDatasets(DATASETS, query({ maxFeatures: '0' })))).toEqual([]);
+  });
+});
+
+describe('sortDatasets', () => {
+  it('sorts names naturally and case-insensitively', () => {
+    expect(ids(sortDatasets(DATASETS, query({ sort: 'name', dir: 'asc' })))).toEqual([4, 3, 1, 2]);
+  });
+
+  it('puts missing values last in either direction', () => {
+    expect(ids(sortDatasets(DATASETS, query({ sort: 'size', dir: 'asc' })))).toEqual([1, 4, 3, 2]);
+    expect(ids(sortDatasets(DATASETS, query({ sort: 'size', dir: 'desc' })))).toEqual([3, 4, 1, 2]);
+  });
+
+  it('breaks ties newest first', () => {
+    expect(ids(sortDatasets(DATASETS, query({ sort: 'features', dir: 'desc' })))).toEqual([4, 3, 1, 2]);
+  });
+
+  it('does not modify its input', () => {
+    const copy = [...DATASETS];
+    queryDatasets(DATASETS, query({ sort: 'name' }));
+    expect(DATASETS).toEqual(copy);
+  });
+});
+
+describe('list view', () => {
+  it('parses and writes paging and layout', () => {
+    const view = parseListView(new URLSearchParams('page=2&size=250&layout=table&scroll=infinite'));
+    expect(view).toEqual({ page: 2, size: 250, layout: 'table', infinite: true });
+    expect(applyListView(new URLSearchParams('q=x'), view).toString()).toBe('q=x&page=2&size=250&layout=table&scroll=infinite');
+  });
+
+  it('ignores invalid values', () => {
+    expect(parseListView(new URLSearchParams('page=-1&size=7&layout=list'))).toEqual({ page: 1, size: 100, layout: 'grid', infinite: false });
+  });
+});
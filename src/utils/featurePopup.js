@@ -0,0 +1,23 @@
+// utils/featurePopup.js
+// Popup content listing a feature's properties. Property names and values come from
+// uploaded files, so the popup is built from DOM nodes instead of an HTML string.
+
+const bold = (text) => {
+  const element = document.createElement('b');
+  element.textContent = text;
+  return element;
+};
+
+// title, if given, is shown above the properties
+export const featurePopup = (feature, title) => {
+  const lines = Object.entries(feature.properties || {})
+    .map(([key, value]) => [bold(`${key}:`), document.createTextNode(` ${value}`)]);
+  if (title !== undefined && title !== null) lines.unshift([bold(title)]);
+
+  const container = document.createElement('div');
+  lines.forEach((nodes, index) => {
+    if (index > 0) container.appendChild(document.createElement('br'));
+    container.append(...nodes);
+  });
+  return container;
+};
@@ -0,0 +1,22 @@
+import { featurePopup } from './featurePopup';
+
+const feature = (properties) => ({ type: 'Feature', geometry: null, properties });
+
+describe('featurePopup', () => {
+  it('lists the properties under an optional title', () => {
+    expect(featurePopup(feature({ name: 'Park', area: 12 })).innerHTML)
+      .toBe('<b>name:</b> Park<br><b>area:</b> 12');
+    expect(featurePopup(feature({ kind: 'tree' }), 'Trees').innerHTML)
+      .toBe('<b>Trees</b><br><b>kind:</b> tree');
+  });
+
+  it('shows markup in names and values as text', () => {
+    const popup = featurePopup(feature({ '<i>key</i>': '<img src=x onerror="alert(1)">' }), '<script>x</script>');
+    expect(popup.querySelector('img, i, script')).toBeNull();
+    expect(popup.textContent).toBe('<script>x</script><i>key</i>: <img src=x onerror="alert(1)">');
+  });
+
+  it('handles features without properties', () => {
+    expect(featurePopup(feature(null)).innerHTML).toBe('');
+  });
+});
@@ -0,0 +1,29 @@
+// utils/format.js
+// Human-readable formatting helpers shared across pages
+
+export const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes < 0) return 'N/A';
+  if (bytes < 1024) return `${bytes} B`;
+
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(2)} ${units[unit]}`;
+};
+
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 0) return '--';
+  // Round once up front, so 59.5s reads "1m 0s" rather than "60s"
+  const total = Math.ceil(seconds);
+  if (total < 60) return `${total}s`;
+
+  const minutes = Math.floor(total / 60);
+  const remaining = total % 60;
+  if (minutes < 60) return `${minutes}m ${remaining}s`;
+
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
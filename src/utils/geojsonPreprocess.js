@@ -0,0 +1,86 @@
+// utils/geojsonPreprocess.js
+// Preparation applied to downloaded GeoJSON before it reaches the map. Runs in the
+// parsing worker (services/geojson.worker.js), or on the main thread where workers
+// aren't available, so it must not touch the DOM or Leaflet.
+
+const toFeatureCollection = (data) => {
+  if (data?.type === 'FeatureCollection') return data;
+  if (data?.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+  if (data?.type) return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: data, properties: {} }] };
+  throw new SyntaxError('The response is not GeoJSON.');
+};
+
+// Grow bbox ([w, s, e, n]) by every position in a coordinates array of any depth
+const extendBbox = (bbox, coordinates) => {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) return;
+  if (typeof coordinates[0] === 'number') {
+    const [x, y] = coordinates;
+    if (x < bbox[0]) bbox[0] = x;
+    if (y < bbox[1]) bbox[1] = y;
+    if (x > bbox[2]) bbox[2] = x;
+    if (y > bbox[3]) bbox[3] = y;
+    return;
+  }
+  for (let i = 0; i < coordinates.length; i++) extendBbox(bbox, coordinates[i]);
+};
+
+const extendGeometry = (bbox, geometry) => {
+  if (!geometry) return;
+  if (geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach(child => extendGeometry(bbox, child));
+  } else {
+    extendBbox(bbox, geometry.coordinates);
+  }
+};
+
+// Bounding box of all features as [west, south, east, north], or null when there are no coordinates
+export const computeBbox = (features) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  features.forEach(feature => extendGeometry(bbox, feature.geometry));
+  return bbox[0] === Infinity ? null : bbox;
+};
+
+const countCoordinates = (coordinates) => {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) return 0;
+  if (typeof coordinates[0] === 'number') return 1;
+  let count = 0;
+  for (let i = 0; i < coordinates.length; i++) count += countCoordinates(coordinates[i]);
+  return count;
+};
+
+const countGeometry = (geometry) => {
+  if (!geometry) return 0;
+  if (geometry.type === 'GeometryCollection') {
+    return (geometry.geometries || []).reduce((sum, child) => sum + countGeometry(child), 0);
+  }
+  return countCoordinates(geometry.coordinates);
+};
+
+// Number of positions (vertices) in the features' geometries
+export const countPositions = (features) =>
+  features.reduce((sum, feature) => sum + countGeometry(feature.geometry), 0);
+
+// Normalise to a FeatureCollection whose features all have a properties object,
+// with a bbox so the map can fit the data without walking every geometry again.
+// Throws a SyntaxError for anything that isn't GeoJSON.
+export const preprocessGeoJSON = (data) => {
+  const collection = toFeatureCollection(data);
+  if (!Array.isArray(collection.features)) throw new SyntaxError('The response is not GeoJSON.');
+
+  collection.features.forEach(feature => {
+    if (!feature.properties || typeof feature.properties !== 'object') feature.properties = {};
+  });
+  if (!Array.isArray(collection.bbox) || collection.bbox.length < 4) {
+    const bbox = computeBbox(collection.features);
+    if (bbox) collection.bbox = bbox;
+  }
+  return collection;
+};
+
+// Leaflet bounds ([[south, west], [north, east]]) from a GeoJSON bbox; 3D bboxes
+// list the minimum and maximum of all axes in turn
+export const bboxToBounds = (bbox) => {
+  if (!Array.isArray(bbox) || bbox.length < 4) return null;
+  const half = bbox.length / 2;
+  return [[bbox[1], bbox[0]], [bbox[half + 1], bbox[half]]];
+};
@@ -0,0 +1,52 @@
+import { bboxToBounds, computeBbox, countPositions, preprocessGeoJSON } from './geojsonPreprocess';
+
+const feature = (geometry, properties = {}) => ({ type: 'Feature', geometry, properties });
+
+const LINE = { type: 'LineString', coordinates: [[-10, 5], [20, -15]] };
+const POLYGON = { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 30], [0, 0]]] };
+
+describe('computeBbox', () => {
+  it('covers every position, including geometry collections', () => {
+    const collection = { type: 'GeometryCollection', geometries: [LINE, { type: 'Point', coordinates: [50, 60] }] };
+    expect(computeBbox([feature(collection), feature(POLYGON)])).toEqual([-10, -15, 50, 60]);
+  });
+
+  it('is null without coordinates', () => {
+    expect(computeBbox([feature(null), feature({ type: 'Point', coordinates: [] })])).toBeNull();
+  });
+});
+
+describe('countPositions', () => {
+  it('counts the vertices of all geometries', () => {
+    expect(countPositions([feature(LINE), feature(POLYGON), feature(null)])).toBe(6);
+  });
+});
+
+describe('preprocessGeoJSON', () => {
+  it('wraps single features and fills in missing properties', () => {
+    const result = preprocessGeoJSON({ type: 'Feature', geometry: LINE, properties: null });
+    expect(result).toEqual({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: LINE, properties: {} }],
+      bbox: [-10, -15, 20, 5],
+    });
+  });
+
+  it('keeps a bbox that is already there', () => {
+    const collection = { type: 'FeatureCollection', features: [feature(LINE)], bbox: [0, 0, 1, 1] };
+    expect(preprocessGeoJSON(collection).bbox).toEqual([0, 0, 1, 1]);
+  });
+
+  it('rejects data that is not GeoJSON', () => {
+    expect(() => preprocessGeoJSON({ name: 'x' })).toThrow(SyntaxError);
+    expect(() => preprocessGeoJSON({ type: 'FeatureCollection' })).toThrow('The response is not GeoJSON.');
+  });
+});
+
+describe('bboxToBounds', () => {
+  it('converts 2D and 3D bboxes to Leaflet bounds', () => {
+    expect(bboxToBounds([-10, -15, 20, 5])).toEqual([[-15, -10], [5, 20]]);
+    expect(bboxToBounds([-10, -15, 0, 20, 5, 100])).toEqual([[-15, -10], [5, 20]]);
+    expect(bboxToBounds(null)).toBeNull();
+  });
+});
@@ -0,0 +1,253 @@
+// utils/geojsonValidator.js
+// Client-side GeoJSON validation following RFC 7946.
+// Issues are reported as errors (upload is blocked) or warnings (upload allowed).
+
+const GEOMETRY_TYPES = [
+  'Point',
+  'MultiPoint',
+  'LineString',
+  'MultiLineString',
+  'Polygon',
+  'MultiPolygon',
+  'GeometryCollection',
+];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Signed ring area via the shoelace formula; positive means counterclockwise
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+};
+
+const createReport = () => {
+  const errors = [];
+  const warnings = [];
+
+  return {
+    errors,
+    warnings,
+    error: (message, path, featureIndex = null) => errors.push({ message, path, featureIndex }),
+    warning: (message, path, featureIndex = null) => warnings.push({ message, path, featureIndex }),
+  };
+};
+
+const validatePosition = (position, path, featureIndex, report) => {
+  if (!Array.isArray(position)) {
+    report.error('Position must be an array of numbers', path, featureIndex);
+    return false;
+  }
+  if (position.length < 2) {
+    report.error('Position must have at least two elements (longitude, latitude)', path, featureIndex);
+    return false;
+  }
+  if (!position.every(value => typeof value === 'number' && Number.isFinite(value))) {
+    report.error('Position elements must be finite numbers', path, featureIndex);
+    return false;
+  }
+  if (position.length > 3) {
+    report.warning('Position has more than three elements; extra values will be ignored', path, featureIndex);
+  }
+
+  const [lng, lat] = position;
+  if (lng < -180 || lng > 180) {
+    report.error(`Longitude ${lng} is outside the range -180 to 180`, path, featureIndex);
+  }
+  if (lat < -90 || lat > 90) {
+    report.error(`Latitude ${lat} is outside the range -90 to 90`, path, featureIndex);
+  }
+  return true;
+};
+
+const validatePositions = (positions, path, featureIndex, report) => {
+  if (!Array.isArray(positions)) {
+    report.error('Expected an array of positions', path, featureIndex);
+    return false;
+  }
+  return positions
+    .map((position, i) => validatePosition(position, `${path}[${i}]`, featureIndex, report))
+    .every(Boolean);
+};
+
+const validateLineString = (line, path, featureIndex, report) => {
+  if (!validatePositions(line, path, featureIndex, report)) return;
+  if (line.length < 2) {
+    report.error('LineString must have at least two positions', path, featureIndex);
+  }
+};
+
+const validateRing = (ring, path, featureIndex, report, isExterior) => {
+  if (!validatePositions(ring, path, featureIndex, report)) return;
+  if (ring.length < 4) {
+    report.error('Linear ring must have at least four positions', path, featureIndex);
+    return;
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    report.error('Linear ring is not closed (first and last positions differ)', path, featureIndex);
+    return;
+  }
+
+  const area = ringArea(ring);
+  if (area === 0) {
+    report.warning('Linear ring has zero area', path, featureIndex);
+  } else if (isExterior && area < 0) {
+    report.warning('Exterior ring should be counterclockwise (right-hand rule)', path, featureIndex);
+  } else if (!isExterior && area > 0) {
+    report.warning('Interior ring (hole) should be clockwise (right-hand rule)', path, featureIndex);
+  }
+};
+
+const validatePolygon = (rings, path, featureIndex, report) => {
+  if (!Array.isArray(rings)) {
+    report.error('Polygon coordinates must be an array of linear rings', path, featureIndex);
+    return;
+  }
+  rings.forEach((ring, i) => validateRing(ring, `${path}[${i}]`, featureIndex, report, i === 0));
+};
+
+const validateGeometry = (geometry, path, featureIndex, report) => {
+  if (!isObject(geometry)) {
+    report.error('Geometry must be an object or null', path, featureIndex);
+    return;
+  }
+  if (!GEOMETRY_TYPES.includes(geometry.type)) {
+    report.error(`Unknown geometry type "${geometry.type}"`, `${path}.type`, featureIndex);
+    return;
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries)) {
+      report.error('GeometryCollection must have a "geometries" array', `${path}.geometries`, featureIndex);
+      return;
+    }
+    if (geometry.geometries.length === 0) {
+      report.warning('GeometryCollection is empty', `${path}.geometries`, featureIndex);
+    }
+    geometry.geometries.forEach((child, i) =>
+      validateGeometry(child, `${path}.geometries[${i}]`, featureIndex, report)
+    );
+    return;
+  }
+
+  const coordinates = geometry.coordinates;
+  const coordsPath = `${path}.coordinates`;
+  if (!Array.isArray(coordinates)) {
+    report.error(`${geometry.type} must have a "coordinates" array`, coordsPath, featureIndex);
+    return;
+  }
+  if (coordinates.length === 0) {
+    report.warning(`${geometry.type} has empty coordinates`, coordsPath, featureIndex);
+    return;
+  }
+
+  switch (geometry.type) {
+    case 'Point':
+      validatePosition(coordinates, coordsPath, featureIndex, report);
+      break;
+    case 'MultiPoint':
+      validatePositions(coordinates, coordsPath, featureIndex, report);
+      break;
+    case 'LineString':
+      validateLineString(coordinates, coordsPath, featureIndex, report);
+      break;
+    case 'MultiLineString':
+      coordinates.forEach((line, i) =>
+        validateLineString(line, `${coordsPath}[${i}]`, featureIndex, report)
+      );
+      break;
+    case 'Polygon':
+      validatePolygon(coordinates, coordsPath, featureIndex, report);
+      break;
+    case 'MultiPolygon':
+      coordinates.forEach((polygon, i) =>
+        validatePolygon(polygon, `${coordsPath}[${i}]`, featureIndex, report)
+      );
+      break;
+    default:
+      break;
+  }
+};
+
+const validateFeature = (feature, index, report) => {
+  const path = `features[${index}]`;
+
+  if (!isObject(feature)) {
+    report.error('Feature must be an object', path, index);
+    return;
+  }
+  if (feature.type !== 'Feature') {
+    report.error(`Expected type "Feature" but found "${feature.type}"`, `${path}.type`, index);
+  }
+
+  if (!('geometry' in feature)) {
+    report.error('Feature is missing the "geometry" member', `${path}.geometry`, index);
+  } else if (feature.geometry === null) {
+    report.warning('Feature has a null geometry', `${path}.geometry`, index);
+  } else {
+    validateGeometry(feature.geometry, `${path}.geometry`, index, report);
+  }
+
+  if (!('properties' in feature)) {
+    report.error('Feature is missing the "properties" member', `${path}.properties`, index);
+  } else if (feature.properties === null) {
+    report.warning('Feature has null properties', `${path}.properties`, index);
+  } else if (!isObject(feature.properties)) {
+    report.error('Feature properties must be an object or null', `${path}.properties`, index);
+  }
+};
+
+// Validate an already parsed GeoJSON object
+export const validateGeoJSONObject = (geojson) => {
+  const report = createReport();
+
+  if (!isObject(geojson)) {
+    report.error('GeoJSON root must be an object', '$');
+  } else if (geojson.type !== 'FeatureCollection') {
+    report.error(`Expected a FeatureCollection but found "${geojson.type}"`, 'type');
+  } else if (!Array.isArray(geojson.features)) {
+    report.error('FeatureCollection must have a "features" array', 'features');
+  } else {
+    if (geojson.features.length === 0) {
+      report.warning('FeatureCollection contains no features', 'features');
+    }
+    if ('crs' in geojson) {
+      report.warning('The "crs" member is not part of RFC 7946; coordinates are assumed to be WGS 84', 'crs');
+    }
+    geojson.features.forEach((feature, index) => validateFeature(feature, index, report));
+  }
+
+  return {
+    valid: report.errors.length === 0,
+    errors: report.errors,
+    warnings: report.warnings,
+    featureCount: Array.isArray(geojson?.features) ? geojson.features.length : 0,
+  };
+};
+
+// Parse and validate raw GeoJSON text
+export const validateGeoJSONText = (text) => {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (err) {
+    return {
+      valid: false,
+      errors: [{ message: `Invalid JSON: ${err.message}`, path: '$', featureIndex: null }],
+      warnings: [],
+      featureCount: 0,
+    };
+  }
+  return { ...validateGeoJSONObject(geojson), geojson };
+};
+
+// Read and validate a File selected by the user
+export const validateGeoJSONFile = async (file) => {
+  const text = await file.text();
+  return validateGeoJSONText(text);
+};
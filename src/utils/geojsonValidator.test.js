@@ -0,0 +1,76 @@
+import { validateGeoJSONObject, validateGeoJSONText } from './geojsonValidator';
+
+const feature = (geometry, properties = {}) => ({ type: 'Feature', geometry, properties });
+const collection = (...features) => ({ type: 'FeatureCollection', features });
+const messages = (issues) => issues.map(issue => issue.message);
+
+const SQUARE = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+
+describe('validateGeoJSONObject', () => {
+  it('accepts a valid FeatureCollection', () => {
+    const result = validateGeoJSONObject(collection(
+      feature({ type: 'Point', coordinates: [10, 20] }),
+      feature({ type: 'Polygon', coordinates: [SQUARE] })
+    ));
+    expect(result).toEqual({ valid: true, errors: [], warnings: [], featureCount: 2 });
+  });
+
+  it('requires a FeatureCollection root', () => {
+    const result = validateGeoJSONObject(feature({ type: 'Point', coordinates: [0, 0] }));
+    expect(result.valid).toBe(false);
+    expect(messages(result.errors)).toEqual(['Expected a FeatureCollection but found "Feature"']);
+  });
+
+  it('reports positions out of range with their path and feature', () => {
+    const result = validateGeoJSONObject(collection(
+      feature({ type: 'Point', coordinates: [0, 0] }),
+      feature({ type: 'LineString', coordinates: [[0, 0], [200, 95]] })
+    ));
+    expect(result.errors).toEqual([
+      { message: 'Longitude 200 is outside the range -180 to 180', path: 'features[1].geometry.coordinates[1]', featureIndex: 1 },
+      { message: 'Latitude 95 is outside the range -90 to 90', path: 'features[1].geometry.coordinates[1]', featureIndex: 1 },
+    ]);
+  });
+
+  it('reports unclosed rings', () => {
+    const result = validateGeoJSONObject(collection(
+      feature({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] })
+    ));
+    expect(messages(result.errors)).toEqual(['Linear ring is not closed (first and last positions differ)']);
+  });
+
+  it('warns about winding order and empty collections without failing', () => {
+    const clockwise = validateGeoJSONObject(collection(
+      feature({ type: 'Polygon', coordinates: [[...SQUARE].reverse()] })
+    ));
+    expect(clockwise.valid).toBe(true);
+    expect(messages(clockwise.warnings)).toEqual(['Exterior ring should be counterclockwise (right-hand rule)']);
+
+    const empty = validateGeoJSONObject(collection());
+    expect(empty.valid).toBe(true);
+    expect(messages(empty.warnings)).toEqual(['FeatureCollection contains no features']);
+  });
+
+  it('checks feature members', () => {
+    const result = validateGeoJSONObject(collection({ type: 'Feature', geometry: { type: 'Circle', coordinates: [] } }));
+    expect(messages(result.errors)).toEqual([
+      'Unknown geometry type "Circle"',
+      'Feature is missing the "properties" member',
+    ]);
+  });
+});
+
+describe('validateGeoJSONText', () => {
+  it('reports invalid JSON', () => {
+    const result = validateGeoJSONText('{"type":');
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].message).toMatch(/^Invalid JSON: /);
+  });
+
+  it('returns the parsed GeoJSON', () => {
+    const text = JSON.stringify(collection(feature(null)));
+    const result = validateGeoJSONText(text);
+    expect(result.geojson).toEqual(JSON.parse(text));
+    expect(messages(result.warnings)).toEqual(['Feature has a null geometry']);
+  });
+});
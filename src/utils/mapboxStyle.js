@@ -0,0 +1,121 @@
+// utils/mapboxStyle.js
+// Converts a map style (see dataStyle.js) into a Mapbox GL style document so the
+// same look can be used outside GeoSpot. Colours and sizes are written as
+// expressions evaluated per feature, matching what the Leaflet map draws.
+import { DEFAULT_RADIUS } from './dataStyle';
+
+const SOURCE_ID = 'dataset';
+
+const geometryFilter = (...types) => ['match', ['geometry-type'], types, true, false];
+
+// True when the property is missing, null or an empty string
+const missingValue = (property) => ['any',
+  ['!', ['has', property]],
+  ['==', ['get', property], null],
+  ['==', ['get', property], ''],
+];
+
+const colorExpression = (scheme, kind) => {
+  if (scheme.type === 'geometry') return scheme.colors[kind];
+
+  const { property, noDataColor } = scheme;
+  if (scheme.type === 'categorical') {
+    const match = scheme.values.length > 0
+      ? ['match', ['to-string', ['get', property]], ...scheme.values.flat(), scheme.otherColor]
+      : scheme.otherColor;
+    return ['case', missingValue(property), noDataColor, match];
+  }
+
+  // Graduated: the first class whose upper bound the value doesn't exceed
+  const { breaks, colors } = scheme;
+  if (breaks.length === 0) return noDataColor;
+  const value = ['get', property];
+  const classes = breaks.slice(0, -1).flatMap((upper, i) => [['<=', value, upper], colors[i]]);
+  return ['case',
+    ['!=', ['typeof', value], 'number'], noDataColor,
+    ...classes,
+    colors[colors.length - 1],
+  ];
+};
+
+// Same area-proportional scaling as the map: sqrt(min² + share × (max² − min²))
+const radiusExpression = (sizes) => {
+  if (!sizes) return DEFAULT_RADIUS;
+  const { property, min, max, minRadius, maxRadius } = sizes;
+  const value = ['get', property];
+  const share = max === min ? 1 : ['/', ['-', value, min], max - min];
+  return ['case',
+    ['!=', ['typeof', value], 'number'], minRadius,
+    ['sqrt', ['+', minRadius ** 2, ['*', share, maxRadius ** 2 - minRadius ** 2]]],
+  ];
+};
+
+// Layers for a style config and its classification (from classifyFeatures),
+// drawing polygons, lines and points of the `dataset` source
+export const toMapboxLayers = (config, classification, sourceId = SOURCE_ID) => {
+  const { scheme, sizes } = classification;
+  const { fillOpacity, strokeWidth, strokeColor } = config;
+  // Leaflet's dashArray '3' is in pixels, Mapbox GL's in multiples of the line width
+  const dash = scheme.type === 'geometry' && strokeWidth > 0 ? [3 / strokeWidth, 3 / strokeWidth] : null;
+
+  const outline = {
+    id: `${sourceId}-polygon-outline`,
+    type: 'line',
+    source: sourceId,
+    filter: geometryFilter('Polygon', 'MultiPolygon'),
+    paint: {
+      'line-color': strokeColor,
+      'line-width': strokeWidth,
+      ...(dash && { 'line-dasharray': dash }),
+    },
+  };
+
+  return [
+    {
+      id: `${sourceId}-polygons`,
+      type: 'fill',
+      source: sourceId,
+      filter: geometryFilter('Polygon', 'MultiPolygon'),
+      paint: {
+        'fill-color': colorExpression(scheme, 'polygon'),
+        'fill-opacity': fillOpacity,
+      },
+    },
+    ...(strokeWidth > 0 ? [outline] : []),
+    {
+      id: `${sourceId}-lines`,
+      type: 'line',
+      source: sourceId,
+      filter: geometryFilter('LineString', 'MultiLineString'),
+      layout: { 'line-cap': 'round', 'line-join': 'round' },
+      paint: {
+        'line-color': colorExpression(scheme, 'line'),
+        'line-width': strokeWidth + 2,
+        'line-opacity': Math.max(fillOpacity, 0.3),
+      },
+    },
+    {
+      id: `${sourceId}-points`,
+      type: 'circle',
+      source: sourceId,
+      filter: geometryFilter('Point', 'MultiPoint'),
+      paint: {
+        'circle-color': colorExpression(scheme, 'point'),
+        'circle-opacity': fillOpacity,
+        'circle-radius': radiusExpression(sizes),
+        'circle-stroke-color': strokeColor,
+        'circle-stroke-width': strokeWidth,
+      },
+    },
+  ];
+};
+
+// A complete style document with the dataset's GeoJSON URL as its source
+export const toMapboxStyle = (config, classification, { name, dataUrl }) => ({
+  version: 8,
+  name,
+  sources: {
+    [SOURCE_ID]: { type: 'geojson', data: dataUrl },
+  },
+  layers: toMapboxLayers(config, classification),
+});
@@ -0,0 +1,66 @@
+import { DEFAULT_STYLE, classifyFeatures } from './dataStyle';
+import { toMapboxStyle } from './mapboxStyle';
+
+const point = (properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties });
+
+const DATA_URL = 'https://geospot.example/api/v1/datasets/7/geojson';
+
+const exportStyle = (config, features) =>
+  toMapboxStyle(config, classifyFeatures(features, config), { name: 'cities', dataUrl: DATA_URL });
+
+const layer = (style, id) => style.layers.find(candidate => candidate.id === `dataset-${id}`);
+
+const missing = (property) => ['any',
+  ['!', ['has', property]],
+  ['==', ['get', property], null],
+  ['==', ['get', property], ''],
+];
+
+describe('toMapboxStyle', () => {
+  it('reads the dataset GeoJSON from its URL', () => {
+    const style = exportStyle(DEFAULT_STYLE, [point({})]);
+    expect(style).toMatchObject({ version: 8, name: 'cities', sources: { dataset: { type: 'geojson', data: DATA_URL } } });
+    expect(style.layers.map(({ id }) => id))
+      .toEqual(['dataset-polygons', 'dataset-polygon-outline', 'dataset-lines', 'dataset-points']);
+    style.layers.forEach(({ source }) => expect(source).toBe('dataset'));
+  });
+
+  it('colours categories with a match expression', () => {
+    const config = { ...DEFAULT_STYLE, property: 'kind', ramp: 'category' };
+    const style = exportStyle(config, [point({ kind: 'park' }), point({ kind: 'park' }), point({ kind: 'museum' }), point({})]);
+    expect(layer(style, 'points').paint['circle-color']).toEqual(['case',
+      missing('kind'), '#95a5a6',
+      ['match', ['to-string', ['get', 'kind']], 'park', '#4e79a7', 'museum', '#f28e2b', '#bdc3c7'],
+    ]);
+  });
+
+  it('colours graduated classes by their upper bounds', () => {
+    const config = { ...DEFAULT_STYLE, property: 'population', method: 'equal', classes: 3 };
+    const features = [0, 3, 6, 9].map(population => point({ population }));
+    const { scheme } = classifyFeatures(features, config);
+    expect(scheme.breaks).toEqual([3, 6, 9]);
+
+    const value = ['get', 'population'];
+    expect(layer(exportStyle(config, features), 'polygons').paint['fill-color']).toEqual(['case',
+      ['!=', ['typeof', value], 'number'], '#95a5a6',
+      ['<=', value, 3], scheme.colors[0],
+      ['<=', value, 6], scheme.colors[1],
+      scheme.colors[2],
+    ]);
+  });
+
+  it('scales point radius by area between the configured sizes', () => {
+    const config = { ...DEFAULT_STYLE, sizeProperty: 'population', minRadius: 2, maxRadius: 10 };
+    const style = exportStyle(config, [point({ population: 10 }), point({ population: 30 })]);
+    const value = ['get', 'population'];
+    expect(layer(style, 'points').paint['circle-radius']).toEqual(['case',
+      ['!=', ['typeof', value], 'number'], 2,
+      ['sqrt', ['+', 4, ['*', ['/', ['-', value, 10], 20], 96]]],
+    ]);
+  });
+
+  it('leaves out the outline layer without a stroke', () => {
+    const style = exportStyle({ ...DEFAULT_STYLE, strokeWidth: 0 }, [point({})]);
+    expect(layer(style, 'polygon-outline')).toBeUndefined();
+  });
+});
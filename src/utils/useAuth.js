@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { getSession, subscribe } from '../services/auth-session';
+
+// Current auth session (or null), updated on login, logout, refresh and changes in other tabs
+const useAuth = () => {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => {
+    setSession(getSession());
+    return subscribe(next => setSession(next));
+  }, []);
+
+  return session;
+};
+
+export default useAuth;
@@ -0,0 +1,49 @@
+import { useState, useEffect, useMemo } from 'react';
+import useAuth from './useAuth';
+import {
+  CONFIGURED_BASEMAPS,
+  getBasemapSettings,
+  saveSelectedBasemap,
+  addCustomBasemap,
+  removeCustomBasemap,
+  resolveBasemap,
+} from '../services/basemaps';
+
+const currentTheme = () => document.documentElement.getAttribute('data-theme') || 'light';
+
+// The basemaps available to the signed-in user (or a guest) and their current choice.
+// Without a choice the default follows the light or dark theme as it changes.
+// addCustom() throws an Error for an invalid definition.
+const useBasemap = () => {
+  const session = useAuth();
+  const userKey = String(session?.user?.id ?? session?.user?.email ?? 'guest');
+  const [settings, setSettings] = useState(() => getBasemapSettings(userKey));
+  const [theme, setTheme] = useState(currentTheme);
+
+  useEffect(() => {
+    setSettings(getBasemapSettings(userKey));
+  }, [userKey]);
+
+  useEffect(() => {
+    const observer = new MutationObserver(() => setTheme(currentTheme()));
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+    return () => observer.disconnect();
+  }, []);
+
+  const basemaps = useMemo(() => [...CONFIGURED_BASEMAPS, ...settings.custom], [settings.custom]);
+  const basemap = resolveBasemap(basemaps, settings.selected, theme);
+
+  return {
+    basemaps,
+    basemap,
+    select: (basemapId) => setSettings(saveSelectedBasemap(userKey, basemapId)),
+    addCustom: (definition) => {
+      const added = addCustomBasemap(userKey, definition);
+      setSettings(getBasemapSettings(userKey));
+      return added;
+    },
+    removeCustom: (basemapId) => setSettings(removeCustomBasemap(userKey, basemapId)),
+  };
+};
+
+export default useBasemap;
@@ -0,0 +1,77 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+
+const sameFeature = (a, b) =>
+  JSON.stringify(a.geometry) === JSON.stringify(b.geometry) &&
+  JSON.stringify(a.properties) === JSON.stringify(b.properties);
+
+// Compare edited items with the original features. Items are { key, sourceIndex, feature }
+// where sourceIndex is null for drawn features. Returns { added, changed, removed };
+// removed entries are { sourceIndex, feature } of the original.
+export const diffEdits = (originals, items) => {
+  const added = [];
+  const changed = [];
+  const kept = new Set();
+  items.forEach(item => {
+    if (item.sourceIndex === null) {
+      added.push(item);
+      return;
+    }
+    kept.add(item.sourceIndex);
+    const original = originals[item.sourceIndex];
+    if (item.feature !== original && !sameFeature(item.feature, original)) changed.push(item);
+  });
+  const removed = originals.flatMap((feature, sourceIndex) => (kept.has(sourceIndex) ? [] : [{ sourceIndex, feature }]));
+  return { added, changed, removed };
+};
+
+const initialItems = (features) =>
+  (features || []).map((feature, index) => ({ key: `f${index}`, sourceIndex: index, feature }));
+
+// Working copy of a dataset's features for editing. Features are addressed by key;
+// `status` maps the keys of added and changed features to 'added' or 'changed'.
+// toCollection() returns the edited FeatureCollection, originals first in their order.
+// `version` changes whenever the edits start over, i.e. on reset() and new features,
+// so pass a copy of the features that stays the same while editing.
+const useFeatureEdits = (features) => {
+  const [items, setItems] = useState(() => initialItems(features));
+  const [version, setVersion] = useState(0);
+  const nextKeyRef = useRef(0);
+
+  const reset = useCallback(() => {
+    setItems(initialItems(features));
+    setVersion(current => current + 1);
+  }, [features]);
+
+  useEffect(() => {
+    reset();
+  }, [reset]);
+
+  const diff = useMemo(() => diffEdits(features || [], items), [features, items]);
+  const status = useMemo(() => new Map([
+    ...diff.added.map(item => [item.key, 'added']),
+    ...diff.changed.map(item => [item.key, 'changed']),
+  ]), [diff]);
+
+  // Returns the new feature's key
+  const add = (geometry, properties = {}) => {
+    const key = `n${nextKeyRef.current++}`;
+    setItems(current => [...current, { key, sourceIndex: null, feature: { type: 'Feature', geometry, properties } }]);
+    return key;
+  };
+
+  // changes: { geometry?, properties? }
+  const update = (key, changes) => setItems(current => current.map(item => (item.key === key
+    ? { ...item, feature: { ...item.feature, ...changes } }
+    : item)));
+
+  const remove = (key) => setItems(current => current.filter(item => item.key !== key));
+
+  const toCollection = () => ({
+    type: 'FeatureCollection',
+    features: items.map(item => item.feature),
+  });
+
+  return { items, version, diff, status, add, update, remove, reset, toCollection };
+};
+
+export default useFeatureEdits;
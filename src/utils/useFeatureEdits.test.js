@@ -0,0 +1,30 @@
+import { diffEdits } from './useFeatureEdits';
+
+const point = (x, properties = {}) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [x, 0] }, properties });
+
+const ORIGINALS = [point(0, { name: 'a' }), point(1, { name: 'b' }), point(2, { name: 'c' })];
+const unchanged = () => ORIGINALS.map((feature, index) => ({ key: `f${index}`, sourceIndex: index, feature }));
+
+describe('diffEdits', () => {
+  it('reports no changes for untouched features', () => {
+    expect(diffEdits(ORIGINALS, unchanged())).toEqual({ added: [], changed: [], removed: [] });
+  });
+
+  it('treats equal copies as unchanged', () => {
+    const items = unchanged().map(item => ({ ...item, feature: JSON.parse(JSON.stringify(item.feature)) }));
+    expect(diffEdits(ORIGINALS, items).changed).toEqual([]);
+  });
+
+  it('finds added, changed and removed features', () => {
+    const [first, second] = unchanged();
+    const moved = { ...first, feature: { ...first.feature, geometry: { type: 'Point', coordinates: [5, 5] } } };
+    const renamed = { ...second, feature: { ...second.feature, properties: { name: 'B' } } };
+    const drawn = { key: 'n0', sourceIndex: null, feature: point(9) };
+
+    expect(diffEdits(ORIGINALS, [moved, renamed, drawn])).toEqual({
+      added: [drawn],
+      changed: [moved, renamed],
+      removed: [{ sourceIndex: 2, feature: ORIGINALS[2] }],
+    });
+  });
+});
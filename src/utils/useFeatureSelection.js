@@ -0,0 +1,59 @@
+import { useState, useEffect, useRef } from 'react';
+
+// How a click changes the selection: shift extends a range from the last clicked
+// feature, ctrl/cmd toggles one feature, a plain click selects only that feature.
+export const selectionMode = (event) => {
+  if (event?.shiftKey) return 'range';
+  if (event?.ctrlKey || event?.metaKey) return 'toggle';
+  return 'replace';
+};
+
+// Selected features of a FeatureCollection, identified by their index in `features`.
+// select(index, { mode, order }) applies a click and returns the new selection; `order`
+// is the list of indices in display order, needed to resolve shift-click ranges.
+// The selection is cleared when `features` changes.
+const useFeatureSelection = (features) => {
+  const [selected, setSelected] = useState(() => new Set());
+  const anchorRef = useRef(null);
+
+  useEffect(() => {
+    setSelected(new Set());
+    anchorRef.current = null;
+  }, [features]);
+
+  const select = (index, { mode = 'replace', order } = {}) => {
+    let next;
+    if (mode === 'range' && anchorRef.current !== null && order) {
+      const from = order.indexOf(anchorRef.current);
+      const to = order.indexOf(index);
+      if (from === -1 || to === -1) {
+        next = new Set([index]);
+        anchorRef.current = index;
+      } else {
+        next = new Set(order.slice(Math.min(from, to), Math.max(from, to) + 1));
+      }
+    } else if (mode === 'toggle' || mode === 'range') {
+      next = new Set(selected);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      anchorRef.current = index;
+    } else {
+      next = new Set([index]);
+      anchorRef.current = index;
+    }
+    setSelected(next);
+    return next;
+  };
+
+  const clear = () => {
+    setSelected(new Set());
+    anchorRef.current = null;
+  };
+
+  return { selected, select, clear };
+};
+
+export default useFeatureSelection;
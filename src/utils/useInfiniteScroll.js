@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+
+// Calls onReach when the returned ref's element scrolls within `margin` of the viewport.
+// Attach the ref to a sentinel element placed after the list. Change `watch` (e.g. the
+// number of loaded items) to check again after each load, since the observer only
+// reports changes and the sentinel may still be in view.
+const useInfiniteScroll = (onReach, { enabled = true, margin = '400px', watch } = {}) => {
+  const sentinelRef = useRef(null);
+  const callbackRef = useRef(onReach);
+  callbackRef.current = onReach;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        callbackRef.current();
+      }
+    }, { rootMargin: margin });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, margin, watch]);
+
+  return sentinelRef;
+};
+
+export default useInfiniteScroll;
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+
+// Tracks the browser's online/offline state
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,267 @@
+// utils/vectorTileLayer.js
+// Leaflet layer drawing GeoJSON lines and polygons as vector tiles; the
+// VectorTiles component adds it to a react-leaflet map.
+import L from 'leaflet';
+import geojsonvt from 'geojson-vt';
+
+// geojson-vt tile coordinates run from 0 to EXTENT across a tile
+const EXTENT = 4096;
+
+// Deepest zoom geojson-vt slices to; closer zooms reuse these tiles, scaled up
+const MAX_TILE_ZOOM = 14;
+
+const TILE_INDEX_OPTIONS = {
+  maxZoom: MAX_TILE_ZOOM,
+  // In tile units: about half a pixel on a 256 px tile
+  tolerance: 8,
+  extent: EXTENT,
+  // Geometry kept past each tile edge, so wide strokes aren't cut off there (16 px)
+  buffer: 256,
+};
+
+// Leaflet's Path defaults, for style functions that leave options unset
+const PATH_DEFAULTS = {
+  stroke: true,
+  color: '#3388ff',
+  weight: 3,
+  opacity: 1,
+  fill: true,
+  fillColor: null,
+  fillOpacity: 0.2,
+  dashArray: null,
+  radius: 10,
+};
+
+// geojson-vt feature types
+const POINT = 1;
+const LINE = 2;
+const POLYGON = 3;
+
+const distanceToSegment = (px, py, [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const length = dx * dx + dy * dy;
+  const t = length ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / length)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// Even-odd rule across all rings, matching how polygons are filled
+const insideRings = (px, py, rings) => {
+  let inside = false;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  });
+  return inside;
+};
+
+const nearRings = (px, py, rings, distance) => rings.some(ring =>
+  ring.some((point, i) => i > 0 && distanceToSegment(px, py, ring[i - 1], point) <= distance));
+
+// Draws the lines and polygons of a FeatureCollection from tiles sliced in the
+// browser by geojson-vt, which simplifies geometry to what each zoom level can
+// show. Only tiles in view are drawn, onto canvases.
+// Each tiled feature's id is the index of its source feature, so styles,
+// selection, popups and clicks all work in terms of the original features;
+// featureclick events carry that index and the original feature (with its own id).
+export const VectorTileLayer = L.GridLayer.extend({
+  options: {
+    pane: 'overlayPane',
+    // Below the overlay pane's vector renderer, so point markers stay on top
+    zIndex: 0,
+    // Extra pixels around features that still count as a click on them
+    tolerance: 3,
+  },
+
+  initialize(options) {
+    L.GridLayer.prototype.initialize.call(this, options);
+    this._features = [];
+    this._index = null;
+    this._style = () => ({});
+    this._selected = new Set();
+    this._selectedStyle = {};
+  },
+
+  onAdd(map) {
+    L.GridLayer.prototype.onAdd.call(this, map);
+    map.on('click', this._onClick, this);
+    map.on('mousemove', this._onMouseMove, this);
+  },
+
+  onRemove(map) {
+    map.off('click', this._onClick, this);
+    map.off('mousemove', this._onMouseMove, this);
+    cancelAnimationFrame(this._hoverFrame);
+    map.getContainer().style.cursor = '';
+    L.GridLayer.prototype.onRemove.call(this, map);
+  },
+
+  // Slice the features for which filter(feature) is true
+  setData(features, filter = () => true) {
+    this._features = features;
+    const tiled = [];
+    features.forEach((feature, index) => {
+      if (feature.geometry && filter(feature)) {
+        tiled.push({ type: 'Feature', id: index, geometry: feature.geometry, properties: null });
+      }
+    });
+    this._index = geojsonvt({ type: 'FeatureCollection', features: tiled }, TILE_INDEX_OPTIONS);
+    this._redrawTiles();
+  },
+
+  // style(feature) returns Leaflet path options, like the GeoJSON layer's style option
+  setStyle(style) {
+    this._style = style;
+    this._redrawTiles();
+  },
+
+  // selected is a Set of feature indices drawn on top with selectedStyle
+  setSelected(selected, selectedStyle) {
+    this._selected = selected;
+    this._selectedStyle = selectedStyle;
+    this._redrawTiles();
+  },
+
+  // Index of the topmost feature at a point, or null
+  featureAt(latlng) {
+    const map = this._map;
+    if (!map || !this._index) return null;
+    const zoom = this._tileZoom ?? Math.round(map.getZoom());
+    const size = this.getTileSize().x;
+    const point = map.project(latlng, zoom);
+    const coords = L.point(Math.floor(point.x / size), Math.floor(point.y / size));
+    coords.z = zoom;
+    const source = this._sourceTile(coords);
+    if (!source) return null;
+
+    const px = point.x - coords.x * size;
+    const py = point.y - coords.y * size;
+    const candidates = this._drawOrder(source.tile.features).reverse();
+    const hit = candidates.find(feature => {
+      const style = this._featureStyle(feature.id);
+      const distance = this.options.tolerance + (style.stroke ? style.weight / 2 : 0);
+      const geometry = feature.type === POINT
+        ? feature.geometry.map(source.toPixel)
+        : feature.geometry.map(ring => ring.map(source.toPixel));
+      if (feature.type === POINT) {
+        return geometry.some(([x, y]) => Math.hypot(px - x, py - y) <= style.radius + distance);
+      }
+      if (feature.type === POLYGON && style.fill && insideRings(px, py, geometry)) return true;
+      return nearRings(px, py, geometry, distance);
+    });
+    return hit ? hit.id : null;
+  },
+
+  createTile(coords) {
+    const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+    const size = this.getTileSize();
+    const ratio = window.devicePixelRatio || 1;
+    tile.width = size.x * ratio;
+    tile.height = size.y * ratio;
+    this._drawTile(tile, coords);
+    return tile;
+  },
+
+  // The geojson-vt tile holding a map tile's features, and a function from its
+  // coordinates to pixels in the map tile. Beyond MAX_TILE_ZOOM a parent tile is scaled up.
+  _sourceTile(coords) {
+    const tiles = 2 ** coords.z;
+    if (!this._index || coords.y < 0 || coords.y >= tiles) return null;
+    const x = ((coords.x % tiles) + tiles) % tiles;
+    const zoom = Math.min(coords.z, MAX_TILE_ZOOM);
+    const factor = 2 ** (coords.z - zoom);
+    const sourceX = Math.floor(x / factor);
+    const sourceY = Math.floor(coords.y / factor);
+    const tile = this._index.getTile(zoom, sourceX, sourceY);
+    if (!tile) return null;
+
+    const size = this.getTileSize().x;
+    const scale = (size * factor) / EXTENT;
+    const offsetX = (x - sourceX * factor) * size;
+    const offsetY = (coords.y - sourceY * factor) * size;
+    return { tile, toPixel: ([tx, ty]) => [tx * scale - offsetX, ty * scale - offsetY] };
+  },
+
+  _featureStyle(index) {
+    return {
+      ...PATH_DEFAULTS,
+      ...this._style(this._features[index]),
+      ...(this._selected.has(index) && this._selectedStyle),
+    };
+  },
+
+  // Selected features last, so they are drawn over their neighbours
+  _drawOrder(features) {
+    return [
+      ...features.filter(feature => !this._selected.has(feature.id)),
+      ...features.filter(feature => this._selected.has(feature.id)),
+    ];
+  },
+
+  _drawTile(canvas, coords) {
+    const ctx = canvas.getContext('2d');
+    const ratio = canvas.width / this.getTileSize().x;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const source = this._sourceTile(coords);
+    if (!source) return;
+
+    this._drawOrder(source.tile.features).forEach(feature => {
+      const style = this._featureStyle(feature.id);
+      ctx.beginPath();
+      if (feature.type === POINT) {
+        feature.geometry.map(source.toPixel).forEach(([x, y]) => {
+          ctx.moveTo(x + style.radius, y);
+          ctx.arc(x, y, style.radius, 0, Math.PI * 2);
+        });
+      } else {
+        feature.geometry.forEach(ring => {
+          ring.map(source.toPixel).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+          if (feature.type === POLYGON) ctx.closePath();
+        });
+      }
+
+      if (feature.type !== LINE && style.fill) {
+        ctx.globalAlpha = style.fillOpacity;
+        ctx.fillStyle = style.fillColor || style.color;
+        ctx.fill('evenodd');
+      }
+      if (style.stroke && style.weight > 0) {
+        ctx.globalAlpha = style.opacity;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.weight;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.setLineDash(style.dashArray ? String(style.dashArray).split(/[ ,]+/).map(Number) : []);
+        ctx.stroke();
+      }
+    });
+    ctx.globalAlpha = 1;
+  },
+
+  // Style and selection changes repaint the current tiles in place
+  _redrawTiles() {
+    if (!this._map) return;
+    Object.values(this._tiles).forEach(({ el, coords }) => this._drawTile(el, coords));
+  },
+
+  _onClick(e) {
+    const index = this.featureAt(e.latlng);
+    if (index === null) return;
+    this.fire('featureclick', { index, feature: this._features[index], latlng: e.latlng, originalEvent: e.originalEvent });
+  },
+
+  // Hit-testing is done at most once a frame while the pointer moves
+  _onMouseMove(e) {
+    this._hoverLatLng = e.latlng;
+    if (this._hoverFrame) return;
+    this._hoverFrame = requestAnimationFrame(() => {
+      this._hoverFrame = null;
+      if (!this._map) return;
+      this._map.getContainer().style.cursor = this.featureAt(this._hoverLatLng) === null ? '' : 'pointer';
+    });
+  },
+});
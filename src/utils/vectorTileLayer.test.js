@@ -0,0 +1,104 @@
+import L from 'leaflet';
+import { VectorTileLayer } from './vectorTileLayer';
+
+const feature = (geometry, properties = {}) => ({ type: 'Feature', geometry, properties });
+
+const square = (west, south, east, north) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+});
+
+const features = [
+  feature(square(-10, -10, 10, 10), { name: 'large' }),
+  feature({ type: 'LineString', coordinates: [[-20, 20], [20, 20]] }, { name: 'line' }),
+  feature(null, { name: 'no geometry' }),
+  feature(square(-2, -2, 2, 2), { name: 'small' }),
+  feature(square(30, 30, 40, 40), { name: 'filtered out' }),
+];
+
+let map;
+
+const createLayer = (filter) => {
+  const layer = new VectorTileLayer();
+  map.addLayer(layer);
+  layer.setData(features, filter);
+  return layer;
+};
+
+beforeEach(() => {
+  // jsdom has no canvas; tiles are drawn onto a stub context
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => new Proxy({}, {
+    get: () => () => {},
+    set: () => true,
+  }));
+  map = L.map(document.createElement('div')).setView([0, 0], 4);
+});
+
+afterEach(() => {
+  map.remove();
+  jest.restoreAllMocks();
+});
+
+describe('VectorTileLayer tile index', () => {
+  it('slices with the configured options', () => {
+    const layer = createLayer();
+    expect(layer._index.options).toMatchObject({ maxZoom: 14, extent: 4096, tolerance: 8, buffer: 256 });
+  });
+
+  it('tiles filtered features with geometry, identified by their index', () => {
+    const layer = createLayer(({ properties }) => properties.name !== 'filtered out');
+    const ids = layer._index.getTile(0, 0, 0).features.map(({ id }) => id);
+    expect(ids.sort()).toEqual([0, 1, 3]);
+  });
+});
+
+describe('VectorTileLayer.featureAt', () => {
+  it('finds the topmost feature under the point', () => {
+    const layer = createLayer();
+    expect(layer.featureAt(L.latLng(0, 0))).toBe(3);
+    expect(layer.featureAt(L.latLng(5, 5))).toBe(0);
+    expect(layer.featureAt(L.latLng(20, 0))).toBe(1);
+    expect(layer.featureAt(L.latLng(35, 35))).toBe(4);
+    expect(layer.featureAt(L.latLng(-50, -50))).toBeNull();
+  });
+
+  it('puts selected features on top', () => {
+    const layer = createLayer();
+    layer.setSelected(new Set([0]), { color: '#ff0' });
+    expect(layer.featureAt(L.latLng(0, 0))).toBe(0);
+  });
+
+  it('only hits the outline of unfilled polygons, widened by the stroke', () => {
+    const layer = createLayer();
+    layer.setStyle(() => ({ fill: false, weight: 10 }));
+    expect(layer.featureAt(L.latLng(5, 5))).toBeNull();
+    // 3 px of tolerance and half the stroke width past the edge; the world is 4096 px wide at zoom 4
+    const pixels = (count) => (count * 360) / 4096;
+    expect(layer.featureAt(L.latLng(0, 10 + pixels(7)))).toBe(0);
+    expect(layer.featureAt(L.latLng(0, 10 + pixels(9)))).toBeNull();
+  });
+
+  it('uses the deepest sliced tiles when zoomed in further', () => {
+    const layer = createLayer();
+    map.setView([0, 0], 17);
+    expect(layer.featureAt(L.latLng(0.0001, 0.0001))).toBe(3);
+    expect(layer.featureAt(L.latLng(19.99998, 0))).toBe(1);
+  });
+});
+
+describe('VectorTileLayer clicks', () => {
+  it('fire featureclick with the index and the original feature', () => {
+    const layer = createLayer();
+    const onFeatureClick = jest.fn();
+    layer.on('featureclick', onFeatureClick);
+
+    map.fire('click', { latlng: L.latLng(5, 5) });
+    map.fire('click', { latlng: L.latLng(-50, -50) });
+    expect(onFeatureClick).toHaveBeenCalledTimes(1);
+    expect(onFeatureClick.mock.calls[0][0]).toMatchObject({ index: 0, feature: features[0] });
+
+    map.removeLayer(layer);
+    map.fire('click', { latlng: L.latLng(5, 5) });
+    expect(onFeatureClick).toHaveBeenCalledTimes(1);
+  });
+});
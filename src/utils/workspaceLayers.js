@@ -0,0 +1,70 @@
+// utils/workspaceLayers.js
+// Layers of the map workspace and their encoding in its URL. A layer is
+// { id, visible, opacity, style } for one dataset; the list is ordered top to bottom.
+// In the URL the `layers` parameter holds JSON like [{ id, hidden, opacity, style }],
+// leaving out defaults (style only keeps options that differ from DEFAULT_STYLE).
+import L from 'leaflet';
+import { DEFAULT_STYLE } from './dataStyle';
+import { getDefaultStyle, sanitizeStyle, styleChanges } from '../services/style-presets';
+
+// Map pane a layer is drawn in
+export const layerPane = (id) => `workspace-layer-${id}`;
+
+// Leaflet doesn't pass a GeoJSON layer's options on to pointToLayer, so points
+// need the pane set here to be hidden, faded and stacked with the rest of their layer
+export const createPointToLayer = (pane) => (feature, latlng) => L.circleMarker(latlng, { pane });
+
+// New layers use the dataset's default style preset, if it has one
+export const createLayer = (id) => ({
+  id,
+  visible: true,
+  opacity: 1,
+  style: getDefaultStyle(id) || DEFAULT_STYLE,
+});
+
+export const encodeLayers = (layers) => JSON.stringify(layers.map(({ id, visible, opacity, style }) => {
+  const entry = { id };
+  if (!visible) entry.hidden = true;
+  if (opacity !== 1) entry.opacity = opacity;
+  const changes = styleChanges(style);
+  if (Object.keys(changes).length > 0) entry.style = changes;
+  return entry;
+}));
+
+const validId = (id) => (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && id !== '');
+
+// Layers from the URL parameter; malformed entries and repeated datasets are dropped
+export const decodeLayers = (text) => {
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch (err) {
+    return [];
+  }
+  if (!Array.isArray(entries)) return [];
+
+  const seen = new Set();
+  return entries.flatMap(entry => {
+    if (!entry || !validId(entry.id) || seen.has(String(entry.id))) return [];
+    seen.add(String(entry.id));
+    const opacity = Number(entry.opacity ?? 1);
+    return [{
+      id: entry.id,
+      visible: entry.hidden !== true,
+      opacity: Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 1,
+      style: sanitizeStyle({ ...DEFAULT_STYLE, ...entry.style }),
+    }];
+  });
+};
+
+// Link to a workspace showing the given datasets, first on top
+export const workspaceUrl = (datasetIds) =>
+  `/map?layers=${encodeURIComponent(encodeLayers(datasetIds.map(createLayer)))}`;
+
+// Move the layer at index `from` to index `to`
+export const moveLayer = (layers, from, to) => {
+  const next = [...layers];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
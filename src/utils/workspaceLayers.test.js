@@ -0,0 +1,98 @@
+import L from 'leaflet';
+import { DEFAULT_STYLE } from './dataStyle';
+import { createLayer, createPointToLayer, decodeLayers, encodeLayers, layerPane, moveLayer, workspaceUrl } from './workspaceLayers';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('encodeLayers', () => {
+  it('leaves out default values', () => {
+    const layers = [
+      createLayer(1),
+      { id: 2, visible: false, opacity: 0.5, style: { ...DEFAULT_STYLE, property: 'type' } },
+    ];
+    expect(JSON.parse(encodeLayers(layers))).toEqual([
+      { id: 1 },
+      { id: 2, hidden: true, opacity: 0.5, style: { property: 'type' } },
+    ]);
+  });
+
+  it('round-trips through decodeLayers', () => {
+    const layers = [
+      { id: 7, visible: true, opacity: 0.25, style: { ...DEFAULT_STYLE, ramp: 'blues', classes: 3 } },
+      { id: 'abc', visible: false, opacity: 1, style: DEFAULT_STYLE },
+    ];
+    expect(decodeLayers(encodeLayers(layers))).toEqual(layers);
+  });
+});
+
+describe('decodeLayers', () => {
+  it('returns no layers for malformed input', () => {
+    expect(decodeLayers('not json')).toEqual([]);
+    expect(decodeLayers('{"id":1}')).toEqual([]);
+    expect(decodeLayers(null)).toEqual([]);
+  });
+
+  it('drops invalid entries and repeated datasets', () => {
+    const layers = decodeLayers(JSON.stringify([{ id: 1 }, null, { id: '' }, { id: {} }, { id: '1' }, { id: 2 }]));
+    expect(layers.map(layer => layer.id)).toEqual([1, 2]);
+  });
+
+  it('clamps opacity and sanitizes styles', () => {
+    const [layer] = decodeLayers(JSON.stringify([{ id: 1, opacity: 3, style: { ramp: 'rainbow', classes: '9', property: 'kind' } }]));
+    expect(layer.opacity).toBe(1);
+    expect(layer.style).toEqual({ ...DEFAULT_STYLE, property: 'kind' });
+    expect(decodeLayers('[{"id":1,"opacity":"x"}]')[0].opacity).toBe(1);
+    expect(decodeLayers('[{"id":1,"opacity":-1}]')[0].opacity).toBe(0);
+  });
+});
+
+describe('workspaceUrl', () => {
+  it('links to the given datasets', () => {
+    const url = workspaceUrl([3, 1]);
+    const params = new URLSearchParams(url.split('?')[1]);
+    expect(url.startsWith('/map?')).toBe(true);
+    expect(decodeLayers(params.get('layers')).map(layer => layer.id)).toEqual([3, 1]);
+  });
+});
+
+describe('moveLayer', () => {
+  it('moves a layer without changing the original list', () => {
+    const layers = ['a', 'b', 'c'];
+    expect(moveLayer(layers, 0, 2)).toEqual(['b', 'c', 'a']);
+    expect(moveLayer(layers, 2, 0)).toEqual(['c', 'a', 'b']);
+    expect(layers).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('createPointToLayer', () => {
+  let map;
+
+  beforeEach(() => {
+    // jsdom has no SVG geometry API, which Leaflet checks for before drawing vectors
+    L.Browser.svg = true;
+    map = L.map(document.createElement('div')).setView([0, 0], 2);
+  });
+
+  afterEach(() => {
+    map.remove();
+  });
+
+  it('draws points in the layer pane, so hiding the layer hides them', () => {
+    const pane = map.createPane(layerPane(7));
+    const points = {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [10, 20] }, properties: {} }],
+    };
+    const [marker] = L.geoJSON(points, { pane: layerPane(7), pointToLayer: createPointToLayer(layerPane(7)) })
+      .addTo(map)
+      .getLayers();
+
+    expect(pane.contains(marker.getElement())).toBe(true);
+    expect(map.getPane('overlayPane').contains(marker.getElement())).toBe(false);
+
+    pane.style.display = 'none';
+    expect(marker.getElement().closest('[style*="display: none"]')).toBe(pane);
+  });
+});